@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * @file The `moodle-ws` command line tool. See {@link runCLI}.
+ */
+
+const runCLI = require('../lib/cli.js');
+
+runCLI(process.argv.slice(2)).then(function(code){
+    process.exitCode = code;
+});
@@ -0,0 +1,383 @@
+/**
+ * @file Provides the function {@link runCLI}, which implements the
+ * `moodle-ws` command line tool for calling web service functions from a
+ * shell:
+ *
+ * ```
+ * moodle-ws --url https://moodle.uni.edu/ core_course_get_courses
+ * moodle-ws core_user_get_users 'criteria[0][key]=email' 'criteria[0][value]=%%' --output csv
+ * echo '{"field": "id", "values": [2, 3]}' | moodle-ws core_user_get_users_by_field - --output ndjson
+ * moodle-ws --profile prod core_webservice_get_site_info
+ * ```
+ */
+
+// import requirements
+const MoodleWSClient = require('./moodleWSClient.js');
+const validateParams = require('@maynoothuniversity/validate-params');
+const validate = validateParams.validateJS();
+
+//
+//=== Define Globals ===========================================================
+//
+
+/**
+ * The usage message printed by `--help`.
+ * @private
+ * @type {string}
+ */
+const USAGE = `usage: moodle-ws [options] <wsfunction> [<json> | <key>=<value> ... | -]
+
+Call a Moodle web service function and print the response.
+
+Parameters can be given as a JSON object, as encoded key=value pairs like
+'criteria[0][key]=email', or as a JSON object read from stdin with '-'.
+Key=value pairs are merged into any JSON parameters, replacing single values.
+
+The site is taken from --url & --token if given, otherwise from the named
+site profile (see MoodleWSClient.fromProfile()), falling back to the default
+profile or $MOODLE_WS_URL & $MOODLE_WS_TOKEN.
+
+Options:
+  -p, --profile <name>     the site profile to use
+  -u, --url <url>          the base URL of the Moodle site, defaults to
+                           $MOODLE_WS_URL
+  -t, --token <token>      the web service token, defaults to $MOODLE_WS_TOKEN
+                           (prefer a profile or the environment variable,
+                           arguments are visible to other users of the
+                           machine)
+  -m, --method <method>    GET or POST, defaults to GET for functions which
+                           read data, e.g. core_user_get_users, and POST
+                           otherwise
+  -o, --output <format>    json (the default), ndjson or csv
+      --timeout <ms>       the request timeout in milliseconds
+      --insecure           accept untrusted TLS certificates
+  -h, --help               show this message
+`;
+
+/**
+ * The supported output formats.
+ * @private
+ * @type {string[]}
+ */
+const OUTPUT_FORMATS = ['json', 'ndjson', 'csv'];
+
+/**
+ * The options which take a value, indexed by their short and long forms.
+ * @private
+ * @type {Object.<string, string>}
+ */
+const VALUE_OPTIONS = {
+    '-p': 'profile', '--profile': 'profile',
+    '-u': 'url', '--url': 'url',
+    '-t': 'token', '--token': 'token',
+    '-m': 'method', '--method': 'method',
+    '-o': 'output', '--output': 'output',
+    '--timeout': 'timeout'
+};
+
+/**
+ * The exit code for usage errors.
+ * @private
+ * @type {number}
+ */
+const EXIT_USAGE = 2;
+
+//
+//=== Private Helper Functions =================================================
+//
+
+/**
+ * Create an error representing a problem with the command line.
+ *
+ * @private
+ * @param {string} message
+ * @returns {Error}
+ */
+function usageError(message){
+    let err = new Error(message);
+    err.isUsageError = true;
+    return err;
+}
+
+/**
+ * Parse the command line arguments.
+ *
+ * @private
+ * @param {string[]} argv - the arguments, without the node executable & script.
+ * @returns {{options: Object, wsFunctionName: string, paramArgs: string[]}}
+ * @throws {Error} A usage error is thrown if the arguments are invalid.
+ */
+function parseArgs(argv){
+    let options = { output: 'json', insecure: false, help: false };
+    let positional = [];
+    for(let i = 0; i < argv.length; i++){
+        let arg = argv[i];
+        let inlineValue;
+        let eq = arg.indexOf('=');
+        if(arg.startsWith('--') && eq !== -1){
+            inlineValue = arg.slice(eq + 1);
+            arg = arg.slice(0, eq);
+        }
+        if(VALUE_OPTIONS[arg]){
+            let value = validate.isDefined(inlineValue) ? inlineValue : argv[++i];
+            if(!validate.isDefined(value)) throw usageError(`option ${arg} requires a value`);
+            options[VALUE_OPTIONS[arg]] = value;
+        }else if(arg === '--insecure'){
+            options.insecure = true;
+        }else if(arg === '-h' || arg === '--help'){
+            options.help = true;
+        }else if(arg === '--'){
+            positional = positional.concat(argv.slice(i + 1));
+            break;
+        }else if(arg.startsWith('-') && arg !== '-'){
+            throw usageError(`unknown option ${arg}`);
+        }else{
+            positional.push(argv[i]);
+        }
+    }
+    if(!OUTPUT_FORMATS.includes(options.output)){
+        throw usageError(`unsupported output format '${options.output}', expected one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if(validate.isDefined(options.method)){
+        options.method = options.method.toUpperCase();
+        if(!['GET', 'POST'].includes(options.method)) throw usageError(`unsupported HTTP method '${options.method}'`);
+    }
+    return { options: options, wsFunctionName: positional[0], paramArgs: positional.slice(1) };
+}
+
+/**
+ * Parse a JSON object of web service parameters.
+ *
+ * @private
+ * @param {string} json
+ * @param {string} source - where the JSON came from, for error messages.
+ * @returns {PlainObject}
+ * @throws {Error} A usage error is thrown if the JSON is invalid.
+ */
+function parseJSONParams(json, source){
+    let params;
+    try{
+        params = JSON.parse(json);
+    }catch(err){
+        throw usageError(`invalid JSON parameters from ${source}: ${err.message}`);
+    }
+    if(!validateParams.isPlainObject(params) || validate.isArray(params)){
+        throw usageError(`parameters from ${source} must be a JSON object`);
+    }
+    return params;
+}
+
+/**
+ * Merge one set of parameters into another. Nested objects & arrays are
+ * merged entry by entry, so e.g. `criteria[0][value]=x` can fill in a
+ * criterion given as JSON.
+ *
+ * @private
+ * @param {(PlainObject|Array)} target - the parameters to merge into, which
+ * are updated in place.
+ * @param {(PlainObject|Array)} source - the parameters to merge in, which
+ * take precedence.
+ * @returns {(PlainObject|Array)} Returns the target.
+ */
+function mergeParams(target, source){
+    let mergeable = function(v){
+        return validate.isArray(v) || validateParams.isPlainObject(v);
+    };
+    for(let key of Object.keys(source)){
+        let existing = Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+        if(mergeable(existing) && mergeable(source[key]) && validate.isArray(existing) === validate.isArray(source[key])){
+            mergeParams(existing, source[key]);
+        }else{
+            target[key] = source[key];
+        }
+    }
+    return target;
+}
+
+/**
+ * Build the web service parameters from the parameter arguments. Parameters
+ * read from stdin are overridden by JSON arguments, which are in turn
+ * overridden by `key=value` pairs.
+ *
+ * @private
+ * @async
+ * @param {string[]} paramArgs
+ * @param {stream.Readable} stdin
+ * @returns {PlainObject} Returns a promise of the parameters.
+ */
+function buildParams(paramArgs, stdin){
+    let params = {};
+    let pairs = {};
+    let readStdin = false;
+    for(let arg of paramArgs){
+        if(arg === '-'){
+            readStdin = true;
+        }else if(arg.trim().startsWith('{')){
+            mergeParams(params, parseJSONParams(arg, 'the command line'));
+        }else if(arg.indexOf('=') > 0){
+            let eq = arg.indexOf('=');
+            pairs[arg.slice(0, eq)] = arg.slice(eq + 1);
+        }else{
+            return Promise.reject(usageError(`can't interpret parameter '${arg}', expected JSON or key=value`));
+        }
+    }
+    let stdinParams = readStdin ? MoodleWSClient._readStream(stdin).then(function(buf){
+        return parseJSONParams(buf.toString('utf8'), 'stdin');
+    }) : Promise.resolve({});
+    return stdinParams.then(function(fromStdin){
+        return mergeParams(mergeParams(fromStdin, params), MoodleWSClient.decodeWSArguments(pairs));
+    });
+}
+
+/**
+ * Get the list of records in a response, for line-based output formats. If
+ * the response is an array its entries are used, if it's an object with a
+ * single array other than `warnings`, e.g. `{ courses: [...], warnings: [] }`,
+ * that array's entries are used, otherwise the whole response is a single
+ * record.
+ *
+ * @private
+ * @param {*} response
+ * @returns {Array}
+ */
+function responseRecords(response){
+    return MoodleWSClient._responseItems(response) || [response];
+}
+
+/**
+ * Quote a value for inclusion in a CSV file, as per RFC 4180.
+ *
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value){
+    let str = validate.isDefined(value) && value !== null ? String(value) : '';
+    return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+/**
+ * Render a response as CSV, with one row per record. Nested data is
+ * flattened into columns named the way web service parameters are encoded,
+ * e.g. `customfields[0][value]`.
+ *
+ * @private
+ * @param {*} response
+ * @returns {string}
+ */
+function toCSV(response){
+    let rows = responseRecords(response).map(function(record){
+        if(!validateParams.isPlainObject(record) || validate.isArray(record)) record = { value: record };
+        return MoodleWSClient.encodeWSArguments(record);
+    });
+    let columns = [];
+    for(let row of rows){
+        for(let col in row){
+            if(!columns.includes(col)) columns.push(col);
+        }
+    }
+    let lines = [columns.map(csvCell).join(',')];
+    for(let row of rows){
+        lines.push(columns.map(function(col){ return csvCell(row[col]); }).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Render a response in the requested output format.
+ *
+ * @private
+ * @param {*} response
+ * @param {string} format
+ * @returns {string}
+ */
+function formatResponse(response, format){
+    if(format === 'ndjson'){
+        return responseRecords(response).map(function(record){ return JSON.stringify(record) + '\n'; }).join('');
+    }
+    if(format === 'csv') return toCSV(response);
+    return JSON.stringify(response, null, 2) + '\n';
+}
+
+//
+//=== Define The Function ======================================================
+//
+
+/**
+ * Run the `moodle-ws` command line tool.
+ *
+ * Exits with `0` on success, `1` if the call fails, e.g. because Moodle
+ * returned an exception or the site profile couldn't be loaded, and `2` if
+ * the command line is invalid.
+ *
+ * @async
+ * @param {string[]} argv - the arguments, without the node executable &
+ * script, i.e. `process.argv.slice(2)`.
+ * @param {Object} [io] - the environment to run in, defaulting to the
+ * current process.
+ * @param {stream.Readable} [io.stdin]
+ * @param {stream.Writable} [io.stdout]
+ * @param {stream.Writable} [io.stderr]
+ * @param {Object.<string, string>} [io.env]
+ * @param {Transport} [io.transport] - a custom transport for the client,
+ * e.g. a {@link MockMoodleServer}.
+ * @returns {number} Returns a promise of the exit code.
+ */
+function runCLI(argv, io){
+    io = Object.assign({
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        env: process.env
+    }, io);
+    let parsed;
+    return Promise.resolve().then(function(){
+        parsed = parseArgs(argv);
+        if(parsed.options.help){
+            io.stdout.write(USAGE);
+            return null;
+        }
+        if(!parsed.wsFunctionName) throw usageError('no web service function specified');
+        let clientOptions = {};
+        if(parsed.options.insecure) clientOptions.acceptUntrustedTLSCert = true;
+        if(parsed.options.timeout) clientOptions.timeout = parsed.options.timeout;
+        if(io.transport) clientOptions.transport = io.transport;
+        let client;
+        try{
+            if(parsed.options.url || parsed.options.token){
+                let url = parsed.options.url || io.env.MOODLE_WS_URL;
+                let token = parsed.options.token || io.env.MOODLE_WS_TOKEN;
+                if(!url) throw usageError('no site URL specified, use --url or set MOODLE_WS_URL');
+                if(!token) throw usageError('no token specified, use --token or set MOODLE_WS_TOKEN');
+                client = new MoodleWSClient(url, token, clientOptions);
+            }else{
+                client = MoodleWSClient.fromProfile(parsed.options.profile, Object.assign({ env: io.env }, clientOptions));
+            }
+        }catch(err){
+            // profile problems are configuration errors rather than usage errors
+            if(err.isUsageError || err instanceof MoodleWSClient.MoodleWSProfileError) throw err;
+            throw usageError(err.message);
+        }
+        let method = parsed.options.method || MoodleWSClient._httpMethodFor(parsed.wsFunctionName);
+        return buildParams(parsed.paramArgs, io.stdin).then(function(params){
+            return client.submit(method, parsed.wsFunctionName, params);
+        }).then(function(response){
+            io.stdout.write(formatResponse(response, parsed.options.output));
+            return null;
+        });
+    }).then(
+        function(){ return 0; },
+        function(err){
+            if(err.isUsageError || err instanceof validateParams.ValidationError){
+                io.stderr.write(`moodle-ws: ${err.message}\nrun 'moodle-ws --help' for usage\n`);
+                return EXIT_USAGE;
+            }
+            let prefix = err instanceof MoodleWSClient.MoodleWSError ? `${parsed.wsFunctionName} failed` : 'error';
+            io.stderr.write(`moodle-ws: ${prefix}: ${err.message}\n`);
+            if(err.debuginfo) io.stderr.write(`debug info: ${err.debuginfo}\n`);
+            return 1;
+        }
+    );
+}
+
+module.exports = runCLI;
@@ -0,0 +1,409 @@
+/**
+ * @file Provides the class {@link FixtureTransport}, a {@link Transport}
+ * wrapper which records web service calls to a fixture file, or replays them
+ * from one.
+ */
+
+// import requirements
+const fs = require('fs');
+const stream = require('stream');
+const validateParams = require('@maynoothuniversity/validate-params');
+const validate = validateParams.validateJS();
+
+//
+//=== JSDoc ground-work ========================================================
+//
+
+/**
+ * The mode a {@link FixtureTransport} operates in, either `'record'` or
+ * `'replay'`.
+ *
+ * @typedef {string} FixtureMode
+ */
+
+/**
+ * A single recorded web service call as stored in a fixture file. Fixture
+ * files are JSON objects with a `version` and an array of these named
+ * `interactions`.
+ *
+ * @typedef {Object} FixtureInteraction
+ * @property {Object} request
+ * @property {HttpMethod} request.method
+ * @property {string} [request.wsfunction] - the web service function, for
+ * calls to the REST API.
+ * @property {string} [request.path] - the path of the URL, for requests to
+ * any other script, e.g. `/login/token.php`.
+ * @property {Object.<string, string>} request.params - the encoded web service
+ * parameters, or the form or query string parameters for other scripts,
+ * sorted by name, with the token & other sensitive values replaced with
+ * `REDACTED`.
+ * @property {Object} response
+ * @property {number} response.statusCode
+ * @property {Object.<string, string>} response.headers - the response
+ * headers, less any that could hold credentials, e.g. `set-cookie`.
+ * @property {string} response.body - the response body with any occurrences
+ * of the token replaced with `REDACTED`, and any token issued by
+ * `login/token.php` replaced with a placeholder.
+ * @property {string} [response.bodyEncoding] - `'base64'` if the body of a
+ * streamed response, e.g. a file download, is stored base64-encoded.
+ */
+
+//
+//=== Define Globals ===========================================================
+//
+
+/**
+ * The version of the fixture file format.
+ * @private
+ * @type {number}
+ */
+const FIXTURE_VERSION = 1;
+
+/**
+ * The path within a Moodle instance to the REST API.
+ * @private
+ * @type {string}
+ */
+const MOODLE_API_PATH = 'webservice/rest/server.php';
+
+/**
+ * The names of parameters whose values are never written to fixture files.
+ * @private
+ * @type {string[]}
+ */
+const REDACTED_PARAMS = ['wstoken', 'token', 'password'];
+
+/**
+ * The names of response headers which are never written to fixture files,
+ * in lower case.
+ * @private
+ * @type {string[]}
+ */
+const REDACTED_HEADERS = ['set-cookie', 'cookie', 'authorization', 'proxy-authorization'];
+
+/**
+ * The placeholder stored in place of tokens issued by `login/token.php`, a
+ * syntactically valid token so replayed clients can be constructed.
+ * @private
+ * @type {string}
+ */
+const PLACEHOLDER_TOKEN = '00000000000000000000000000000000';
+
+//
+//=== Define The Class =========================================================
+//
+
+/**
+ * A {@link Transport} which records calls to the REST API made through
+ * another transport, or replays previously recorded calls without touching
+ * the network.
+ *
+ * In `record` mode every request is passed on to the wrapped transport, and
+ * the request & response are appended to the fixture file, which is
+ * re-written from scratch on the first call. This includes requests to
+ * scripts other than the REST API, i.e. `login/token.php`,
+ * `webservice/upload.php` & `webservice/pluginfile.php`, so clients created
+ * with [MoodleWSClient.fromCredentials()]{@link MoodleWSClient.fromCredentials},
+ * uploads & downloads can be replayed too. Tokens issued by `login/token.php`
+ * are replaced with a placeholder, and streamed responses are read into
+ * memory so they can be stored.
+ *
+ * In `replay` mode requests are matched against the recorded interactions by
+ * HTTP method, `wsfunction` & encoded parameters for the REST API, or by
+ * HTTP method, URL path & form or query string parameters for other scripts.
+ * Multipart bodies, i.e. uploads, are not compared. Repeated identical calls
+ * are served the matching recordings in the order they were recorded, with
+ * the last one being re-used once they run out. Requests that don't match
+ * any recording are rejected with an error with the `code`
+ * `EFIXTURENOMATCH`.
+ *
+ * The transport is normally created by {@link MoodleWSClient} when the
+ * `fixtures` option is set.
+ */
+class FixtureTransport{
+    /**
+     * @param {Transport} transport - the transport to record calls from.
+     * Not used in replay mode.
+     * @param {Object} options
+     * @param {FixtureMode} options.mode
+     * @param {string} options.path - the path to the fixture file.
+     */
+    constructor(transport, options){
+        /**
+         * The wrapped transport.
+         * @private
+         * @type {Transport}
+         */
+        this._transport = transport;
+
+        /**
+         * The mode.
+         * @private
+         * @type {FixtureMode}
+         */
+        this._mode = options.mode;
+
+        /**
+         * The path to the fixture file.
+         * @private
+         * @type {string}
+         */
+        this._path = options.path;
+
+        /**
+         * A promise of the interactions recorded so far, or loaded from disk.
+         * Loaded lazily on the first request.
+         * @private
+         * @type {?Promise<FixtureInteraction[]>}
+         */
+        this._interactions = null;
+
+        /**
+         * The number of times each interaction has been replayed, indexed by
+         * the interactions' positions in the fixture file.
+         * @private
+         * @type {number[]}
+         */
+        this._replayed = [];
+
+        /**
+         * A promise which resolves when the most recent save has completed,
+         * used to serialise writes to the fixture file.
+         * @private
+         * @type {Promise}
+         */
+        this._saving = Promise.resolve();
+    }
+
+    /**
+     * Make a request, recording or replaying it as appropriate.
+     *
+     * @async
+     * @param {TransportRequest} req
+     * @returns {TransportResponse} Returns a promise of the response.
+     */
+    request(req){
+        let call = FixtureTransport._describeCall(req);
+        if(this._mode === 'replay'){
+            return this._replay(req, call);
+        }
+        return this._record(req, call);
+    }
+
+    /**
+     * Pass a request on to the wrapped transport and record the result.
+     *
+     * @private
+     * @param {TransportRequest} req
+     * @param {{method: string, wsfunction: ?string, path: ?string, params: Object, token: string}} call
+     * @returns {Promise<TransportResponse>}
+     */
+    _record(req, call){
+        let self = this;
+        if(!this._interactions) this._interactions = Promise.resolve([]);
+        return this._transport.request(req).then(function(res){
+            // read streamed bodies into memory so they can be both stored & returned
+            if(res.body && validate.isFunction(res.body.pipe)){
+                return FixtureTransport._readStream(res.body).then(function(buf){
+                    return Object.assign({}, res, { body: buf });
+                });
+            }
+            return res;
+        }).then(function(res){
+            let response = { statusCode: res.statusCode, headers: FixtureTransport._recordedHeaders(res.headers) };
+            if(Buffer.isBuffer(res.body)){
+                response.body = res.body.toString('base64');
+                response.bodyEncoding = 'base64';
+            }else{
+                let body = String(res.body);
+                if(call.token) body = body.split(call.token).join('REDACTED');
+                if(call.path) body = FixtureTransport._scrubIssuedTokens(body);
+                response.body = body;
+            }
+            let request = call.path ?
+                { method: call.method, path: call.path, params: call.params } :
+                { method: call.method, wsfunction: call.wsfunction, params: call.params };
+            return self._interactions.then(function(interactions){
+                interactions.push({ request: request, response: response });
+                let json = JSON.stringify({ version: FIXTURE_VERSION, interactions: interactions }, null, 2) + '\n';
+                let saved = self._saving.then(function(){
+                    return fs.promises.writeFile(self._path, json);
+                });
+                // don't let one failed write block all later ones
+                self._saving = saved.catch(function(){});
+                return saved;
+            }).then(function(){
+                // return the original response, re-streaming it if needed
+                return FixtureTransport._replayResponse(res, req);
+            });
+        });
+    }
+
+    /**
+     * Serve a request from the fixture file.
+     *
+     * @private
+     * @param {TransportRequest} req
+     * @param {{method: string, wsfunction: ?string, path: ?string, params: Object}} call
+     * @returns {Promise<TransportResponse>}
+     */
+    _replay(req, call){
+        let self = this;
+        return this._load().then(function(interactions){
+            let matches = [];
+            interactions.forEach(function(interaction, i){
+                if(FixtureTransport._matches(interaction.request, call)) matches.push(i);
+            });
+            if(!matches.length){
+                let desc = `${call.method} ${call.path || call.wsfunction} ${JSON.stringify(call.params)}`;
+                let err = new Error(`no recorded interaction in fixture file '${self._path}' matches request ${desc}`);
+                err.code = 'EFIXTURENOMATCH';
+                throw err;
+            }
+            let next = matches.find(function(i){ return !self._replayed[i]; });
+            if(!validate.isDefined(next)) next = matches[matches.length - 1];
+            self._replayed[next] = (self._replayed[next] || 0) + 1;
+            return FixtureTransport._replayResponse(interactions[next].response, req);
+        });
+    }
+
+    /**
+     * Load the fixture file, if not already loaded.
+     *
+     * @private
+     * @returns {Promise<FixtureInteraction[]>}
+     */
+    _load(){
+        let self = this;
+        if(!this._interactions){
+            this._interactions = fs.promises.readFile(this._path, 'utf8').then(function(json){
+                let fixture = JSON.parse(json);
+                if(!fixture || fixture.version !== FIXTURE_VERSION || !validate.isArray(fixture.interactions)){
+                    throw new Error(`unsupported fixture file format in '${self._path}'`);
+                }
+                return fixture.interactions;
+            });
+        }
+        return this._interactions;
+    }
+}
+
+/**
+ * Describe a request in the form recorded in fixture files. Requests to the
+ * REST API are described by their `wsfunction`, others by their URL path.
+ *
+ * @private
+ * @param {TransportRequest} req
+ * @returns {{method: string, wsfunction: ?string, path: ?string, params: Object, token: string}}
+ */
+FixtureTransport._describeCall = function(req){
+    let pathname = new URL(req.url).pathname;
+    let isAPI = pathname.endsWith('/' + MOODLE_API_PATH);
+    let flatParams = Object.assign({}, req.qs);
+    if(validate.isString(req.body)){
+        new URLSearchParams(req.body).forEach(function(v, k){ flatParams[k] = v; });
+    }
+    let params = {};
+    for(let param of Object.keys(flatParams).sort()){
+        // match both top-level & nested parameters, e.g. users[0][password]
+        let name = param.replace(/^.*\[([^\]]*)\]$/, '$1');
+        params[param] = REDACTED_PARAMS.includes(name) ? 'REDACTED' : String(flatParams[param]);
+    }
+    return {
+        method: req.method,
+        wsfunction: isAPI ? flatParams.wsfunction : null,
+        path: isAPI ? null : pathname,
+        params: params,
+        token: flatParams.wstoken || flatParams.token
+    };
+};
+
+/**
+ * Get the response headers to record, without any that could hold
+ * credentials.
+ *
+ * @private
+ * @param {Object.<string, string>} [headers]
+ * @returns {Object.<string, string>}
+ */
+FixtureTransport._recordedHeaders = function(headers){
+    let ans = {};
+    for(let name of Object.keys(headers || {})){
+        if(!REDACTED_HEADERS.includes(name.toLowerCase())) ans[name] = headers[name];
+    }
+    return ans;
+};
+
+/**
+ * Test whether a recorded request matches a call.
+ *
+ * @private
+ * @param {Object} recorded - the `request` from a {@link FixtureInteraction}.
+ * @param {{method: string, wsfunction: ?string, path: ?string, params: Object}} call
+ * @returns {boolean}
+ */
+FixtureTransport._matches = function(recorded, call){
+    if(recorded.method !== call.method) return false;
+    if(call.path ? recorded.path !== call.path : (recorded.path || recorded.wsfunction !== call.wsfunction)) return false;
+    let recordedKeys = Object.keys(recorded.params || {}).sort();
+    let callKeys = Object.keys(call.params);
+    return recordedKeys.length === callKeys.length && recordedKeys.every(function(k, i){
+        return k === callKeys[i] && recorded.params[k] === call.params[k];
+    });
+};
+
+/**
+ * Build the response to return for a recorded response, decoding stored
+ * binary bodies and returning them as streams if a stream was requested.
+ *
+ * @private
+ * @param {Object} recorded - the `response` from a {@link FixtureInteraction},
+ * or a live response whose streamed body has been read into a Buffer.
+ * @param {TransportRequest} req
+ * @returns {TransportResponse}
+ */
+FixtureTransport._replayResponse = function(recorded, req){
+    let res = { statusCode: recorded.statusCode, headers: Object.assign({}, recorded.headers), body: recorded.body };
+    if(recorded.bodyEncoding === 'base64') res.body = Buffer.from(recorded.body, 'base64');
+    if(req.stream) res.body = stream.Readable.from([Buffer.from(res.body)]);
+    return res;
+};
+
+/**
+ * Replace the tokens in a JSON response from `login/token.php` with a
+ * placeholder, so they are never written to fixture files.
+ *
+ * @private
+ * @param {string} body
+ * @returns {string} Returns the body unaltered if it's not a token response.
+ */
+FixtureTransport._scrubIssuedTokens = function(body){
+    let data;
+    try{
+        data = JSON.parse(body);
+    }catch(err){
+        return body;
+    }
+    if(!validate.isObject(data) || !validate.isString(data.token)) return body;
+    data.token = PLACEHOLDER_TOKEN;
+    if(validate.isString(data.privatetoken)) data.privatetoken = PLACEHOLDER_TOKEN;
+    return JSON.stringify(data);
+};
+
+/**
+ * Read a stream into a Buffer.
+ *
+ * @private
+ * @param {stream.Readable} readable
+ * @returns {Promise<Buffer>}
+ */
+FixtureTransport._readStream = function(readable){
+    return new Promise(function(resolve, reject){
+        let chunks = [];
+        readable.on('data', function(chunk){ chunks.push(Buffer.from(chunk)); });
+        readable.on('end', function(){ resolve(Buffer.concat(chunks)); });
+        readable.on('error', reject);
+    });
+};
+
+module.exports = FixtureTransport;
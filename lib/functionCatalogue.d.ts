@@ -0,0 +1,284 @@
+// Generated by lib/typeScriptGenerator.js - do not edit by hand.
+
+import "./moodleWSClient";
+
+/** Parameters for core_course_get_categories - Return category details */
+export interface CoreCourseGetCategoriesParameters {
+    /** criteria */
+    criteria?: Array<{
+        /** The category column to search */
+        key: string;
+        /** the value to match */
+        value: string;
+    }>;
+    /** return the sub categories infos (1 - default) otherwise only the category info (0) */
+    addsubcategories?: boolean | 0 | 1;
+}
+
+/** Response from core_course_get_categories */
+export type CoreCourseGetCategoriesResponse = any;
+
+/** Parameters for core_course_get_courses - Return course details */
+export interface CoreCourseGetCoursesParameters {
+    /** options - operator OR is used */
+    options?: {
+        /** List of course id. If empty return all courses except front page course. */
+        ids?: Array<number>;
+    };
+}
+
+/** Response from core_course_get_courses */
+export type CoreCourseGetCoursesResponse = any;
+
+/** Parameters for core_enrol_get_enrolled_users - Get enrolled users by course id. */
+export interface CoreEnrolGetEnrolledUsersParameters {
+    /** course id */
+    courseid: number;
+    /** Option names */
+    options?: Array<{
+        /** option name */
+        name: string;
+        /** option value */
+        value: string;
+    }>;
+}
+
+/** Response from core_enrol_get_enrolled_users */
+export type CoreEnrolGetEnrolledUsersResponse = any;
+
+/** Parameters for core_group_add_group_members - Adds group members. */
+export interface CoreGroupAddGroupMembersParameters {
+    members: Array<{
+        /** group record id */
+        groupid: number;
+        /** user id */
+        userid: number;
+    }>;
+}
+
+/** Response from core_group_add_group_members */
+export type CoreGroupAddGroupMembersResponse = null;
+
+/** Parameters for core_group_delete_group_members - Deletes group members. */
+export interface CoreGroupDeleteGroupMembersParameters {
+    members: Array<{
+        /** group record id */
+        groupid: number;
+        /** user id */
+        userid: number;
+    }>;
+}
+
+/** Response from core_group_delete_group_members */
+export type CoreGroupDeleteGroupMembersResponse = null;
+
+/** Parameters for core_user_create_users - Create users. */
+export interface CoreUserCreateUsersParameters {
+    users: Array<{
+        createpassword?: boolean | 0 | 1;
+        /** Username policy is defined in Moodle security config. */
+        username: string;
+        auth?: string;
+        password?: string;
+        firstname: string;
+        lastname: string;
+        email: string;
+        maildisplay?: number;
+        city?: string;
+        country?: string;
+        timezone?: string;
+        description?: string;
+        firstnamephonetic?: string;
+        lastnamephonetic?: string;
+        middlename?: string;
+        alternatename?: string;
+        interests?: string;
+        url?: string;
+        icq?: string;
+        skype?: string;
+        aim?: string;
+        yahoo?: string;
+        msn?: string;
+        idnumber?: string;
+        institution?: string;
+        department?: string;
+        phone1?: string;
+        phone2?: string;
+        address?: string;
+        lang?: string;
+        calendartype?: string;
+        theme?: string;
+        mailformat?: number;
+        /** User custom fields (also known as user profile fields) */
+        customfields?: Array<{
+            /** The name of the custom field */
+            type: string;
+            /** The value of the custom field */
+            value: string;
+        }>;
+        /** User preferences */
+        preferences?: Array<{
+            /** The name of the preference */
+            type: string;
+            /** The value of the preference */
+            value: string;
+        }>;
+    }>;
+}
+
+/** Response from core_user_create_users */
+export type CoreUserCreateUsersResponse = any;
+
+/** Parameters for core_user_delete_users - Delete users. */
+export interface CoreUserDeleteUsersParameters {
+    userids: Array<number>;
+}
+
+/** Response from core_user_delete_users */
+export type CoreUserDeleteUsersResponse = null;
+
+/** Parameters for core_user_get_users - search for users matching the parameters */
+export interface CoreUserGetUsersParameters {
+    /** the key/value pairs to be considered in user search */
+    criteria: Array<{
+        /** the user column to search, expected keys (value format) are: id, lastname, firstname, idnumber, username, email, auth */
+        key: string;
+        /** the value to search */
+        value: string;
+    }>;
+}
+
+/** Response from core_user_get_users */
+export type CoreUserGetUsersResponse = any;
+
+/** Parameters for core_user_get_users_by_field - Retrieve users' information for a specified unique field */
+export interface CoreUserGetUsersByFieldParameters {
+    /** the search field can be 'id' or 'idnumber' or 'username' or 'email' */
+    field: string;
+    values: Array<string>;
+}
+
+/** Response from core_user_get_users_by_field */
+export type CoreUserGetUsersByFieldResponse = any;
+
+/** Parameters for core_user_update_users - Update users. */
+export interface CoreUserUpdateUsersParameters {
+    users: Array<{
+        /** ID of the user */
+        id: number;
+        username?: string;
+        auth?: string;
+        suspended?: boolean | 0 | 1;
+        password?: string;
+        firstname?: string;
+        lastname?: string;
+        email?: string;
+        maildisplay?: number;
+        city?: string;
+        country?: string;
+        timezone?: string;
+        description?: string;
+        firstnamephonetic?: string;
+        lastnamephonetic?: string;
+        middlename?: string;
+        alternatename?: string;
+        interests?: string;
+        url?: string;
+        icq?: string;
+        skype?: string;
+        aim?: string;
+        yahoo?: string;
+        msn?: string;
+        idnumber?: string;
+        institution?: string;
+        department?: string;
+        phone1?: string;
+        phone2?: string;
+        address?: string;
+        lang?: string;
+        calendartype?: string;
+        theme?: string;
+        mailformat?: number;
+        userpicture?: number;
+        /** User custom fields (also known as user profile fields) */
+        customfields?: Array<{
+            /** The name of the custom field */
+            type: string;
+            /** The value of the custom field */
+            value: string;
+        }>;
+        /** User preferences */
+        preferences?: Array<{
+            /** The name of the preference */
+            type: string;
+            /** The value of the preference */
+            value: string;
+        }>;
+    }>;
+}
+
+/** Response from core_user_update_users */
+export type CoreUserUpdateUsersResponse = null;
+
+/** Parameters for core_webservice_get_site_info - Return some site info / user info / list web service functions */
+export interface CoreWebserviceGetSiteInfoParameters {
+    /** DEPRECATED PARAMETER - it was a design error in the original implementation. It is ignored now. */
+    serviceshortnames?: Array<string>;
+}
+
+/** Response from core_webservice_get_site_info */
+export type CoreWebserviceGetSiteInfoResponse = any;
+
+/** Parameters for enrol_manual_enrol_users - Manual enrol users */
+export interface EnrolManualEnrolUsersParameters {
+    enrolments: Array<{
+        /** Role to assign to the user */
+        roleid: number;
+        /** The user that is going to be enrolled */
+        userid: number;
+        /** The course to enrol the user role in */
+        courseid: number;
+        /** Timestamp when the enrolment start */
+        timestart?: number;
+        /** Timestamp when the enrolment end */
+        timeend?: number;
+        /** set to 1 to suspend the enrolment */
+        suspend?: number;
+    }>;
+}
+
+/** Response from enrol_manual_enrol_users */
+export type EnrolManualEnrolUsersResponse = null;
+
+/** Parameters for enrol_manual_unenrol_users - Manual unenrol users */
+export interface EnrolManualUnenrolUsersParameters {
+    enrolments: Array<{
+        /** The user that is going to be unenrolled */
+        userid: number;
+        /** The course to unenrol the user from */
+        courseid: number;
+        /** The user role */
+        roleid?: number;
+    }>;
+}
+
+/** Response from enrol_manual_unenrol_users */
+export type EnrolManualUnenrolUsersResponse = null;
+
+declare module "./moodleWSClient" {
+    interface WSFunctions {
+        core_course_get_categories: { parameters: CoreCourseGetCategoriesParameters; returns: CoreCourseGetCategoriesResponse };
+        core_course_get_courses: { parameters: CoreCourseGetCoursesParameters; returns: CoreCourseGetCoursesResponse };
+        core_enrol_get_enrolled_users: { parameters: CoreEnrolGetEnrolledUsersParameters; returns: CoreEnrolGetEnrolledUsersResponse };
+        core_group_add_group_members: { parameters: CoreGroupAddGroupMembersParameters; returns: CoreGroupAddGroupMembersResponse };
+        core_group_delete_group_members: { parameters: CoreGroupDeleteGroupMembersParameters; returns: CoreGroupDeleteGroupMembersResponse };
+        core_user_create_users: { parameters: CoreUserCreateUsersParameters; returns: CoreUserCreateUsersResponse };
+        core_user_delete_users: { parameters: CoreUserDeleteUsersParameters; returns: CoreUserDeleteUsersResponse };
+        core_user_get_users: { parameters: CoreUserGetUsersParameters; returns: CoreUserGetUsersResponse };
+        core_user_get_users_by_field: { parameters: CoreUserGetUsersByFieldParameters; returns: CoreUserGetUsersByFieldResponse };
+        core_user_update_users: { parameters: CoreUserUpdateUsersParameters; returns: CoreUserUpdateUsersResponse };
+        core_webservice_get_site_info: { parameters: CoreWebserviceGetSiteInfoParameters; returns: CoreWebserviceGetSiteInfoResponse };
+        enrol_manual_enrol_users: { parameters: EnrolManualEnrolUsersParameters; returns: EnrolManualEnrolUsersResponse };
+        enrol_manual_unenrol_users: { parameters: EnrolManualUnenrolUsersParameters; returns: EnrolManualUnenrolUsersResponse };
+    }
+}
@@ -0,0 +1,355 @@
+/**
+ * @file Provides the class {@link FunctionCatalogue}, a collection of
+ * descriptions of Moodle web service functions which can be used to validate
+ * web service parameters and responses.
+ */
+
+// import requirements
+const fs = require('fs');
+const path = require('path');
+const validateParams = require('@maynoothuniversity/validate-params');
+const validate = validateParams.validateJS();
+
+//
+//=== JSDoc ground-work ========================================================
+//
+
+/**
+ * A description of a piece of web service data, mirroring the
+ * `external_description` classes Moodle uses to describe its web service
+ * functions. There are three types of description:
+ *
+ * * `{ type: 'value', paramtype: 'int' }` - equivalent to `external_value`.
+ *   The `paramtype` is the value of one of Moodle's `PARAM_*` constants, e.g.
+ *   `int`, `float`, `bool`, `text`, `raw` or `alphanumext`. Values also
+ *   support `allownull`, which defaults to `true` like it does in Moodle.
+ * * `{ type: 'single', keys: { ... } }` - equivalent to
+ *   `external_single_structure`. The `keys` map names to descriptions.
+ * * `{ type: 'multiple', content: { ... } }` - equivalent to
+ *   `external_multiple_structure`. The `content` describes each entry.
+ *
+ * All types support `required` (defaults to `true`), `default` & `desc`.
+ *
+ * @typedef {Object} WSStructure
+ * @property {string} type - one of `'value'`, `'single'` or `'multiple'`.
+ * @property {boolean} [required=true]
+ * @property {*} [default] - the value Moodle uses if the data is omitted.
+ * @property {string} [desc] - a human-friendly description.
+ * @property {string} [paramtype] - for values, the Moodle parameter type.
+ * @property {boolean} [allownull=true] - for values, whether `null` is
+ * permitted.
+ * @property {Object.<string, WSStructure>} [keys] - for single structures,
+ * the descriptions of the keys.
+ * @property {WSStructure} [content] - for multiple structures, the
+ * description of each entry.
+ */
+
+/**
+ * A description of a Moodle web service function.
+ *
+ * @typedef {Object} WSFunctionDescription
+ * @property {WSStructure} parameters - a single structure describing the
+ * function's parameters, equivalent to `external_function_parameters`.
+ * @property {?WSStructure} [returns] - a description of the function's
+ * return value. `null` means the function returns nothing, while omitting
+ * the key means the return value is not described.
+ * @property {string} [type] - `'read'` or `'write'`.
+ * @property {string} [description] - a human-friendly description.
+ */
+
+/**
+ * A single problem found when validating data against a {@link WSStructure}.
+ *
+ * @typedef {Object} WSSchemaProblem
+ * @property {string} path - the location of the problem within the data in
+ * the same form as encoded web service parameters, e.g.
+ * `users[3][customfields][0][value]`. Empty for the data as a whole.
+ * @property {string} message - a description of the problem, e.g.
+ * `is required`.
+ */
+
+//
+//=== Define Globals ===========================================================
+//
+
+/**
+ * The path to the catalogue bundled with this module.
+ * @private
+ * @type {string}
+ */
+const BUNDLED_CATALOGUE_PATH = path.join(__dirname, 'functionCatalogue.json');
+
+//
+//=== Register the Custom Validator ============================================
+//
+
+/**
+ * A validate.js validator which checks a value is acceptable for a Moodle
+ * parameter type. The options are the parameter type, and whether or not
+ * `null` is allowed. Dates are accepted as integers because they are encoded
+ * as timestamps, and booleans are accepted as integers because they are
+ * encoded as `0` or `1`.
+ *
+ * validate.js looks validators up by name, so this has to be registered on
+ * the validate.js instance shared with validate-params, which makes it
+ * visible to any other code using that instance. It is given a name
+ * prefixed with this module's name to avoid clashing with other validators.
+ *
+ * @private
+ * @param {*} value
+ * @param {{paramtype: string, allownull: boolean}} options
+ * @returns {(string|undefined)}
+ */
+validate.validators.moodleWSClient_paramType = function(value, options){
+    if(typeof value === 'undefined') return undefined;
+    if(value === null) return options.allownull ? undefined : 'cannot be null';
+    let paramtype = String(options.paramtype).toLowerCase();
+    let isNumeric = function(v){
+        return (validate.isNumber(v) || (validate.isString(v) && v.trim() !== '')) && isFinite(Number(v));
+    };
+    let isTimestamp = validate.isDate(value) || (value && typeof value.isValid === 'function' && typeof value.unix === 'function');
+    if(paramtype === 'bool'){
+        if(validate.isBoolean(value) || [0, 1, '0', '1'].includes(value)) return undefined;
+        return 'must be a boolean';
+    }
+    if(paramtype === 'int'){
+        if(validate.isBoolean(value) || isTimestamp || (isNumeric(value) && Number.isInteger(Number(value)))) return undefined;
+        return 'must be an integer';
+    }
+    if(paramtype === 'float'){
+        if(validate.isBoolean(value) || isTimestamp || isNumeric(value)) return undefined;
+        return 'must be a number';
+    }
+    if(validate.isString(value) || validate.isNumber(value)) return undefined;
+    return 'must be a string';
+};
+
+//
+//=== Define The Class =========================================================
+//
+
+/**
+ * A catalogue of {@link WSFunctionDescription}s indexed by web service
+ * function name.
+ *
+ * Catalogues are plain JSON objects, so they can be loaded from the one
+ * bundled with this module, which describes the parameters of some commonly
+ * used core functions, or from a file exported from a specific Moodle site.
+ *
+ * @example
+ * const catalogue = FunctionCatalogue.fromFile('./mySiteFunctions.json');
+ * catalogue.validateParameters('core_user_delete_users', { userids: ['x'] });
+ * // returns [ { path: 'userids[0]', message: 'must be an integer' } ]
+ */
+class FunctionCatalogue{
+    /**
+     * Note that this constructor will throw a {@link ValidationError} if
+     * invalid parameters are passed.
+     *
+     * @param {Object.<string, WSFunctionDescription>} descriptions
+     * @throws {ValidationError} A validation error is thrown when invalid
+     * parameters are passed.
+     */
+    constructor(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'descriptions',
+            defined: true,
+            dictionary: {
+                valueConstraints: {
+                    dictionary: {
+                        mapConstraints: {
+                            parameters: { presence: true, dictionary: true }
+                        }
+                    }
+                }
+            }
+        }]);
+
+        /**
+         * The function descriptions.
+         * @private
+         * @type {Object.<string, WSFunctionDescription>}
+         */
+        this._descriptions = Object.assign({}, args.descriptions);
+    }
+
+    /**
+     * Get the names of all the functions in the catalogue.
+     *
+     * @returns {WsFunctionName[]}
+     */
+    functionNames(){
+        return Object.keys(this._descriptions).sort();
+    }
+
+    /**
+     * Test whether the catalogue describes a given function.
+     *
+     * @param {WsFunctionName} wsFunctionName
+     * @returns {boolean}
+     */
+    has(wsFunctionName){
+        return Object.prototype.hasOwnProperty.call(this._descriptions, wsFunctionName);
+    }
+
+    /**
+     * Get the description of a function.
+     *
+     * @param {WsFunctionName} wsFunctionName
+     * @returns {(WSFunctionDescription|undefined)}
+     */
+    describe(wsFunctionName){
+        return this.has(wsFunctionName) ? this._descriptions[wsFunctionName] : undefined;
+    }
+
+    /**
+     * Validate web service parameters against a function's description.
+     * Missing required keys, values of the wrong type and unknown keys are
+     * all reported. `Set`s & `Map`s are accepted wherever lists & objects
+     * are, as they are by
+     * [MoodleWSClient.encodeWSArguments()]{@link MoodleWSClient.encodeWSArguments}.
+     *
+     * @param {WsFunctionName} wsFunctionName
+     * @param {PlainObject} wsParameters - the parameters as a regular
+     * JavaScript data structure, i.e. before encoding.
+     * @returns {WSSchemaProblem[]} Returns an empty array if the parameters
+     * are valid, or if the function is not in the catalogue.
+     */
+    validateParameters(wsFunctionName, wsParameters){
+        if(!this.has(wsFunctionName)) return [];
+        return FunctionCatalogue._validate(FunctionCatalogue._plainParameters(wsParameters), this._descriptions[wsFunctionName].parameters, false);
+    }
+
+    /**
+     * Validate a parsed web service response against a function's
+     * description. Optional keys may be `null`, as Moodle returns them that
+     * way.
+     *
+     * @param {WsFunctionName} wsFunctionName
+     * @param {*} response
+     * @returns {WSSchemaProblem[]} Returns an empty array if the response is
+     * valid, or if the function's return value is not described.
+     */
+    validateResponse(wsFunctionName, response){
+        let desc = this.describe(wsFunctionName);
+        if(!desc || !('returns' in desc)) return [];
+        if(desc.returns === null){
+            return response === null ? [] : [{ path: '', message: 'should be null' }];
+        }
+        return FunctionCatalogue._validate(response, desc.returns, true);
+    }
+}
+
+/**
+ * Load a catalogue from a JSON file.
+ *
+ * @param {string} filePath
+ * @returns {FunctionCatalogue}
+ * @throws {Error} An error is thrown if the file can't be read or parsed.
+ */
+FunctionCatalogue.fromFile = function(filePath){
+    return new FunctionCatalogue(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+};
+
+/**
+ * Load the catalogue bundled with this module.
+ *
+ * @returns {FunctionCatalogue}
+ */
+FunctionCatalogue.bundled = function(){
+    return FunctionCatalogue.fromFile(BUNDLED_CATALOGUE_PATH);
+};
+
+/**
+ * Convert the `Set`s & `Map`s in web service parameters into arrays & plain
+ * objects, the way they are encoded, so they can be validated.
+ *
+ * @private
+ * @param {*} data
+ * @returns {*}
+ */
+FunctionCatalogue._plainParameters = function(data){
+    if(validate.isArray(data) || data instanceof Set){
+        return Array.from(data).map(FunctionCatalogue._plainParameters); // BEWARE - recursion!
+    }
+    if(data instanceof Map){
+        let ans = {};
+        for(let [k, v] of data){
+            ans[k] = FunctionCatalogue._plainParameters(v); // BEWARE - recursion!
+        }
+        return ans;
+    }
+    if(validateParams.isPlainObject(data)){
+        let ans = {};
+        for(let k in data){
+            ans[k] = FunctionCatalogue._plainParameters(data[k]); // BEWARE - recursion!
+        }
+        return ans;
+    }
+    return data;
+};
+
+/**
+ * Convert a {@link WSStructure} into validateParams constraints.
+ *
+ * @private
+ * @param {WSStructure} structure
+ * @param {boolean} isResponse - whether the constraints are for a response,
+ * in which case optional data may be `null`.
+ * @returns {ValidateParamsConstraints}
+ */
+FunctionCatalogue._constraints = function(structure, isResponse){
+    let required = structure.required !== false;
+    let cons = {};
+    if(required) cons.defined = true;
+    switch(structure.type){
+        case 'single': {
+            let mapConstraints = {};
+            for(let key in structure.keys || {}){
+                mapConstraints[key] = FunctionCatalogue._constraints(structure.keys[key], isResponse); // BEWARE - recursion!
+            }
+            cons.dictionary = { rejectUnspecifiedKeys: true, mapConstraints: mapConstraints };
+            break;
+        }
+        case 'multiple':
+            cons.list = { valueConstraints: FunctionCatalogue._constraints(structure.content, isResponse) }; // BEWARE - recursion!
+            break;
+        default:
+            cons.moodleWSClient_paramType = {
+                paramtype: structure.paramtype,
+                allownull: structure.allownull !== false || (isResponse && !required)
+            };
+    }
+    return cons;
+};
+
+/**
+ * Validate data against a {@link WSStructure}.
+ *
+ * @private
+ * @param {*} data
+ * @param {WSStructure} structure
+ * @param {boolean} isResponse
+ * @returns {WSSchemaProblem[]}
+ */
+FunctionCatalogue._validate = function(data, structure, isResponse){
+    if(isResponse && data === null && structure.required === false) return [];
+    let cons = validateParams.extendObject({ vpopt_name: 'data' }, FunctionCatalogue._constraints(structure, isResponse));
+    let res = validateParams.validate([data], [cons], { format: 'detailed', fullMessages: false });
+    let errors = res.errors() || [];
+    return errors.map(function(err){
+        let parts = err.attribute.split('.').slice(1);
+        let message = err.error;
+        let unknownKey = message.match(/^key '(.*)' is not permitted$/);
+        if(unknownKey){
+            parts.push(unknownKey[1]);
+            message = 'is not an expected key';
+        }else if(message === 'cannot be undefined'){
+            message = 'is required';
+        }
+        let keyPath = parts.length ? parts[0] + parts.slice(1).map(function(p){ return '[' + p + ']'; }).join('') : '';
+        return { path: keyPath, message: message };
+    });
+};
+
+module.exports = FunctionCatalogue;
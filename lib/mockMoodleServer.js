@@ -0,0 +1,537 @@
+/**
+ * @file Provides the class {@link MockMoodleServer}, an offline stand-in for
+ * a Moodle instance's REST API for use when testing code built on
+ * {@link MoodleWSClient}.
+ */
+
+// import requirements
+const http = require('http');
+const https = require('https');
+const validateParams = require('@maynoothuniversity/validate-params');
+const validate = validateParams.validateJS();
+
+//
+//=== JSDoc ground-work ========================================================
+//
+
+/**
+ * A function which implements a web service function on a
+ * {@link MockMoodleServer}.
+ *
+ * The handler's return value (or the value its promise resolves to) is sent
+ * back as the response data. Throwing an error created with
+ * {@link MockMoodleServer.exception} produces a Moodle-shaped exception
+ * response, any other error is reported as a generic `moodle_exception`.
+ *
+ * @callback MockWSHandler
+ * @param {PlainObject} wsParameters - the web service parameters decoded back
+ * into a regular JavaScript data structure with
+ * {@link MoodleWSClient.decodeWSArguments}. Note that all scalar values are
+ * strings.
+ * @param {MockWSCall} call - details of the call being handled.
+ * @returns {*}
+ */
+
+/**
+ * A record of a single web service call received by a
+ * {@link MockMoodleServer}.
+ *
+ * @typedef {Object} MockWSCall
+ * @property {HttpMethod} method
+ * @property {string} wsfunction
+ * @property {string} wstoken
+ * @property {WSDataFormat} format
+ * @property {PlainObject} params - the decoded web service parameters.
+ */
+
+//
+//=== Define Globals ===========================================================
+//
+
+/**
+ * The path within a Moodle instance to the REST API.
+ * @private
+ * @type {string}
+ */
+const MOODLE_API_PATH = 'webservice/rest/server.php';
+
+/**
+ * The token accepted when no tokens are specified.
+ * @private
+ * @type {string}
+ */
+const DEFAULT_TOKEN = '0123456789abcdef0123456789abcdef';
+
+/**
+ * The default site information returned by the built-in
+ * `core_webservice_get_site_info` handler.
+ * @private
+ * @type {PlainObject}
+ */
+const DEFAULT_SITE_INFO = {
+    sitename: 'Mock Moodle',
+    username: 'wsuser',
+    firstname: 'Web',
+    lastname: 'Service',
+    fullname: 'Web Service',
+    lang: 'en',
+    userid: 2,
+    userpictureurl: '',
+    downloadfiles: 1,
+    uploadfiles: 1,
+    release: '3.9 (Build: 20200615)',
+    version: '2020061500',
+    mobilecssurl: ''
+};
+
+//
+//=== Define The Class =========================================================
+//
+
+/**
+ * An in-process imitation of `webservice/rest/server.php`.
+ *
+ * The server is a {@link Transport}, so it can be passed directly to a
+ * {@link MoodleWSClient} via the `transport` option for fully in-memory
+ * tests, or it can be started on a local HTTP port with
+ * {@link MockMoodleServer#listen} for code that creates its own clients.
+ *
+ * Web service functions are implemented by registering a
+ * {@link MockWSHandler} for each function name. A handler for
+ * `core_webservice_get_site_info` is built in, so
+ * {@link MoodleWSClient#ping} works out of the box. Every request's token is
+ * checked, and unknown tokens or functions produce the same exceptions a real
+ * Moodle server would.
+ *
+ * @example
+ * const MoodleWSClient = require('@maynoothuniversity/moodle-ws-client');
+ * const mock = new MoodleWSClient.MockMoodleServer();
+ * mock.addFunction('core_user_get_users_by_field', function(params){
+ *     return params.values.map(function(v){ return { id: 42, username: v }; });
+ * });
+ * const moodle = new MoodleWSClient('https://moodle.example.com/', MoodleWSClient.MockMoodleServer.DEFAULT_TOKEN, { transport: mock });
+ */
+class MockMoodleServer{
+    /**
+     * Note that this constructor will throw a {@link ValidationError} if
+     * invalid parameters are passed.
+     *
+     * @param {Object} [options]
+     * @param {string[]} [options.tokens] - the tokens the server should
+     * accept, defaults to just {@link MockMoodleServer.DEFAULT_TOKEN}.
+     * @param {PlainObject} [options.siteInfo] - values to merge into the
+     * response of the built-in `core_webservice_get_site_info` handler.
+     * @param {Object.<string, MockWSHandler>} [options.functions] - handlers
+     * to register, indexed by web service function name.
+     * @throws {ValidationError} A validation error is thrown when invalid
+     * parameters are passed.
+     */
+    constructor(){
+        let args = validateParams.assert(arguments, [{
+            paramOptions: {
+                name: 'options',
+                defaultWhenUndefined: {}
+            },
+            dictionary: {
+                mapConstraints: {
+                    tokens: {
+                        list: {
+                            minimumLength: 1,
+                            valueConstraints: { hasTypeof: 'string', presence: true }
+                        }
+                    },
+                    siteInfo: { dictionary: true },
+                    functions: {
+                        dictionary: {
+                            valueConstraints: { hasTypeof: 'function' }
+                        }
+                    }
+                }
+            }
+        }]);
+
+        /**
+         * The accepted tokens.
+         * @private
+         * @type {Set.<string>}
+         */
+        this._tokens = new Set(args.options.tokens || [DEFAULT_TOKEN]);
+
+        /**
+         * The site information overrides.
+         * @private
+         * @type {PlainObject}
+         */
+        this._siteInfo = args.options.siteInfo || {};
+
+        /**
+         * The registered handlers indexed by web service function name.
+         * @private
+         * @type {Map.<string, MockWSHandler>}
+         */
+        this._handlers = new Map();
+
+        /**
+         * The calls received so far.
+         * @private
+         * @type {MockWSCall[]}
+         */
+        this._calls = [];
+
+        /**
+         * The HTTP server, if the mock is listening.
+         * @private
+         * @type {?http.Server}
+         */
+        this._server = null;
+
+        // register the built-in and user-supplied handlers
+        let self = this;
+        this.addFunction('core_webservice_get_site_info', function(params, call){
+            return self._siteInfoResponse(call);
+        });
+        let functions = args.options.functions || {};
+        for(let name in functions){
+            this.addFunction(name, functions[name]);
+        }
+    }
+
+    /**
+     * Register (or replace) the handler for a web service function.
+     *
+     * @param {WsFunctionName} wsFunctionName
+     * @param {MockWSHandler} handler
+     * @returns {MockMoodleServer} Returns a reference to self to facilitate
+     * function chaining.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed.
+     */
+    addFunction(){
+        let args = validateParams.assert(arguments, [
+            {
+                vpopt_name: 'wsFunctionName',
+                presence: true,
+                hasTypeof: 'string',
+                format: /^[a-zA-Z0-9_]+$/
+            },
+            {
+                vpopt_name: 'handler',
+                presence: true,
+                hasTypeof: 'function'
+            }
+        ]);
+        this._handlers.set(args.wsFunctionName, args.handler);
+        return this;
+    }
+
+    /**
+     * Accept an additional token.
+     *
+     * @param {string} token
+     * @returns {MockMoodleServer} Returns a reference to self to facilitate
+     * function chaining.
+     */
+    addToken(token){
+        this._tokens.add(String(token));
+        return this;
+    }
+
+    /**
+     * Get the calls received so far, oldest first.
+     *
+     * @returns {MockWSCall[]}
+     */
+    calls(){
+        return this._calls.slice();
+    }
+
+    /**
+     * Forget all calls received so far.
+     *
+     * @returns {MockMoodleServer} Returns a reference to self to facilitate
+     * function chaining.
+     */
+    resetCalls(){
+        this._calls = [];
+        return this;
+    }
+
+    /**
+     * Handle a request as a {@link Transport}. Requests for anything other
+     * than the REST API receive a `404` response.
+     *
+     * @async
+     * @param {TransportRequest} req
+     * @returns {TransportResponse} Returns a promise of the response.
+     */
+    request(req){
+        let self = this;
+        return Promise.resolve().then(function(){
+            let target = new URL(req.url);
+            if(!target.pathname.endsWith('/' + MOODLE_API_PATH)){
+                return { statusCode: 404, headers: { 'content-type': 'text/plain' }, body: 'Not Found' };
+            }
+
+            // gather up the parameters from the query string and body
+            let flatParams = {};
+            target.searchParams.forEach(function(v, k){ flatParams[k] = v; });
+            Object.assign(flatParams, req.qs);
+            if(!validate.isEmpty(req.body)){
+                new URLSearchParams(String(req.body)).forEach(function(v, k){ flatParams[k] = v; });
+            }
+            let format = flatParams.moodlewsrestformat === 'json' ? 'json' : 'xml';
+            let call = {
+                method: req.method,
+                wsfunction: flatParams.wsfunction,
+                wstoken: flatParams.wstoken,
+                format: format
+            };
+            let wsParameters = Object.assign({}, flatParams);
+            for(let reserved of ['wstoken', 'wsfunction', 'moodlewsrestformat']){
+                delete wsParameters[reserved];
+            }
+            call.params = require('./moodleWSClient.js').decodeWSArguments(wsParameters);
+            self._calls.push(call);
+
+            // dispatch the call and render the outcome
+            return self._dispatch(call).then(
+                function(data){
+                    return MockMoodleServer._response(data, format);
+                },
+                function(err){
+                    return MockMoodleServer._response(MockMoodleServer._exceptionData(err), format);
+                }
+            );
+        });
+    }
+
+    /**
+     * Start serving the mock on a local port.
+     *
+     * Note that {@link MoodleWSClient} only accepts `https` URLs, so to point
+     * a client at a listening mock a TLS key and certificate must be supplied,
+     * and the client must be configured to trust the certificate, e.g. with
+     * the `acceptUntrustedTLSCert` option. Tests that don't need a real socket
+     * should pass the mock to the client as its `transport` instead.
+     *
+     * @async
+     * @param {Object} [options]
+     * @param {number} [options.port=0] - the port to listen on, a random free
+     * port is chosen by default.
+     * @param {(string|Buffer)} [options.key] - a private key in PEM format.
+     * @param {(string|Buffer)} [options.cert] - a certificate in PEM format. The
+     * mock is served over HTTPS if both a key and certificate are given, and
+     * over plain HTTP otherwise.
+     * @returns {string} Returns a promise of the base URL of the mock Moodle
+     * site, e.g. `https://127.0.0.1:34567/`.
+     */
+    listen(options){
+        let self = this;
+        options = options || {};
+        let handler = function(httpReq, httpRes){
+            let chunks = [];
+            httpReq.on('data', function(chunk){ chunks.push(chunk); });
+            httpReq.on('end', function(){
+                self.request({
+                    method: httpReq.method,
+                    url: self.url() + httpReq.url.replace(/^\//, ''),
+                    body: Buffer.concat(chunks).toString('utf8')
+                }).then(function(res){
+                    httpRes.writeHead(res.statusCode, res.headers);
+                    httpRes.end(res.body);
+                }).catch(function(err){
+                    // report unexpected failures the way Moodle would rather than leave the request hanging
+                    if(!httpRes.headersSent) httpRes.writeHead(500, { 'content-type': 'application/json' });
+                    httpRes.end(JSON.stringify(MockMoodleServer._exceptionData(err)));
+                });
+            });
+        };
+        return new Promise(function(resolve, reject){
+            if(options.key && options.cert){
+                self._server = https.createServer({ key: options.key, cert: options.cert }, handler);
+            }else{
+                self._server = http.createServer(handler);
+            }
+            self._server.on('error', reject);
+            self._server.listen(options.port || 0, '127.0.0.1', function(){
+                resolve(self.url());
+            });
+        });
+    }
+
+    /**
+     * Get the base URL of the mock Moodle site while it is listening.
+     *
+     * @returns {?string} Returns `null` if the mock is not listening.
+     */
+    url(){
+        if(!this._server || !this._server.listening) return null;
+        let scheme = this._server instanceof https.Server ? 'https' : 'http';
+        return `${scheme}://127.0.0.1:${this._server.address().port}/`;
+    }
+
+    /**
+     * Stop serving the mock.
+     *
+     * @async
+     * @returns {undefined} Returns a promise which resolves once the server
+     * has closed.
+     */
+    close(){
+        let self = this;
+        return new Promise(function(resolve, reject){
+            if(!self._server) return resolve();
+            self._server.close(function(err){
+                self._server = null;
+                err ? reject(err) : resolve();
+            });
+        });
+    }
+
+    /**
+     * Check the token on a call and invoke the appropriate handler.
+     *
+     * @private
+     * @param {MockWSCall} call
+     * @returns {Promise} A promise of the handler's result.
+     */
+    _dispatch(call){
+        let self = this;
+        return Promise.resolve().then(function(){
+            if(!self._tokens.has(call.wstoken)){
+                throw MockMoodleServer.exception('invalidtoken', 'Invalid token - token not found');
+            }
+            let handler = self._handlers.get(call.wsfunction);
+            if(!handler){
+                throw MockMoodleServer.exception(
+                    'invalidrecord',
+                    "Can't find data record in database table external_functions.",
+                    { exception: 'dml_missing_record_exception' }
+                );
+            }
+            return handler(call.params, call);
+        }).then(function(data){
+            return validate.isDefined(data) ? data : null;
+        });
+    }
+
+    /**
+     * Build the response for the built-in `core_webservice_get_site_info`
+     * handler.
+     *
+     * @private
+     * @param {MockWSCall} call
+     * @returns {PlainObject}
+     */
+    _siteInfoResponse(call){
+        let ans = Object.assign({}, DEFAULT_SITE_INFO, {
+            siteurl: this.url() ? this.url().replace(/\/$/, '') : 'https://moodle.example.com',
+            functions: Array.from(this._handlers.keys()).sort().map(function(name){
+                return { name: name, version: DEFAULT_SITE_INFO.version };
+            })
+        }, this._siteInfo);
+        return ans;
+    }
+}
+
+/**
+ * The token a {@link MockMoodleServer} accepts when no tokens are specified.
+ *
+ * @type {string}
+ */
+MockMoodleServer.DEFAULT_TOKEN = DEFAULT_TOKEN;
+
+/**
+ * Create an error which a {@link MockWSHandler} can throw to produce a
+ * Moodle-shaped exception response.
+ *
+ * @param {string} errorcode - the Moodle error code, e.g. `invalidparameter`.
+ * @param {string} message - the human-friendly error message.
+ * @param {Object} [options]
+ * @param {string} [options.exception='moodle_exception'] - the PHP exception
+ * class to report.
+ * @param {string} [options.debuginfo] - debugging information to include.
+ * @returns {Error}
+ * @example
+ * mock.addFunction('core_user_get_users', function(params){
+ *     if(!params.criteria) throw MockMoodleServer.exception('invalidparameter', 'Invalid parameter value detected', { exception: 'invalid_parameter_exception' });
+ *     return { users: [], warnings: [] };
+ * });
+ */
+MockMoodleServer.exception = function(errorcode, message, options){
+    options = options || {};
+    let err = new Error(message);
+    err.moodleException = {
+        exception: options.exception || 'moodle_exception',
+        errorcode: errorcode,
+        message: message
+    };
+    if(validate.isDefined(options.debuginfo)) err.moodleException.debuginfo = options.debuginfo;
+    return err;
+};
+
+/**
+ * Convert an error thrown while handling a call into Moodle exception data.
+ *
+ * @private
+ * @param {Error} err
+ * @returns {PlainObject}
+ */
+MockMoodleServer._exceptionData = function(err){
+    if(err && err.moodleException) return err.moodleException;
+    return {
+        exception: 'moodle_exception',
+        errorcode: 'generalexceptionmessage',
+        message: err && err.message ? err.message : String(err)
+    };
+};
+
+/**
+ * Render response data as a successful HTTP response in the given format.
+ *
+ * @private
+ * @param {*} data
+ * @param {WSDataFormat} format
+ * @returns {TransportResponse}
+ */
+MockMoodleServer._response = function(data, format){
+    if(format === 'json'){
+        return { statusCode: 200, headers: { 'content-type': 'application/json' }, body: JSON.stringify(data) };
+    }
+    return { statusCode: 200, headers: { 'content-type': 'application/xml; charset=utf-8' }, body: MockMoodleServer._toXML(data) };
+};
+
+/**
+ * Render response data in Moodle's XML format.
+ *
+ * @private
+ * @param {*} data
+ * @returns {string}
+ */
+MockMoodleServer._toXML = function(data){
+    let esc = function(str){
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    };
+    let render = function(value){
+        if(value === null || !validate.isDefined(value)) return '<VALUE null="null"/>';
+        if(validate.isArray(value)){
+            return '<MULTIPLE>' + value.map(render).join('') + '</MULTIPLE>'; // BEWARE - recursion!
+        }
+        if(validate.isObject(value)){
+            return '<SINGLE>' + Object.keys(value).map(function(k){
+                return `<KEY name="${esc(k)}">${render(value[k])}</KEY>`; // BEWARE - recursion!
+            }).join('') + '</SINGLE>';
+        }
+        if(validate.isBoolean(value)) return `<VALUE>${value ? 1 : 0}</VALUE>`;
+        return `<VALUE>${esc(value)}</VALUE>`;
+    };
+    let xml = '<?xml version="1.0" encoding="UTF-8" ?>\n';
+    if(data && data.exception){
+        xml += `<EXCEPTION class="${esc(data.exception)}"><ERRORCODE>${esc(data.errorcode)}</ERRORCODE><MESSAGE>${esc(data.message)}</MESSAGE>`;
+        if(validate.isDefined(data.debuginfo)) xml += `<DEBUGINFO>${esc(data.debuginfo)}</DEBUGINFO>`;
+        return xml + '</EXCEPTION>\n';
+    }
+    return xml + '<RESPONSE>' + (data === null ? '' : render(data)) + '</RESPONSE>\n';
+};
+
+module.exports = MockMoodleServer;
@@ -0,0 +1,516 @@
+// Type definitions for @maynoothuniversity/moodle-ws-client
+//
+// The types for individual web service functions are not included here. They
+// can be generated from a function catalogue with lib/typeScriptGenerator.js,
+// which adds entries to the MoodleWSClient.WSFunctions interface so that
+// submit() and shortcuts are typed for those functions. Types generated from
+// the bundled catalogue ship as lib/functionCatalogue.d.ts:
+//
+//     import MoodleWSClient = require('@maynoothuniversity/moodle-ws-client');
+//     import '@maynoothuniversity/moodle-ws-client/lib/functionCatalogue';
+
+/// <reference types="node" />
+
+import { Readable } from 'stream';
+import { Agent } from 'http';
+
+export = MoodleWSClient;
+
+/**
+ * A class representing a connection to a Moodle REST API.
+ */
+declare class MoodleWSClient {
+    constructor(moodleBaseUrl: string, token: string, options?: MoodleWSClient.ClientOptions);
+
+    /** Always available, calls `core_webservice_get_site_info` via `GET`. */
+    ping: MoodleWSClient.Shortcut<'core_webservice_get_site_info'>;
+
+    moodleUrl(): string;
+    privateToken(): string | undefined;
+    queueStatus(): MoodleWSClient.QueueStatus;
+    catalogue(): MoodleWSClient.FunctionCatalogue | null;
+    cache(): MoodleWSClient.ResponseCache | null;
+    apiUrl(): string;
+    uploadUrl(): string;
+
+    use(middleware: MoodleWSClient.Middleware): this;
+
+    submit<F extends string>(
+        method: MoodleWSClient.HttpMethod,
+        wsFunctionName: F,
+        wsParameters?: MoodleWSClient.WSParameters<F>,
+        options?: MoodleWSClient.SubmitOptions
+    ): Promise<MoodleWSClient.WSReturns<F>>;
+
+    describeRequest(
+        method: MoodleWSClient.HttpMethod,
+        wsFunctionName: string,
+        wsParameters?: MoodleWSClient.PlainObject,
+        options?: MoodleWSClient.SubmitOptions
+    ): Promise<MoodleWSClient.PreparedRequest>;
+
+    submitBatched<F extends string>(
+        method: MoodleWSClient.HttpMethod,
+        wsFunctionName: F,
+        arrayKey: string,
+        items: any[],
+        options?: MoodleWSClient.BatchOptions
+    ): Promise<MoodleWSClient.BatchResult<MoodleWSClient.WSReturns<F>>>;
+
+    paginate<T = any>(
+        method: MoodleWSClient.HttpMethod,
+        wsFunctionName: string,
+        wsParameters?: MoodleWSClient.PlainObject,
+        options?: MoodleWSClient.PaginateOptions
+    ): AsyncIterableIterator<T>;
+
+    uploadFiles(files: MoodleWSClient.UploadFile | MoodleWSClient.UploadFile[], options?: MoodleWSClient.UploadOptions): Promise<MoodleWSClient.PlainObject[]>;
+    authenticatedFileUrl(fileurl: string): string;
+    downloadFile(fileurl: string, options?: MoodleWSClient.RequestOptions): Promise<Readable>;
+    downloadFileTo(fileurl: string, destination: string, options?: MoodleWSClient.RequestOptions): Promise<string>;
+
+    registerShortcut(shortcut: string, wsFunctionName: string, method: MoodleWSClient.HttpMethod): this;
+    registerShortcuts(shortcuts: { [shortcut: string]: [string, MoodleWSClient.HttpMethod] }): this;
+    registerShortcutsFromSite(options?: { naming?: 'camelCase' | 'namespaced' }): Promise<string[]>;
+
+    /**
+     * Convert a JavaScript data structure into the flat parameters the Moodle
+     * web service expects, e.g. `{ 'criteria[0][key]': 'email' }`.
+     */
+    static encodeWSArguments(toConvert: MoodleWSClient.PlainObject): { [param: string]: string };
+    static decodeWSArguments(toConvert: { [param: string]: string } | string): MoodleWSClient.PlainObject;
+    static decodeWSResponse(data: any, options?: MoodleWSClient.DecodeOptions): any;
+    static parseXMLResponse(xmlStr: string): any;
+    static toCurl(request: MoodleWSClient.PreparedRequest, options?: { maskToken?: boolean }): string;
+    static fromCredentials(
+        moodleBaseUrl: string,
+        username: string,
+        password: string,
+        serviceShortName: string,
+        options?: MoodleWSClient.ClientOptions & { keepPrivateToken?: boolean }
+    ): Promise<MoodleWSClient>;
+    static fromProfile(
+        name?: string,
+        options?: MoodleWSClient.ClientOptions & { configFile?: string; env?: { [name: string]: string | undefined } }
+    ): MoodleWSClient;
+}
+
+declare namespace MoodleWSClient {
+    type PlainObject = { [key: string]: any };
+    type HttpMethod = 'GET' | 'POST';
+    type WSDataFormat = 'json' | 'xml';
+    type RequestPriority = 'high' | 'normal' | 'low';
+    type Duration = number | string | PlainObject;
+
+    /**
+     * A map from web service function names to their parameter & return
+     * types. Empty by default, add to it with generated declarations or
+     * module augmentation.
+     */
+    interface WSFunctions {}
+
+    /** The parameter type for a function, or a plain object if not known. */
+    type WSParameters<F extends string> = F extends keyof WSFunctions
+        ? (WSFunctions[F] extends { parameters: infer P } ? P : PlainObject)
+        : PlainObject;
+
+    /** The return type for a function, or `any` if not known. */
+    type WSReturns<F extends string> = F extends keyof WSFunctions
+        ? (WSFunctions[F] extends { returns: infer R } ? R : any)
+        : any;
+
+    /**
+     * The type of a shortcut function, for declaring shortcuts registered at
+     * run time via module augmentation, e.g.
+     * `interface MoodleWSClient { getUsers: MoodleWSClient.Shortcut<'core_user_get_users'> }`.
+     */
+    type Shortcut<F extends string> = (wsParameters?: WSParameters<F>, options?: SubmitOptions) => Promise<WSReturns<F>>;
+
+    interface RetryPolicy {
+        maxAttempts?: number;
+        backoffBase?: number;
+        backoffCap?: number;
+        jitter?: boolean;
+        retryableStatuses?: number[];
+        retryableErrorCodes?: string[];
+        retryPost?: boolean;
+    }
+
+    interface DecodeOptions {
+        timestamps?: 'date' | 'moment' | false;
+        booleans?: boolean;
+        timestampFields?: string[];
+        booleanFields?: string[];
+    }
+
+    interface QueueStatus {
+        active: number;
+        queued: number;
+        lanes: { [priority in RequestPriority]: number };
+    }
+
+    interface TransportRequest {
+        method: HttpMethod;
+        url: string;
+        qs?: { [param: string]: string };
+        headers?: { [name: string]: string };
+        body?: string | Buffer;
+        timeout?: number;
+        stream?: boolean;
+    }
+
+    interface TransportResponse {
+        statusCode: number;
+        headers: { [name: string]: string | string[] | undefined };
+        body: string | Readable;
+    }
+
+    interface Transport {
+        request(req: TransportRequest): Promise<TransportResponse>;
+    }
+
+    interface PreparedRequest {
+        dryRun: true;
+        method: HttpMethod;
+        url: string;
+        params: { [param: string]: string };
+        headers: { [header: string]: string };
+        body?: string;
+    }
+
+    interface LogEvent {
+        event: 'request' | 'retry' | 'response' | 'error';
+        message: string;
+        method: HttpMethod;
+        url: string;
+        wsFunctionName?: string;
+        params?: { [param: string]: string };
+        requestSize?: number;
+        attempt?: number;
+        delay?: number;
+        statusCode?: number;
+        responseSize?: number;
+        durationMS?: number;
+        error?: string;
+        errorMessage?: string;
+        errorcode?: string;
+    }
+
+    interface Logger {
+        debug?(event: LogEvent): void;
+        info?(event: LogEvent): void;
+        warn?(event: LogEvent): void;
+        error?(event: LogEvent): void;
+    }
+
+    interface ClientOptions {
+        acceptUntrustedTLSCert?: boolean;
+        timeout?: Duration;
+        format?: WSDataFormat;
+        transport?: Transport;
+        proxy?: string;
+        ca?: string | Buffer | Array<string | Buffer>;
+        cert?: string | Buffer;
+        key?: string | Buffer;
+        agent?: Agent;
+        retry?: RetryPolicy;
+        maxConcurrent?: number;
+        requestsPerSecond?: number;
+        decode?: boolean | DecodeOptions;
+        fixtures?: { mode: 'record' | 'replay'; path: string };
+        catalogue?: boolean | string | FunctionCatalogue | { [wsFunctionName: string]: WSFunctionDescription };
+        validateResponses?: boolean;
+        logger?: Logger;
+        redactParams?: string[];
+        dryRun?: boolean;
+        cache?: boolean | ResponseCacheOptions | ResponseCache;
+    }
+
+    interface RequestOptions {
+        timeout?: Duration;
+        retry?: RetryPolicy;
+        priority?: RequestPriority;
+    }
+
+    interface SubmitOptions extends RequestOptions {
+        format?: WSDataFormat;
+        decode?: boolean | DecodeOptions;
+        dryRun?: boolean;
+        cache?: boolean;
+    }
+
+    interface RequestContext {
+        client: MoodleWSClient;
+        method: HttpMethod;
+        wsFunctionName: string;
+        wsParameters: PlainObject;
+        /** The parameters as they will be encoded, without the token, function name & format. */
+        readonly params: { [param: string]: string };
+        options: SubmitOptions;
+        state: PlainObject;
+    }
+
+    type Middleware = (ctx: RequestContext, next: () => Promise<any>) => any;
+
+    interface BatchOptions extends SubmitOptions {
+        chunkSize?: number;
+        concurrency?: number;
+        wsParameters?: PlainObject;
+    }
+
+    type PagingStyle = 'page' | 'offset' | 'options' | 'values';
+
+    interface PaginateOptions extends SubmitOptions {
+        style?: PagingStyle;
+        pageSize?: number;
+        itemsKey?: string;
+        startParam?: string;
+        sizeParam?: string;
+        valuesKey?: string;
+    }
+
+    interface BatchChunkResult<T = any> {
+        index: number;
+        start: number;
+        end: number;
+        response?: T;
+        error?: Error;
+    }
+
+    interface BatchResult<T = any> {
+        response: T | null;
+        chunks: BatchChunkResult<T>[];
+        errors: BatchChunkResult<T>[];
+    }
+
+    type UploadFile = string | Buffer | Readable | { filename?: string; content: string | Buffer | Readable };
+
+    interface UploadOptions extends RequestOptions {
+        filearea?: 'draft' | 'private';
+        itemid?: number;
+        filepath?: string;
+    }
+
+    interface RequestSummary {
+        method: HttpMethod;
+        url: string;
+        wsFunctionName?: string;
+        params?: { [param: string]: string };
+    }
+
+    interface WSStructure {
+        type: 'value' | 'single' | 'multiple';
+        required?: boolean;
+        default?: any;
+        desc?: string;
+        paramtype?: string;
+        allownull?: boolean;
+        keys?: { [key: string]: WSStructure };
+        content?: WSStructure;
+    }
+
+    interface WSFunctionDescription {
+        parameters: WSStructure;
+        returns?: WSStructure | null;
+        type?: 'read' | 'write';
+        description?: string;
+    }
+
+    interface WSSchemaProblem {
+        path: string;
+        message: string;
+    }
+
+    class FunctionCatalogue {
+        constructor(descriptions: { [wsFunctionName: string]: WSFunctionDescription });
+        functionNames(): string[];
+        has(wsFunctionName: string): boolean;
+        describe(wsFunctionName: string): WSFunctionDescription | undefined;
+        validateParameters(wsFunctionName: string, wsParameters: PlainObject): WSSchemaProblem[];
+        validateResponse(wsFunctionName: string, response: any): WSSchemaProblem[];
+        static fromFile(filePath: string): FunctionCatalogue;
+        static bundled(): FunctionCatalogue;
+    }
+
+    /**
+     * Generate TypeScript declarations which add the functions in a catalogue
+     * to the WSFunctions map.
+     */
+    function generateTypeScript(
+        catalogue: FunctionCatalogue | { [wsFunctionName: string]: WSFunctionDescription },
+        options?: { moduleName?: string }
+    ): string;
+
+    class HttpTransport implements Transport {
+        constructor(options?: {
+            acceptUntrustedTLSCert?: boolean;
+            ca?: string | Buffer | Array<string | Buffer>;
+            cert?: string | Buffer;
+            key?: string | Buffer;
+            agent?: Agent;
+            proxy?: string;
+        });
+        request(req: TransportRequest): Promise<TransportResponse>;
+    }
+
+    class FixtureTransport implements Transport {
+        constructor(transport: Transport, options: { mode: 'record' | 'replay'; path: string });
+        request(req: TransportRequest): Promise<TransportResponse>;
+    }
+
+    interface MockWSCall {
+        method: HttpMethod;
+        wsfunction: string;
+        wstoken: string;
+        format: WSDataFormat;
+        params: PlainObject;
+    }
+
+    type MockWSHandler = (wsParameters: PlainObject, call: MockWSCall) => any;
+
+    interface FanOutSiteResult<T = any> {
+        site: string;
+        ok: boolean;
+        response?: T;
+        error?: Error;
+        durationMS: number;
+    }
+
+    interface FanOutResult<T = any> {
+        results: { [site: string]: T };
+        errors: { [site: string]: Error };
+        sites: FanOutSiteResult<T>[];
+    }
+
+    interface PoolOptions {
+        maxConcurrent?: number;
+        timeout?: Duration;
+    }
+
+    class MoodleWSClientPool {
+        constructor(clients?: { [site: string]: MoodleWSClient }, options?: PoolOptions);
+        add(site: string, client: MoodleWSClient): this;
+        remove(site: string): boolean;
+        get(site: string): MoodleWSClient | undefined;
+        siteNames(): string[];
+        fanOut<F extends string>(
+            method: HttpMethod,
+            wsFunctionName: F,
+            wsParameters?: WSParameters<F>,
+            options?: SubmitOptions & PoolOptions & { sites?: string[] }
+        ): Promise<FanOutResult<WSReturns<F>>>;
+        static fromProfiles(profileNames: string[], options?: PoolOptions & { clientOptions?: ClientOptions & { configFile?: string } }): MoodleWSClientPool;
+    }
+
+    interface CacheStore {
+        get(key: string): any | Promise<any>;
+        set(key: string, value: any, ttl: number): void | Promise<void>;
+        delete(key: string): void | Promise<void>;
+        keys(): string[] | Promise<string[]>;
+    }
+
+    class MemoryCacheStore implements CacheStore {
+        constructor(options?: { maxEntries?: number });
+        get(key: string): any;
+        set(key: string, value: any, ttl: number): void;
+        delete(key: string): void;
+        keys(): string[];
+    }
+
+    interface ResponseCacheOptions {
+        store?: CacheStore;
+        maxEntries?: number;
+        ttl?: Duration;
+        ttls?: { [wsFunctionName: string]: Duration };
+    }
+
+    class ResponseCache {
+        constructor(options?: ResponseCacheOptions);
+        static MemoryStore: typeof MemoryCacheStore;
+        store(): CacheStore;
+        ttlFor(wsFunctionName: string): number;
+        keyFor(wsFunctionName: string, parts: any[]): string;
+        fetch<T = any>(wsFunctionName: string, key: string, load: () => Promise<T>): Promise<T>;
+        invalidate(wsFunctionName?: string): Promise<number>;
+    }
+
+    class MockMoodleServer implements Transport {
+        constructor(options?: { tokens?: string[]; siteInfo?: PlainObject; functions?: { [wsFunctionName: string]: MockWSHandler } });
+        static readonly DEFAULT_TOKEN: string;
+        static exception(errorcode: string, message: string, options?: { exception?: string; debuginfo?: string }): Error;
+        addFunction(wsFunctionName: string, handler: MockWSHandler): this;
+        addToken(token: string): this;
+        calls(): MockWSCall[];
+        resetCalls(): this;
+        request(req: TransportRequest): Promise<TransportResponse>;
+        listen(options?: { port?: number; key?: string | Buffer; cert?: string | Buffer }): Promise<string>;
+        url(): string | null;
+        close(): Promise<void>;
+    }
+
+    class MoodleWSClientError extends Error {
+        constructor(message: string, request?: RequestSummary);
+        readonly request?: RequestSummary;
+        readonly wsFunctionName?: string;
+        readonly method?: HttpMethod;
+    }
+
+    class MoodleWSTransportError extends MoodleWSClientError {
+        constructor(cause: Error, request?: RequestSummary);
+        readonly cause: Error;
+        readonly code?: string;
+    }
+
+    class MoodleWSTimeoutError extends MoodleWSTransportError {}
+
+    class MoodleWSHTTPError extends MoodleWSClientError {
+        constructor(response: TransportResponse, request?: RequestSummary);
+        readonly statusCode: number;
+        readonly response: TransportResponse;
+    }
+
+    class MoodleWSResponseError extends MoodleWSClientError {
+        constructor(body: string, cause: Error, request?: RequestSummary);
+        readonly body: string;
+        readonly cause: Error;
+    }
+
+    class MoodleWSSchemaError extends MoodleWSClientError {
+        constructor(target: 'parameters' | 'response', problems: WSSchemaProblem[], request?: RequestSummary);
+        readonly target: 'parameters' | 'response';
+        readonly problems: WSSchemaProblem[];
+    }
+
+    class MoodleWSProfileError extends MoodleWSClientError {
+        constructor(cause: Error & { code: string; profile?: string | null; file?: string });
+        readonly code: 'ENOPROFILE' | 'EPROFILEPERMS' | 'EPROFILEINVALID';
+        readonly profile: string | null;
+        readonly file?: string;
+    }
+
+    /** The data from a Moodle exception response. */
+    interface MoodleExceptionData {
+        exception?: string;
+        error?: string;
+        errorcode: string;
+        message?: string;
+        debuginfo?: string;
+    }
+
+    /**
+     * An exception returned by the Moodle web service. Common error codes
+     * are thrown as the sub-classes below.
+     */
+    class MoodleWSError extends MoodleWSClientError {
+        constructor(responseData: Partial<MoodleExceptionData>, request?: RequestSummary);
+        readonly errorcode: string;
+        readonly debuginfo?: string;
+        responseData(): MoodleExceptionData;
+        static fromResponseData(responseData: Partial<MoodleExceptionData>, request?: RequestSummary): MoodleWSError;
+    }
+
+    class MoodleWSInvalidTokenError extends MoodleWSError {}
+    class MoodleWSAccessError extends MoodleWSError {}
+    class MoodleWSInvalidParameterError extends MoodleWSError {}
+    class MoodleWSServiceRequiresLoginError extends MoodleWSError {}
+}
@@ -7,8 +7,20 @@
 // import requirements
 const validateParams = require('@maynoothuniversity/validate-params');
 const validate = validateParams.validateJS();
-const requestP = require('request-promise-native');
 const moment = require('moment');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const stream = require('stream');
+const HttpTransport = require('./httpTransport.js');
+const RequestScheduler = require('./requestScheduler.js');
+const FixtureTransport = require('./fixtureTransport.js');
+const FunctionCatalogue = require('./functionCatalogue.js');
+const generateTypeScript = require('./typeScriptGenerator.js');
+const loadProfile = require('./siteProfiles.js');
+const ResponseCache = require('./responseCache.js');
+const parseXMLResponse = require('./xmlResponse.js');
 
 //
 //=== JSDoc ground-work ========================================================
@@ -85,7 +97,10 @@ const moment = require('moment');
  */
 
 /**
- * A valid HTTP Method, e.g. `'GET'`.
+ * A valid HTTP Method for use with the Moodle REST API, i.e. `'GET'` or
+ * `'POST'`. With `GET` the token & web service parameters are sent in the
+ * query string, with `POST` they are sent in the request body as
+ * `application/x-www-form-urlencoded` data.
  * @typedef {string} HttpMethod
  */
 
@@ -107,6 +122,197 @@ const moment = require('moment');
  * @typedef {string} WsFunctionName
  */
 
+/**
+ * A policy controlling if and how failed requests get re-tried. Only failures
+ * that happen before a valid web service response is received are ever
+ * re-tried, i.e. web service exceptions are never re-tried.
+ *
+ * Delays between attempts grow exponentially, i.e. the delay before the
+ * second attempt is `backoffBase`, before the third `backoffBase * 2`, before
+ * the fourth `backoffBase * 4`, and so on, up to `backoffCap`.
+ *
+ * Any keys omitted fall back to the client's policy, and then to the
+ * defaults.
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=1] - the maximum number of times a request
+ * will be attempted, i.e. the default of `1` disables retries.
+ * @property {number} [backoffBase=250] - the delay before the first retry in
+ * milliseconds.
+ * @property {number} [backoffCap=10000] - the maximum delay between attempts
+ * in milliseconds.
+ * @property {boolean} [jitter=true] - whether or not to randomise each delay
+ * to between zero and the calculated value to avoid synchronised retries from
+ * many clients.
+ * @property {number[]} [retryableStatuses=[429, 502, 503, 504]] - the HTTP
+ * status codes that should trigger a retry.
+ * @property {string[]} [retryableErrorCodes] - the transport error codes that
+ * should trigger a retry. Defaults to `ECONNRESET`, `ECONNREFUSED`,
+ * `ETIMEDOUT`, `ESOCKETTIMEDOUT`, `EPIPE` & `EAI_AGAIN`.
+ * @property {boolean} [retryPost=false] - whether or not to re-try `POST`
+ * requests. Since `POST` requests generally change data on the server,
+ * re-trying them is not safe unless the web service function being called is
+ * idempotent.
+ */
+
+/**
+ * The outcome of a single chunk submitted by
+ * [.submitBatched()]{@link MoodleWSClient#submitBatched}.
+ *
+ * @typedef {Object} BatchChunkResult
+ * @property {number} index - the chunk's position in the batch, starting at
+ * zero.
+ * @property {number} start - the index of the chunk's first item within the
+ * full list of items.
+ * @property {number} end - the index one past the chunk's last item within
+ * the full list of items.
+ * @property {*} [response] - the web service's response, only present if the
+ * chunk succeeded.
+ * @property {Error} [error] - the error the chunk failed with, only present if
+ * the chunk failed.
+ */
+
+/**
+ * The combined outcome of a call to
+ * [.submitBatched()]{@link MoodleWSClient#submitBatched}.
+ *
+ * @typedef {Object} BatchResult
+ * @property {*} response - the responses from all the successful chunks
+ * merged in order. Array responses are concatenated, and the array-valued
+ * keys of object responses (like `warnings`) are concatenated. If every chunk
+ * failed, or the function returns `null`, this will be `null`.
+ * @property {BatchChunkResult[]} chunks - the outcome of every chunk in order.
+ * @property {BatchChunkResult[]} errors - the outcomes of just the chunks that
+ * failed, empty if all succeeded.
+ */
+
+/**
+ * Options controlling how web service responses are decoded. Decoding only
+ * ever converts values of the expected form, so a `visible` field with the
+ * value `2` is left untouched. Numeric strings, as returned in XML format, are
+ * decoded.
+ *
+ * @typedef {Object} DecodeOptions
+ * @property {(string|boolean)} [timestamps='date'] - how to decode timestamp
+ * fields, `'date'` for `Date` objects, `'moment'` for
+ * [moment]{@link external:moment} objects, or `false` to leave them as Unix
+ * timestamps. Timestamps with the value `0`, which Moodle uses to mean
+ * 'never' or 'not set', are decoded to `null`.
+ * @property {boolean} [booleans=true] - whether or not to decode flag fields
+ * with the values `0` & `1` to booleans.
+ * @property {string[]} [timestampFields] - additional field names to treat as
+ * timestamps.
+ * @property {string[]} [booleanFields] - additional field names to treat as
+ * flags.
+ */
+
+/**
+ * A description of a request to the REST API built, but not sent, by
+ * [.submit()]{@link MoodleWSClient#submit} in dry-run mode. It can be turned
+ * into a curl command with
+ * [MoodleWSClient.toCurl()]{@link MoodleWSClient.toCurl}.
+ *
+ * @typedef {Object} PreparedRequest
+ * @property {boolean} dryRun - always `true`.
+ * @property {HttpMethod} method
+ * @property {string} url - the URL that would be requested, including the
+ * query string for `GET` requests.
+ * @property {Object.<string, string>} params - all the encoded parameters
+ * that would be sent, including the token, function name & format.
+ * @property {Object.<string, string>} headers - any HTTP headers that would
+ * be sent in addition to the transport's defaults.
+ * @property {string} [body] - the request body for `POST` requests.
+ */
+
+/**
+ * A logger the client can send {@link LogEvent}s to, e.g. `console`, or a
+ * [pino](https://getpino.io/) or [winston](https://github.com/winstonjs/winston)
+ * logger. Each event is passed to the method named after its level as a single
+ * object with a `message` key. Levels the logger has no method for are
+ * ignored.
+ *
+ * @typedef {Object} Logger
+ * @property {function(LogEvent)} [debug]
+ * @property {function(LogEvent)} [info]
+ * @property {function(LogEvent)} [warn]
+ * @property {function(LogEvent)} [error]
+ */
+
+/**
+ * A structured event sent to a client's {@link Logger}. Events are emitted
+ * at the following levels:
+ *
+ * * `request` (`debug`) - a request is about to be sent.
+ * * `retry` (`warn`) - an attempt failed and will be re-tried.
+ * * `response` (`info`) - an HTTP response was received.
+ * * `error` (`error`) - a request failed, either because no successful HTTP
+ *   response was received, or because the response represents an error.
+ *
+ * The web service token is never included, and neither are the values of
+ * any parameters matched by the `redactParams` client option.
+ *
+ * @typedef {Object} LogEvent
+ * @property {string} event - one of `'request'`, `'retry'`, `'response'` or
+ * `'error'`.
+ * @property {string} message - a human-friendly description of the event.
+ * @property {HttpMethod} method
+ * @property {string} url - the URL without a query string.
+ * @property {WsFunctionName} [wsFunctionName]
+ * @property {Object.<string, string>} [params] - the redacted encoded
+ * parameters.
+ * @property {number} [requestSize] - the size of the request body or query
+ * string in bytes.
+ * @property {number} [attempt] - the attempt the event relates to.
+ * @property {number} [delay] - for `retry` events, the delay before the next
+ * attempt in milliseconds.
+ * @property {number} [statusCode] - the HTTP status code, if any.
+ * @property {number} [responseSize] - for `response` events, the size of the
+ * response body in bytes, if not streamed.
+ * @property {number} [durationMS] - for `response` & `error` events, the
+ * time since the request was submitted in milliseconds, including any time
+ * spent queued or waiting to re-try.
+ * @property {string} [error] - for `retry` & `error` events, the name of
+ * the error.
+ * @property {string} [errorMessage] - for `retry` & `error` events, the
+ * error's message.
+ * @property {string} [errorcode] - the Moodle error code or transport error
+ * code, if any.
+ */
+
+/**
+ * The context of a single call to
+ * [.submit()]{@link MoodleWSClient#submit}, as seen by
+ * [middleware]{@link Middleware}. Middleware may change the `method`,
+ * `wsParameters` & `options` before calling `next()`, and may store their
+ * own data in `state`.
+ *
+ * @typedef {Object} RequestContext
+ * @property {MoodleWSClient} client - the client making the call.
+ * @property {HttpMethod} method
+ * @property {WsFunctionName} wsFunctionName
+ * @property {PlainObject} wsParameters - the web service parameters as a
+ * regular JavaScript data structure.
+ * @property {Object.<string, string>} params - a read-only view of
+ * `wsParameters` encoded as they will be sent, without the token, function
+ * name & format.
+ * @property {PlainObject} options - the options passed to `.submit()`.
+ * @property {PlainObject} state - an initially empty object for middleware
+ * to share data through.
+ */
+
+/**
+ * A middleware function added to a client with
+ * [.use()]{@link MoodleWSClient#use}.
+ *
+ * @callback Middleware
+ * @param {RequestContext} ctx - the context of the call.
+ * @param {function(): Promise} next - a function which passes the call on
+ * to the next middleware, or to Moodle if there is none, and returns a
+ * promise of the parsed response. It may be called more than once, e.g. to
+ * re-try a call, or not at all to short-circuit the call.
+ * @returns {*} The response, or a promise of it.
+ */
+
 //
 //=== Define Globals ===========================================================
 //
@@ -118,6 +324,109 @@ const moment = require('moment');
  */
 const MOODLE_API_PATH = 'webservice/rest/server.php';
 
+/**
+ * The path within a Moodle instance to the token-issuing script.
+ * @private
+ * @type {string}
+ */
+const MOODLE_TOKEN_PATH = 'login/token.php';
+
+/**
+ * The path within a Moodle instance to the web service file upload script.
+ * @private
+ * @type {string}
+ */
+const MOODLE_UPLOAD_PATH = 'webservice/upload.php';
+
+/**
+ * The names of the fields in web service responses known to contain Unix
+ * timestamps.
+ * @private
+ * @type {string[]}
+ */
+const TIMESTAMP_FIELDS = [
+    'timecreated', 'timemodified', 'timeupdated', 'timeaccess', 'timestart', 'timeend',
+    'timeopen', 'timeclose', 'timedue', 'timesubmitted', 'timemarked', 'timecompleted',
+    'firstaccess', 'lastaccess', 'lastlogin', 'currentlogin', 'lastcourseaccess',
+    'startdate', 'enddate', 'duedate', 'cutoffdate', 'gradingduedate', 'allowsubmissionsfromdate'
+];
+
+/**
+ * The names of the fields in web service responses known to contain `0`/`1`
+ * flags.
+ * @private
+ * @type {string[]}
+ */
+const BOOLEAN_FIELDS = [
+    'confirmed', 'deleted', 'suspended', 'policyagreed', 'visible', 'visibleold',
+    'enablecompletion', 'completionnotify', 'showgrades', 'showreports', 'hidden'
+];
+
+/**
+ * The verbs which start the names of web service functions that only read
+ * data, e.g. `core_user_get_users`. Generated shortcuts & the command line
+ * tool call such functions with the HTTP method `GET`, all others with `POST`.
+ * @private
+ * @type {string[]}
+ */
+const READ_VERBS = ['get', 'search', 'list', 'fetch', 'find', 'count', 'is', 'can', 'has', 'check'];
+
+/**
+ * The paging styles supported by
+ * [.paginate()]{@link MoodleWSClient#paginate}, indexed by name. Styles with
+ * a `startParam` send the page number, or the offset of the first item if
+ * `offsets` is set, and the page size in the named parameters, within the
+ * named list of name-value pairs if `optionsKey` is set. Styles with a
+ * `valuesKey` split the named list of values into pages instead.
+ * @private
+ * @type {Object.<string, Object>}
+ */
+const PAGING_STYLES = {
+    page: { startParam: 'page', sizeParam: 'perpage', offsets: false },
+    offset: { startParam: 'limitfrom', sizeParam: 'limitnumber', offsets: true },
+    options: { startParam: 'limitfrom', sizeParam: 'limitnumber', offsets: true, optionsKey: 'options' },
+    values: { valuesKey: 'values' }
+};
+
+/**
+ * The number of bytes at the start of a JSON file download checked for a
+ * Moodle error before the file is passed on.
+ * @private
+ * @type {number}
+ */
+const FILE_ERROR_PEEK_BYTES = 64;
+
+/**
+ * The size in bytes above which a JSON file download is passed on without
+ * being checked for a Moodle error.
+ * @private
+ * @type {number}
+ */
+const MAX_FILE_ERROR_BYTES = 65536;
+
+/**
+ * The default maximum number of chunks
+ * [.submitBatched()]{@link MoodleWSClient#submitBatched} submits at once.
+ * @private
+ * @type {number}
+ */
+const DEFAULT_BATCH_CONCURRENCY = 4;
+
+/**
+ * The default retry policy. By default requests are not re-tried.
+ * @private
+ * @type {RetryPolicy}
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,
+    backoffBase: 250,
+    backoffCap: 10000,
+    jitter: true,
+    retryableStatuses: [429, 502, 503, 504],
+    retryableErrorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+    retryPost: false
+};
+
 //
 //=== Validation Setup =========================================================
 //
@@ -131,14 +440,16 @@ const MOODLE_API_PATH = 'webservice/rest/server.php';
 var vpCons = {
     /**
      * A valid HTTP method, defaulting to GET on empty and coercing itself to
-     * all caps.
+     * all caps. Moodle's REST server only distinguishes between parameters
+     * sent in the query string and in the body, so only `GET` & `POST` are
+     * accepted.
      * @member
      * @type {ValidateParamsConstraints}
      * @see HttpMethod
      */
     httpMethod: {
         hasTypeof: 'string',
-        format: /GET|POST|PUT/,
+        format: /GET|POST/,
         vpopt_defaultWhenEmpty: 'GET',
         vpopt_coerce: function(v, o , c){
             v = c.toString(v);
@@ -149,6 +460,25 @@ var vpCons = {
         }
     },
     
+    /**
+     * A valid Moodle base URL, coercing a trailing slash onto the URL if
+     * needed.
+     * @member
+     * @type {ValidateParamsConstraints}
+     * @see SecureUrl
+     */
+    moodleBaseUrl: {
+        presence: true,
+        url: {
+            schemes: ['https'],
+            allowLocal: true
+        },
+        format: /.*\//, // insist on a trailing slash
+        vpopt_coerce: function(v){ // ensure a trailing slash
+            return typeof v === 'string' && !v.match(/\/$/) ? v + '/' : v;
+        }
+    },
+    
     /**
      * A valid data format for calls to the Moodle web service.
      * @member
@@ -211,6 +541,73 @@ var vpCons = {
         }
     },
 
+    /**
+     * A {@link Transport}, i.e. an object with a `.request()` method.
+     * @member
+     * @type {ValidateParamsConstraints}
+     * @see Transport
+     */
+    transport: {
+        dictionary: {
+            mapConstraints: {
+                request: { presence: true, hasTypeof: 'function' }
+            }
+        }
+    },
+    
+    /**
+     * A valid {@link RequestPriority}.
+     * @member
+     * @type {ValidateParamsConstraints}
+     * @see RequestPriority
+     */
+    requestPriority: {
+        inclusion: ['high', 'normal', 'low']
+    },
+    
+    /**
+     * Valid {@link DecodeOptions}, with coercions from `true` to the default
+     * options and from `false` to options that disable all decoding.
+     * @member
+     * @type {ValidateParamsConstraints}
+     * @see DecodeOptions
+     */
+    decodeOptions: {
+        vpopt_coerce: function(v){
+            if(v === true) return {};
+            if(v === false) return { timestamps: false, booleans: false };
+            return v;
+        },
+        dictionary: {
+            mapConstraints: {
+                timestamps: { inclusion: ['date', 'moment', false] },
+                booleans: { hasTypeof: 'boolean' },
+                timestampFields: { list: { valueConstraints: { hasTypeof: 'string' } } },
+                booleanFields: { list: { valueConstraints: { hasTypeof: 'string' } } }
+            }
+        }
+    },
+    
+    /**
+     * A valid {@link RetryPolicy}.
+     * @member
+     * @type {ValidateParamsConstraints}
+     * @see RetryPolicy
+     */
+    retryPolicy: {
+        dictionary: {
+            mapConstraints: {
+                maxAttempts: { numericality: { onlyInteger: true, greaterThan: 0 } },
+                backoffBase: { numericality: { onlyInteger: true, greaterThanOrEqualTo: 0 } },
+                backoffCap: { numericality: { onlyInteger: true, greaterThanOrEqualTo: 0 } },
+                jitter: { hasTypeof: 'boolean' },
+                retryableStatuses: { list: { valueConstraints: { numericality: { onlyInteger: true } } } },
+                retryableErrorCodes: { list: { valueConstraints: { hasTypeof: 'string' } } },
+                retryPost: { hasTypeof: 'boolean' }
+            }
+        }
+    },
+    
     /**
      * A valid JavaScript function name with a basic string coercion.
      * @member
@@ -223,6 +620,75 @@ var vpCons = {
     }
 };
 
+/**
+ * Valid options for the {@link MoodleWSClient} constructor, with the defaults
+ * filled in.
+ *
+ * This constraint is defined outside the object literal because it re-uses
+ * other constraints from the namespace.
+ *
+ * @memberof vpCons
+ * @member clientOptions
+ * @type {ValidateParamsConstraints}
+ */
+vpCons.clientOptions = {
+    vpopt_defaultWhenUndefined: {},
+    vpopt_coerce: function(v, o, c){
+        if(!validate.isObject(v)) return v; // immediately pass through invalid values
+        
+        // default each of the options
+        v.acceptUntrustedTLSCert = validate.isDefined(v.acceptUntrustedTLSCert) ? c.toBoolean(v.acceptUntrustedTLSCert) : false;
+        if(!validate.isEmpty(v.timeout)){
+            v.timeout = vpCons.timeoutMS.vpopt_coerce(v.timeout, o, c);
+        }else{
+            v.timeout = vpCons.timeoutMS.vpopt_defaultWhenEmpty;
+        }
+        if(!validate.isEmpty(v.format)){
+            v.format = vpCons.wsDataFormat.vpopt_coerce(v.format, o, c);
+        }else{
+            v.format = vpCons.wsDataFormat.vpopt_defaultWhenEmpty;
+        }
+        if(validate.isDefined(v.decode)){
+            v.decode = vpCons.decodeOptions.vpopt_coerce(v.decode);
+        }
+        
+        // return the tweaked object
+        return v;
+    },
+    dictionary: {
+        mapConstraints: {
+            acceptUntrustedTLSCert: { presence: true, hasTypeof: 'boolean' },
+            timeout: validateParams.extendObject({ presence: true }, validateParams.paramToAttrConstraints(vpCons.timeoutMS)),
+            format: validateParams.extendObject({ presence: true }, validateParams.paramToAttrConstraints(vpCons.wsDataFormat)),
+            transport: vpCons.transport,
+            retry: vpCons.retryPolicy,
+            maxConcurrent: { numericality: { onlyInteger: true, greaterThan: 0 } },
+            requestsPerSecond: { numericality: { greaterThan: 0 } },
+            decode: validateParams.paramToAttrConstraints(vpCons.decodeOptions),
+            agent: { isInstanceof: [http.Agent] },
+            proxy: {
+                url: {
+                    schemes: ['http', 'https'],
+                    allowLocal: true
+                }
+            },
+            fixtures: {
+                dictionary: {
+                    mapConstraints: {
+                        mode: { presence: true, inclusion: ['record', 'replay'] },
+                        path: { presence: true, hasTypeof: 'string' }
+                    }
+                }
+            },
+            catalogue: { hasTypeof: ['boolean', 'string', 'object'] },
+            validateResponses: { hasTypeof: 'boolean' },
+            logger: { hasTypeof: 'object' },
+            dryRun: { hasTypeof: 'boolean' },
+            cache: { hasTypeof: ['boolean', 'object'] },
+            redactParams: { list: { valueConstraints: { presence: true, hasTypeof: 'string' } } }
+        }
+    }
+};
 
 //
 //=== Define The Main Class ====================================================
@@ -248,26 +714,74 @@ class MoodleWSClient{
      * server uses a self-signed certificate, don't set this to `true`!
      * @param {Duration} [options.timeout=5000] - the default timeout to use
      * when making requests to the web service.
+     * @param {WSDataFormat} [options.format='json'] - the default format to
+     * request responses from the web service in. Responses are parsed into the
+     * same data structures regardless of format, but note that XML responses
+     * do not preserve data types, so all values will be strings.
+     * @param {Transport} [options.transport] - the transport to send requests
+     * with. Defaults to an {@link HttpTransport} built from the TLS, agent &
+     * proxy options.
+     * @param {string} [options.proxy] - the URL of an HTTP proxy to send
+     * requests through. Ignored if a custom transport is passed.
+     * @param {(string|Buffer|Array)} [options.ca] - one or more trusted CA
+     * certificates in PEM format. Ignored if a custom transport is passed.
+     * @param {(string|Buffer)} [options.cert] - a client certificate in PEM
+     * format. Ignored if a custom transport is passed.
+     * @param {(string|Buffer)} [options.key] - the private key for the client
+     * certificate. Ignored if a custom transport is passed.
+     * @param {http.Agent} [options.agent] - an agent to use for connection
+     * pooling, e.g. an `https.Agent` with `keepAlive` enabled. Ignored if a
+     * custom transport is passed.
+     * @param {RetryPolicy} [options.retry] - the default policy for re-trying
+     * failed requests. By default requests are not re-tried.
+     * @param {number} [options.maxConcurrent] - the maximum number of requests
+     * that may be in flight at once. Requests beyond this limit are queued.
+     * Unlimited by default.
+     * @param {number} [options.requestsPerSecond] - the maximum rate at which
+     * requests are sent. Unlimited by default.
+     * @param {(boolean|DecodeOptions)} [options.decode=false] - whether and how
+     * to decode known timestamp & flag fields in responses. `true` enables
+     * decoding with the default options.
+     * @param {Object} [options.fixtures] - record web service calls to, or
+     * replay them from, a fixture file. See {@link FixtureTransport}.
+     * @param {FixtureMode} options.fixtures.mode - `'record'` to pass calls
+     * through to the transport and save them, or `'replay'` to serve calls
+     * from the file without touching the network.
+     * @param {string} options.fixtures.path - the path to the fixture file.
+     * @param {(boolean|string|FunctionCatalogue|Object.<string, WSFunctionDescription>)} [options.catalogue]
+     * - descriptions of web service functions to validate parameters against
+     * before they are sent. Pass `true` to use the catalogue bundled with
+     * this module, the path to a JSON catalogue file, a catalogue object, or
+     * the descriptions themselves. Calls to functions not in the catalogue
+     * are not validated.
+     * @param {boolean} [options.validateResponses=false] - whether or not to
+     * also validate responses against the return structures in the
+     * catalogue, which is useful for catching changes between Moodle
+     * versions.
+     * @param {Logger} [options.logger] - a logger to send structured
+     * {@link LogEvent}s to. Nothing is logged by default.
+     * @param {string[]} [options.redactParams] - encoded parameter names
+     * whose values should be redacted from log events and from the request
+     * summaries attached to errors, in addition to tokens & passwords. A `*`
+     * matches any single key or index, e.g. `users[*][password]` or
+     * `users[*][customfields][*][value]`.
+     * @param {boolean} [options.dryRun=false] - whether or not
+     * [.submit()]{@link MoodleWSClient#submit}, and hence shortcuts, should
+     * resolve with a {@link PreparedRequest} describing each request rather
+     * than sending it. Can be overridden per-call.
+     * @param {(boolean|Object|ResponseCache)} [options.cache=false] - whether
+     * and how to cache the responses to `GET` calls. `true` caches every
+     * function's responses for a minute in memory, an object is treated as
+     * options for a new {@link ResponseCache}, and an existing cache can be
+     * passed to share it between clients. Cached responses are returned
+     * before any other [middleware]{@link MoodleWSClient#use} runs.
      * @throws {ValidationError} A validation error is thrown when invalid
      * parameters are passed.
      */
     constructor(){
         // validate parameters
         var args = validateParams.assert(arguments, [
-            { // the Base URL
-                paramOptions: {
-                    name: 'moodleBaseUrl',
-                    coerce: function(v){ // ensure a trailing slash
-                        return typeof v === 'string' && !v.match(/\/$/) ? v + '/' : v;
-                    }
-                },
-                presence: true,
-                url: {
-                    schemes: ['https'],
-                    allowLocal: true
-                },
-                format: /.*\// // insist on a trailing slash
-            },
+            validateParams.extendObject({ vpopt_name: 'moodleBaseUrl' }, vpCons.moodleBaseUrl),
             { // the token
                 vpopt_name: 'token',
                 presence: true,
@@ -276,38 +790,21 @@ class MoodleWSClient{
                     message: "must be a 32 character lower-case hex string"
                 }
             },
-            { // options
-                paramOptions: {
-                    name: 'options',
-                    defaultWhenUndefined: {},
-                    coerce: function(v, o, c){
-                        if(!validate.isObject(v)) return v; // immediately pass through invalid values
-                        
-                        // default each of the options
-                        v.acceptUntrustedTLSCert = validate.isDefined(v.acceptUntrustedTLSCert) ? c.toBoolean(v.acceptUntrustedTLSCert) : false;
-                        if(!validate.isEmpty(v.timeout)){
-                            v.timeout = vpCons.timeoutMS.vpopt_coerce(v.timeout, o, c);
-                        }else{
-                            v.timeout = vpCons.timeoutMS.vpopt_defaultWhenEmpty;
-                        }
-                        
-                        // return the tweaked object
-                        return v;
-                    }
-                },
-                dictionary: {
-                    mapConstraints: {
-                        acceptUntrustedTLSCert: { presence: true, hasTypeof: 'boolean' },
-                        timeout: validateParams.extendObject({ presence: true }, validateParams.paramToAttrConstraints(vpCons.timeoutMS))
-                    }
-                }
-            }
+            validateParams.extendObject({ vpopt_name: 'options' }, vpCons.clientOptions)
         ]);
         
         // store data
         this._moodleUrl = args.moodleBaseUrl;
         this._token = args.token;
         this._options = args.options;
+        this._transport = MoodleWSClient._buildTransport(args.options);
+        this._scheduler = new RequestScheduler({
+            maxConcurrent: args.options.maxConcurrent,
+            requestsPerSecond: args.options.requestsPerSecond
+        });
+        this._catalogue = MoodleWSClient._buildCatalogue(args.options.catalogue);
+        this._cache = MoodleWSClient._buildCache(args.options.cache);
+        this._middleware = this._cache ? [MoodleWSClient._cacheMiddleware(this._cache)] : [];
         
         // generate the standard ping shortcut function
         this.registerShortcut('ping', 'core_webservice_get_site_info', 'GET');
@@ -333,6 +830,54 @@ class MoodleWSClient{
         return this._moodleUrl;
     }
     
+    /**
+     * Get the private token issued along with the client's web service token.
+     * This is only available for clients created with
+     * [MoodleWSClient.fromCredentials()]{@link MoodleWSClient.fromCredentials}
+     * with the `keepPrivateToken` option set, and only if Moodle issued a
+     * private token.
+     *
+     * @returns {(string|undefined)}
+     */
+    privateToken(){
+        return this._privateToken;
+    }
+    
+    /**
+     * Get the state of the client's request queue. Requests only get queued
+     * when the `maxConcurrent` or `requestsPerSecond` options are set.
+     *
+     * @returns {QueueStatus}
+     */
+    queueStatus(){
+        return this._scheduler.status();
+    }
+    
+    /**
+     * Get the catalogue of function descriptions used to validate calls.
+     *
+     * @returns {?FunctionCatalogue} Returns `null` if validation is not
+     * enabled.
+     */
+    catalogue(){
+        return this._catalogue;
+    }
+    
+    /**
+     * Get the cache used for the responses to `GET` calls, e.g. to
+     * invalidate the cached responses for a function after changing the
+     * data it returns.
+     *
+     * @returns {?ResponseCache} Returns `null` if caching is not enabled.
+     * @example
+     * myMoodle.submit('POST', 'core_course_update_categories', { categories: [{ id: 7, name: 'Archive' }] }).then(function(){
+     *     return myMoodle.cache().invalidate('core_course_get_categories');
+     * });
+     */
+    cache(){
+        return this._cache;
+    }
+    
     /**
      * Get the URL for the Moodle instance's REST API.
      *
@@ -342,9 +887,62 @@ class MoodleWSClient{
         return this._moodleUrl + MOODLE_API_PATH;
     }
     
+    /**
+     * Get the URL for the Moodle instance's web service file upload script.
+     *
+     * @returns {SecureUrl}
+     */
+    uploadUrl(){
+        return this._moodleUrl + MOODLE_UPLOAD_PATH;
+    }
+    
+    /**
+     * Add a middleware function to the pipeline every call to
+     * [.submit()]{@link MoodleWSClient#submit} passes through, including
+     * calls made via shortcuts. Middleware run in the order they were added,
+     * each one wrapping all those added after it.
+     *
+     * @param {Middleware} middleware
+     * @returns {MoodleWSClient} Returns a reference to self to facilitate
+     * function chaining.
+     * @throws {ValidationError} A validation error is thrown if the middleware
+     * is not a function.
+     * @example <caption>Timing calls</caption>
+     * myMoodle.use(function(ctx, next){
+     *     let start = Date.now();
+     *     return next().then(function(response){
+     *         console.log(`${ctx.wsFunctionName} took ${Date.now() - start}ms`);
+     *         return response;
+     *     });
+     * });
+     * @example <caption>Answering calls without contacting Moodle</caption>
+     * let siteInfo = null; // shared by all calls, unlike ctx.state
+     * myMoodle.use(function(ctx, next){
+     *     if(ctx.wsFunctionName !== 'core_webservice_get_site_info') return next();
+     *     if(siteInfo) return siteInfo;
+     *     return next().then(function(response){
+     *         siteInfo = response;
+     *         return response;
+     *     });
+     * });
+     */
+    use(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'middleware',
+            presence: true,
+            hasTypeof: 'function'
+        }]);
+        this._middleware.push(args.middleware);
+        return this;
+    }
+    
     /**
      * Submit a request to the Moodle REST API.
      *
+     * The request passes through any [middleware]{@link MoodleWSClient#use}
+     * before being sent, so all errors other than validation errors for the
+     * arguments themselves are reported by rejecting the returned promise.
+     *
      * @async
      * @param {HttpMethod} method
      * @param {WsFunctionName} wsFunctionName
@@ -352,16 +950,33 @@ class MoodleWSClient{
      * parameters to send to the web service. This object can be used to
      * override the default data format via the `moodlewsrestformat` key.
      * @param {PlainObject} [options={}] - a plain object which can be used to
-     * override default options like `timeout`. The parameters can be specified
+     * override default options like `timeout`, `format`, `decode` & `retry`, and to set the
+     * request's `priority` within the client's request queue. Retry policies
+     * are merged with the client's policy, so only the keys that differ need
+     * to be specified. The parameters can be specified
      * as a regular JavaScript data structure, because they will automatically
      * get encoded into the format required by the Moodle web service.
-     * @returns {PlainObject} Returns a promise of aplain object generated by
-     * parsing the body of the web service response as a JSON string.
+     * Setting `dryRun` overrides the client's `dryRun` option, and setting
+     * `cache` to `false` bypasses the client's response cache, if any.
+     * @returns {PlainObject} Returns a promise of a plain object generated by
+     * parsing the body of the web service response as a JSON or XML string
+     * as appropriate, or of a {@link PreparedRequest} in dry-run mode.
      * @throws {ValidationError} A validation error is thrown if invalid
      * parameters are passed.
      * @throws {MoodleWSError} A web service error is thrown if the reply
-     * received from the web service is a JSON string representing an object
-     * with the key `exception`.
+     * received from the web service represents an exception. Exceptions with
+     * common error codes are thrown as sub-classes, e.g.
+     * {@link MoodleWSInvalidTokenError}.
+     * @throws {MoodleWSTransportError} A transport error is thrown if no
+     * response is received, or {@link MoodleWSTimeoutError} if the request
+     * times out.
+     * @throws {MoodleWSHTTPError} An HTTP error is thrown if the web service
+     * responds with an HTTP status outside the 2XX range.
+     * @throws {MoodleWSResponseError} A response error is thrown if the body
+     * of the response can't be parsed.
+     * @throws {MoodleWSSchemaError} A schema error is thrown if the client
+     * has a catalogue and the parameters, or the response when
+     * `validateResponses` is enabled, don't match the function's description.
      * @example <caption>A call with no web service parameters</caption>
      * let siteInfoPromise = myMoodleWS.submit('GET', 'core_webservice_get_site_info');
      * @example <caption>A call with web service parameters</caption>
@@ -392,61 +1007,815 @@ class MoodleWSClient{
             {
                 paramOptions: {
                     name: 'options',
-                    defaultWhenUndefined: {}
+                    defaultWhenUndefined: {},
+                    coerce: function(v){
+                        if(validate.isObject(v) && validate.isDefined(v.decode)){
+                            v = Object.assign({}, v, { decode: vpCons.decodeOptions.vpopt_coerce(v.decode) });
+                        }
+                        return v;
+                    }
                 },
-                dictionary: true
+                dictionary: {
+                    mapConstraints: {
+                        format: validateParams.paramToAttrConstraints(vpCons.wsDataFormat),
+                        decode: validateParams.paramToAttrConstraints(vpCons.decodeOptions),
+                        retry: vpCons.retryPolicy,
+                        priority: vpCons.requestPriority,
+                        dryRun: { hasTypeof: 'boolean' },
+                        cache: { hasTypeof: 'boolean' }
+                    }
+                }
             }
         ]);
         
-        // build up the request options object
+        // build the context passed through the middleware, and submit the
+        // request once all the middleware has run
+        let self = this;
+        let ctx = MoodleWSClient._requestContext(this, args.method, args.wsFunctionName, args.wsParameters, args.options);
+        return this._runMiddleware(ctx, function(finalCtx){
+            return self._submitContext(finalCtx);
+        });
+    }
+    
+    /**
+     * Submit the request described by a request context. This is the
+     * innermost layer of the middleware pipeline.
+     *
+     * @private
+     * @param {RequestContext} ctx
+     * @returns {Promise} A promise of the parsed response.
+     */
+    _submitContext(ctx){
+        // figure out which format to request the response in
+        let format = ctx.options.format || this._options.format;
+        let wsParameters = ctx.wsParameters;
+        if(validate.isDefined(wsParameters.moodlewsrestformat)){
+            format = vpCons.wsDataFormat.vpopt_coerce(wsParameters.moodlewsrestformat, {}, validateParams.coercions);
+            wsParameters = Object.assign({}, wsParameters);
+            delete wsParameters.moodlewsrestformat;
+        }
+        if(validate.single(format, validateParams.paramToAttrConstraints(vpCons.wsDataFormat))){
+            throw new TypeError(`unsupported web service data format '${format}' in moodlewsrestformat parameter`);
+        }
+        
+        // validate the parameters against the catalogue, if any
+        let catalogue = this._catalogue;
+        if(catalogue){
+            let problems = catalogue.validateParameters(ctx.wsFunctionName, wsParameters);
+            if(problems.length){
+                throw new MoodleWSSchemaError('parameters', problems, { method: ctx.method, url: this.apiUrl(), wsFunctionName: ctx.wsFunctionName });
+            }
+        }
+        
+        // build up the request to pass to the transport
+        let params = {
+            wstoken: this._token,
+            wsfunction: ctx.wsFunctionName,
+            moodlewsrestformat: format
+        };
+        let encodedParams = MoodleWSClient.encodeWSArguments(wsParameters);
+        for(let param in encodedParams){
+            params[param] = encodedParams[param];
+        }
         let reqOpts = {
-            uri: this.apiUrl(),
-            method: args.method,
-            qs: {
-                wstoken: this._token,
-                wsfunction: args.wsFunctionName,
-                moodlewsrestformat: 'json'
-            },
-            strictSSL: !this._options.acceptUntrustedTLSCert,
-            timeout: this._options.timeout
+            url: this.apiUrl(),
+            method: ctx.method,
+            timeout: this._requestTimeout(ctx.options)
         };
-        var customTimeout = vpCons.timeoutMS.vpopt_coerce(args.options.timeout, {}, validateParams.coercions);
-        if(!validate.single(customTimeout, validateParams.paramToAttrConstraints(vpCons.timeoutMS))){
-            reqOpts.timeout = customTimeout;
+        if(ctx.method === 'POST'){
+            // keep the token and data out of the URL (and hence out of access logs)
+            reqOpts.headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+            reqOpts.body = new URLSearchParams(params).toString();
+        }else{
+            reqOpts.qs = params;
         }
-        let encodedParams = MoodleWSClient.encodeWSArguments(args.wsParameters);
-        for(let param in encodedParams){
-            reqOpts.qs[param] = encodedParams[param];
+        
+        // in dry-run mode, describe the request rather than sending it
+        let dryRun = validate.isDefined(ctx.options.dryRun) ? ctx.options.dryRun : this._options.dryRun;
+        if(dryRun){
+            return Promise.resolve(MoodleWSClient._preparedRequest(reqOpts, params));
         }
         
         // make the request and return the resulting promise
-        return requestP(reqOpts).then(function(jsonStr){
-            let responseData = JSON.parse(jsonStr);
-            
-            // if the response is an exception, throw an error
-            if(responseData && responseData.exception){
-                throw new MoodleWSError(responseData);
+        let retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, this._options.retry, ctx.options.retry);
+        let summary = MoodleWSClient._requestSummary(reqOpts, this._options.redactParams);
+        let decode = validate.isDefined(ctx.options.decode) ? ctx.options.decode : this._options.decode;
+        let validateResponses = this._options.validateResponses;
+        let self = this;
+        let start = Date.now();
+        return this._sendRequest(reqOpts, retryPolicy, ctx.options.priority).then(function(res){
+            let responseData;
+            try{
+                responseData = MoodleWSClient._parseResponseBody(res.body, format, summary);
+                
+                // if the response is an exception, throw an error
+                if(responseData && responseData.exception){
+                    throw MoodleWSError.fromResponseData(responseData, summary);
+                }
+                
+                // validate the response against the catalogue if requested
+                if(catalogue && validateResponses){
+                    let problems = catalogue.validateResponse(ctx.wsFunctionName, responseData);
+                    if(problems.length){
+                        throw new MoodleWSSchemaError('response', problems, summary);
+                    }
+                }
+            }catch(err){
+                // transport & HTTP errors are logged by ._sendRequest()
+                self._log('error', 'error', summary, MoodleWSClient._errorLogDetails(err, { statusCode: res.statusCode, durationMS: Date.now() - start }));
+                throw err;
             }
             
-            // return the response data
+            // return the response data, decoded if requested
+            if(decode){
+                return MoodleWSClient.decodeWSResponse(responseData, decode);
+            }
             return responseData;
         });
     }
-
+    
     /**
-     * Register a shortcut. This function creates functions with a given name
-     * that act as wrappers for the
-     * [.submit() function]{@link module:@maynoothuniversity/moodle-ws-client~MoodleWSClient#submit}
-     * with the given HTTP method web service function name.
+     * Build a request exactly as [.submit()]{@link MoodleWSClient#submit}
+     * would, including running any middleware, but without sending it. This
+     * is equivalent to calling `.submit()` with the `dryRun` option.
      *
-     * @param {JsFunctionName} shortcut - the name for the shortcut function.
-     * @param {WsFunctionName} wsFunctionName - the name of the Moodle web
-     * service function this shortcut will invoke.
-     * @param {HttpMethod} method - the HTTP method this shortcut function will
-     * invoke the Moodle web service with.
-     * @returns {MoodleWSClient} Returns a reference to self to facilitate
-     * function chaining.
-     * @example
+     * @async
+     * @param {HttpMethod} method
+     * @param {WsFunctionName} wsFunctionName
+     * @param {PlainObject} [wsParameters={}]
+     * @param {PlainObject} [options={}] - options as accepted by `.submit()`.
+     * @returns {PreparedRequest} Returns a promise of a description of the
+     * request.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed.
+     * @example
+     * myMoodle.describeRequest('POST', 'core_user_delete_users', { userids: [42] }).then(function(req){
+     *     console.log(MoodleWSClient.toCurl(req, { maskToken: true }));
+     * });
+     */
+    describeRequest(method, wsFunctionName, wsParameters, options){
+        return this.submit(method, wsFunctionName, wsParameters, Object.assign({}, options, { dryRun: true }));
+    }
+    
+    /**
+     * Submit a request with a potentially very long list of items by splitting
+     * the list into chunks and submitting each chunk as a separate request.
+     * This is intended for bulk functions like `core_user_create_users` or
+     * `enrol_manual_enrol_users` which accept a list of records.
+     *
+     * No more than `concurrency` chunks are in flight at once, on top of any
+     * limits set with the client's `maxConcurrent` & `requestsPerSecond`
+     * options, so a long list doesn't reach Moodle as a single burst.
+     *
+     * Failed chunks do not cause the returned promise to reject, instead they
+     * are reported in the result along with the responses for the chunks that
+     * succeeded.
+     *
+     * @async
+     * @param {HttpMethod} method
+     * @param {WsFunctionName} wsFunctionName
+     * @param {string} arrayKey - the name of the web service parameter that
+     * holds the list of items, e.g. `users` for `core_user_create_users`.
+     * @param {Array} items - the full list of items to submit.
+     * @param {PlainObject} [options={}] - the options for the batch. Any
+     * options other than those listed below are passed on to
+     * [.submit()]{@link MoodleWSClient#submit} for every chunk.
+     * @param {number} [options.chunkSize=100] - the maximum number of items to
+     * send in each request.
+     * @param {number} [options.concurrency=4] - the maximum number of chunks
+     * to submit at once.
+     * @param {PlainObject} [options.wsParameters={}] - additional web service
+     * parameters to send with every chunk.
+     * @returns {BatchResult} Returns a promise of the combined result.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed.
+     * @example
+     * myMoodle.submitBatched('POST', 'core_user_create_users', 'users', allUsers, { chunkSize: 50 }).then(function(result){
+     *     console.log(`created ${result.response.length} users`);
+     *     for(let failure of result.errors){
+     *         console.warn(`users ${failure.start} to ${failure.end - 1} failed: ${failure.error.message}`);
+     *     }
+     * });
+     */
+    submitBatched(){
+        let args = validateParams.assert(arguments, [
+            validateParams.extendObject({ vpopt_name: 'method', presence: true }, vpCons.httpMethod),
+            validateParams.extendObject({ vpopt_name: 'wsFunctionName', presence: true }, vpCons.wsFunctionName),
+            {
+                vpopt_name: 'arrayKey',
+                presence: true,
+                hasTypeof: 'string'
+            },
+            {
+                vpopt_name: 'items',
+                defined: true,
+                list: true
+            },
+            {
+                paramOptions: {
+                    name: 'options',
+                    defaultWhenUndefined: {}
+                },
+                dictionary: {
+                    mapConstraints: {
+                        chunkSize: { numericality: { onlyInteger: true, greaterThan: 0 } },
+                        concurrency: { numericality: { onlyInteger: true, greaterThan: 0 } },
+                        wsParameters: { dictionary: true }
+                    }
+                }
+            }
+        ]);
+        let submitOptions = Object.assign({}, args.options);
+        let chunkSize = submitOptions.chunkSize || 100;
+        let fixedParams = submitOptions.wsParameters || {};
+        let scheduler = new RequestScheduler({ maxConcurrent: submitOptions.concurrency || DEFAULT_BATCH_CONCURRENCY });
+        delete submitOptions.chunkSize;
+        delete submitOptions.concurrency;
+        delete submitOptions.wsParameters;
+        let self = this;
+        
+        // submit each chunk, capturing the outcome rather than rejecting
+        let chunkPromises = [];
+        for(let start = 0; start < args.items.length; start += chunkSize){
+            let chunk = {
+                index: chunkPromises.length,
+                start: start,
+                end: Math.min(start + chunkSize, args.items.length)
+            };
+            let wsParameters = Object.assign({}, fixedParams);
+            wsParameters[args.arrayKey] = args.items.slice(chunk.start, chunk.end);
+            chunkPromises.push(scheduler.schedule(function(){
+                return self.submit(args.method, args.wsFunctionName, wsParameters, submitOptions);
+            }).then(
+                function(response){
+                    chunk.response = response;
+                    return chunk;
+                },
+                function(err){
+                    chunk.error = err;
+                    return chunk;
+                }
+            ));
+        }
+        
+        // merge the results
+        return Promise.all(chunkPromises).then(function(chunks){
+            let merged = null;
+            for(let chunk of chunks){
+                if(chunk.error || !validate.isDefined(chunk.response)) continue;
+                merged = MoodleWSClient._mergeResponses(merged, chunk.response);
+            }
+            return {
+                response: merged,
+                chunks: chunks,
+                errors: chunks.filter(function(c){ return c.error; })
+            };
+        });
+    }
+    
+    /**
+     * Iterate over every item returned by a web service function which
+     * returns its results a page at a time. Pages are fetched lazily, one at
+     * a time, as the iterator is consumed, and iteration stops when a short
+     * or empty page is returned, or when as many items as the response's
+     * `total` have been fetched.
+     *
+     * The following paging styles are supported:
+     *
+     * * `page` - the `page` & `perpage` parameters, with pages numbered from
+     *   zero, as used by `core_course_search_courses`.
+     * * `offset` - the `limitfrom` & `limitnumber` parameters.
+     * * `options` - `limitfrom` & `limitnumber` entries in the `options` list
+     *   of name-value pairs, as used by `core_enrol_get_enrolled_users`. Any
+     *   other options are preserved.
+     * * `values` - the list of values in the `values` parameter is split into
+     *   chunks of `pageSize` values, as for `core_user_get_users_by_field`.
+     *   If the parameter is a comma-separated string, as accepted by
+     *   `core_course_get_courses_by_field` for the `ids` field, it's split on
+     *   the commas.
+     *
+     * @param {HttpMethod} method
+     * @param {WsFunctionName} wsFunctionName
+     * @param {PlainObject} [wsParameters={}] - the web service parameters,
+     * not including the paging parameters.
+     * @param {PlainObject} [options={}] - the options for the iteration. Any
+     * options other than those listed below are passed on to
+     * [.submit()]{@link MoodleWSClient#submit} for every page.
+     * @param {string} [options.style='page'] - the paging style, one of
+     * `page`, `offset`, `options` or `values`.
+     * @param {number} [options.pageSize=100] - the number of items to
+     * request per page.
+     * @param {string} [options.itemsKey] - the key within the response which
+     * holds the page's items, e.g. `courses`. Defaults to the whole response
+     * if it's an array, or its only array other than `warnings` otherwise.
+     * @param {string} [options.startParam] - the name of the parameter giving
+     * the page number or offset, if not the style's default.
+     * @param {string} [options.sizeParam] - the name of the parameter giving
+     * the page size, if not the style's default.
+     * @param {string} [options.valuesKey='values'] - the name of the
+     * parameter holding the values for the `values` style.
+     * @returns {AsyncIterator} Returns an async iterator over the items,
+     * which is also async iterable. Errors reject the pending call to
+     * `.next()` and end the iteration.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed.
+     * @example
+     * let users = myMoodle.paginate('GET', 'core_enrol_get_enrolled_users', { courseid: 42 }, { style: 'options', pageSize: 500 });
+     * for await (let user of users){
+     *     console.log(user.fullname);
+     * }
+     */
+    paginate(){
+        let args = validateParams.assert(arguments, [
+            validateParams.extendObject({ vpopt_name: 'method', presence: true }, vpCons.httpMethod),
+            validateParams.extendObject({ vpopt_name: 'wsFunctionName', presence: true }, vpCons.wsFunctionName),
+            { vpopt_name: 'wsParameters', vpopt_defaultWhenUndefined: {}, dictionary: true },
+            {
+                paramOptions: {
+                    name: 'options',
+                    defaultWhenUndefined: {}
+                },
+                dictionary: {
+                    mapConstraints: {
+                        style: { inclusion: Object.keys(PAGING_STYLES) },
+                        pageSize: { numericality: { onlyInteger: true, greaterThan: 0 } },
+                        itemsKey: { hasTypeof: 'string' },
+                        startParam: { hasTypeof: 'string' },
+                        sizeParam: { hasTypeof: 'string' },
+                        valuesKey: { hasTypeof: 'string' }
+                    }
+                }
+            }
+        ]);
+        let submitOptions = Object.assign({}, args.options);
+        for(let opt of ['style', 'pageSize', 'itemsKey', 'startParam', 'sizeParam', 'valuesKey']) delete submitOptions[opt];
+        let paging = Object.assign({}, PAGING_STYLES[args.options.style || 'page']);
+        paging.pageSize = args.options.pageSize || 100;
+        if(args.options.startParam) paging.startParam = args.options.startParam;
+        if(args.options.sizeParam) paging.sizeParam = args.options.sizeParam;
+        if(args.options.valuesKey) paging.valuesKey = args.options.valuesKey;
+        
+        // split the values up front for the values style
+        let chunks = null;
+        if(paging.valuesKey){
+            let values = args.wsParameters[paging.valuesKey];
+            let joined = validate.isString(values);
+            if(joined) values = values.split(',').map(function(v){ return v.trim(); }).filter(function(v){ return v.length; });
+            if(!validate.isArray(values)){
+                throw new TypeError(`the '${paging.valuesKey}' parameter must be a list or a comma-separated string to paginate ${args.wsFunctionName} by values`);
+            }
+            chunks = [];
+            for(let start = 0; start < values.length; start += paging.pageSize){
+                let chunk = values.slice(start, start + paging.pageSize);
+                chunks.push(joined ? chunk.join(',') : chunk);
+            }
+        }
+        
+        let self = this;
+        let pageNumber = 0;
+        let fetched = 0;
+        let buffer = [];
+        let done = false;
+        let queue = Promise.resolve();
+        
+        // fetch the next page into the buffer, flagging the end if reached
+        let fetchPage = function(){
+            let wsParameters = Object.assign({}, args.wsParameters);
+            if(chunks){
+                wsParameters[paging.valuesKey] = chunks[pageNumber];
+            }else{
+                let start = paging.offsets ? pageNumber * paging.pageSize : pageNumber;
+                wsParameters = MoodleWSClient._pagingParameters(wsParameters, paging, start);
+            }
+            pageNumber++;
+            return self.submit(args.method, args.wsFunctionName, wsParameters, submitOptions).then(function(response){
+                let items = MoodleWSClient._responseItems(response, args.options.itemsKey);
+                if(!items){
+                    throw new TypeError(`failed to find the list of items in the response from ${args.wsFunctionName}, use the itemsKey option to specify it`);
+                }
+                buffer = items.slice();
+                fetched += items.length;
+                if(chunks){
+                    done = pageNumber >= chunks.length;
+                }else{
+                    // trust the total if there is one, as the site may cap the page size
+                    let total = validate.isObject(response) && validate.isNumber(response.total) ? response.total : null;
+                    done = items.length === 0 || (total === null ? items.length < paging.pageSize : fetched >= total);
+                }
+            });
+        };
+        
+        // take the next item, fetching pages as needed
+        let step = function(){
+            if(buffer.length) return { value: buffer.shift(), done: false };
+            if(done || (chunks && pageNumber >= chunks.length)){
+                done = true;
+                return { value: undefined, done: true };
+            }
+            return fetchPage().then(step, function(err){
+                done = true;
+                throw err;
+            });
+        };
+        
+        // serialise calls to .next() so pages are fetched in order, once
+        let iterator = {
+            next: function(){
+                let result = queue.then(step);
+                queue = result.catch(function(){});
+                return result;
+            },
+            return: function(value){
+                done = true;
+                buffer = [];
+                return Promise.resolve({ value: value, done: true });
+            }
+        };
+        iterator[Symbol.asyncIterator] = function(){ return iterator; };
+        return iterator;
+    }
+    
+    /**
+     * Upload one or more files to Moodle via `webservice/upload.php`. Files
+     * are uploaded to a draft area by default, and the `itemid` of the draft
+     * area returned with each file record can then be passed to web service
+     * functions like `core_user_add_user_private_files`.
+     *
+     * Files can be specified as paths, Buffers or readable streams, or as
+     * objects indexed by `filename` & `content`, where the content is a path,
+     * Buffer or stream. Files specified without a name are named after their
+     * path if known, or `file_N` otherwise. Streams are read into memory
+     * before the upload begins.
+     *
+     * @async
+     * @param {(string|Buffer|stream.Readable|PlainObject|Array)} files - a
+     * single file, or an array of files.
+     * @param {PlainObject} [options={}] - upload options. Other options, like
+     * `timeout`, `retry` & `priority`, are treated as per
+     * [.submit()]{@link MoodleWSClient#submit}.
+     * @param {string} [options.filearea='draft'] - the file area to upload to,
+     * `draft` or `private`.
+     * @param {number} [options.itemid=0] - the item ID of an existing draft
+     * area to add the files to, or `0` to create a new draft area.
+     * @param {string} [options.filepath='/'] - the path within the file area
+     * to upload the files to.
+     * @returns {PlainObject[]} Returns a promise of the file records returned
+     * by Moodle, one per file, each including the `itemid` of the area the
+     * file was uploaded to.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed.
+     * @throws {MoodleWSError} A web service error is thrown if Moodle rejects
+     * the upload.
+     * @example
+     * myMoodle.uploadFiles(['./report.pdf', { filename: 'notes.txt', content: Buffer.from('hello') }]).then(function(records){
+     *     return myMoodle.submit('POST', 'core_user_add_user_private_files', { draftid: records[0].itemid });
+     * });
+     */
+    uploadFiles(){
+        let args = validateParams.assert(arguments, [
+            {
+                vpopt_name: 'files',
+                defined: true,
+                vpopt_coerce: function(v){
+                    return validate.isArray(v) ? v : [v];
+                },
+                list: { minimumLength: 1 }
+            },
+            {
+                paramOptions: {
+                    name: 'options',
+                    defaultWhenUndefined: {}
+                },
+                dictionary: {
+                    mapConstraints: {
+                        filearea: { inclusion: ['draft', 'private'] },
+                        itemid: { numericality: { onlyInteger: true, greaterThanOrEqualTo: 0 } },
+                        filepath: { format: /\/(.*\/)?/ },
+                        retry: vpCons.retryPolicy,
+                        priority: vpCons.requestPriority
+                    }
+                }
+            }
+        ]);
+        let self = this;
+        
+        // read all the files into memory, then build and send the multipart request
+        return Promise.all(args.files.map(MoodleWSClient._readUploadFile)).then(function(files){
+            let fields = {
+                token: self._token,
+                filearea: args.options.filearea || 'draft',
+                itemid: String(args.options.itemid || 0),
+                filepath: args.options.filepath || '/'
+            };
+            let boundary = '----MoodleWSClient' + crypto.randomBytes(12).toString('hex');
+            let parts = [];
+            for(let field in fields){
+                parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"\r\n\r\n${fields[field]}\r\n`));
+            }
+            files.forEach(function(file, i){
+                let filename = file.filename.replace(/["\r\n]/g, '_');
+                parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file_${i + 1}"; filename="${filename}"\r\nContent-Type: application/octet-stream\r\n\r\n`));
+                parts.push(file.content);
+                parts.push(Buffer.from('\r\n'));
+            });
+            parts.push(Buffer.from(`--${boundary}--\r\n`));
+            let reqOpts = {
+                url: self.uploadUrl(),
+                method: 'POST',
+                headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+                body: Buffer.concat(parts),
+                timeout: self._requestTimeout(args.options)
+            };
+            let retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, self._options.retry, args.options.retry);
+            return self._sendRequest(reqOpts, retryPolicy, args.options.priority).then(function(res){
+                let summary = MoodleWSClient._requestSummary(reqOpts, self._options.redactParams);
+                let responseData = MoodleWSClient._parseResponseBody(res.body, 'json', summary);
+                
+                // upload.php reports errors with either an 'exception' or an 'error' key
+                if(responseData && !validate.isArray(responseData) && (responseData.exception || responseData.error)){
+                    throw MoodleWSError.fromResponseData(Object.assign({ message: responseData.error }, responseData), summary);
+                }
+                return responseData;
+            });
+        });
+    }
+    
+    /**
+     * Convert the URL of a file within the Moodle site, e.g. a `fileurl` from
+     * the response to `core_course_get_contents`, into a URL that can be used
+     * to download the file with the client's token, i.e. re-write the path to
+     * go via `webservice/pluginfile.php` and append the token.
+     *
+     * Note that the returned URL contains the token, so treat it as a secret.
+     *
+     * @param {string} fileurl
+     * @returns {SecureUrl}
+     * @throws {ValidationError} A validation error is thrown if the URL is
+     * not a valid URL.
+     * @throws {Error} An error is thrown if the URL does not point to a file
+     * on the client's Moodle site, since that would leak the token.
+     * @example
+     * myMoodle.authenticatedFileUrl('https://moodle.myuni.edu/pluginfile.php/42/mod_resource/content/0/notes.pdf');
+     * // returns 'https://moodle.myuni.edu/webservice/pluginfile.php/42/mod_resource/content/0/notes.pdf?token=...'
+     */
+    authenticatedFileUrl(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'fileurl',
+            presence: true,
+            url: {
+                schemes: ['https'],
+                allowLocal: true
+            }
+        }]);
+        let url = new URL(args.fileurl);
+        let base = new URL(this._moodleUrl);
+        let filePath = url.pathname.slice(base.pathname.length);
+        if(url.origin !== base.origin || !url.pathname.startsWith(base.pathname) || !filePath.match(/^(webservice\/)?pluginfile\.php\//)){
+            throw new Error(`not a file URL on this Moodle site: ${url.origin + url.pathname}`);
+        }
+        if(!filePath.startsWith('webservice/')){
+            url.pathname = base.pathname + 'webservice/' + filePath;
+        }
+        url.searchParams.set('token', this._token);
+        return url.href;
+    }
+    
+    /**
+     * Download a file from the Moodle site. The file is streamed rather than
+     * read into memory, so this is suitable for large files.
+     *
+     * @async
+     * @param {string} fileurl - the URL of the file, in either its regular or
+     * web service form, e.g. a `fileurl` from the response to
+     * `core_course_get_contents` or `mod_assign_get_submissions`.
+     * @param {PlainObject} [options={}] - options like `timeout`, `retry` &
+     * `priority`, treated as per [.submit()]{@link MoodleWSClient#submit}.
+     * @returns {stream.Readable} Returns a promise of a readable stream of
+     * the file's contents.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed.
+     * @throws {MoodleWSError} A web service error is thrown if Moodle returns
+     * an error rather than the file, e.g. because the token is invalid or
+     * lacks permission to access the file.
+     * @see MoodleWSClient#authenticatedFileUrl
+     * @example
+     * myMoodle.downloadFile(module.contents[0].fileurl).then(function(fileStream){
+     *     fileStream.pipe(process.stdout);
+     * });
+     */
+    downloadFile(){
+        let args = validateParams.assert(arguments, [
+            { vpopt_name: 'fileurl', presence: true, hasTypeof: 'string' },
+            {
+                paramOptions: {
+                    name: 'options',
+                    defaultWhenUndefined: {}
+                },
+                dictionary: {
+                    mapConstraints: {
+                        retry: vpCons.retryPolicy,
+                        priority: vpCons.requestPriority
+                    }
+                }
+            }
+        ]);
+        let url = new URL(this.authenticatedFileUrl(args.fileurl));
+        url.searchParams.delete('token');
+        let reqOpts = {
+            url: url.href,
+            method: 'GET',
+            qs: { token: this._token },
+            timeout: this._requestTimeout(args.options),
+            stream: true
+        };
+        let retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, this._options.retry, args.options.retry);
+        let summary = MoodleWSClient._requestSummary(reqOpts, this._options.redactParams);
+        return this._sendRequest(reqOpts, retryPolicy, args.options.priority).then(function(res){
+            let body = res.body;
+            if(!body || !validate.isFunction(body.pipe)){
+                // not all transports support streaming
+                body = stream.Readable.from([Buffer.from(body || '')]);
+            }
+            
+            // Moodle reports errors as small JSON objects, so check the start of
+            // JSON responses & only read the whole body if it looks like one
+            let contentType = String(res.headers && res.headers['content-type'] || '');
+            if(!contentType.match(/^application\/json/)) return body;
+            let contentLength = Number(res.headers['content-length']);
+            if(contentLength > MAX_FILE_ERROR_BYTES) return body;
+            return MoodleWSClient._peekStream(body, FILE_ERROR_PEEK_BYTES).then(function(peeked){
+                if(!peeked.head.toString('utf8').match(/^\s*\{\s*"(error|exception)"/)) return peeked.stream;
+                return MoodleWSClient._readStream(peeked.stream).then(function(buf){
+                    let errorData = MoodleWSClient._fileErrorData(buf.toString('utf8'));
+                    if(errorData) throw MoodleWSError.fromResponseData(errorData, summary);
+                    return stream.Readable.from([buf]);
+                });
+            });
+        }, function(err){
+            let errorData = err.response && MoodleWSClient._fileErrorData(err.response.body);
+            if(errorData) throw MoodleWSError.fromResponseData(errorData, summary);
+            throw err;
+        });
+    }
+    
+    /**
+     * Download a file from the Moodle site and save it to disk.
+     *
+     * @async
+     * @param {string} fileurl - the URL of the file.
+     * @param {string} destination - the path to save the file to.
+     * @param {PlainObject} [options={}] - options as per
+     * [.downloadFile()]{@link MoodleWSClient#downloadFile}.
+     * @returns {string} Returns a promise of the path the file was saved to.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed.
+     * @throws {MoodleWSError} A web service error is thrown if Moodle returns
+     * an error rather than the file.
+     * @see MoodleWSClient#downloadFile
+     */
+    downloadFileTo(){
+        let args = validateParams.assert(arguments, [
+            { vpopt_name: 'fileurl', presence: true, hasTypeof: 'string' },
+            { vpopt_name: 'destination', presence: true, hasTypeof: 'string' },
+            { vpopt_name: 'options', vpopt_defaultWhenUndefined: {}, dictionary: true }
+        ]);
+        return this.downloadFile(args.fileurl, args.options).then(function(fileStream){
+            return new Promise(function(resolve, reject){
+                stream.pipeline(fileStream, fs.createWriteStream(args.destination), function(err){
+                    if(err) reject(err);
+                    else resolve(args.destination);
+                });
+            });
+        });
+    }
+    
+    /**
+     * Get the timeout to use for a request given the options passed to the
+     * function making the request.
+     *
+     * @private
+     * @param {PlainObject} callOptions
+     * @returns {number} A timeout in milliseconds, the client's default
+     * timeout if the options don't specify a valid one.
+     */
+    _requestTimeout(callOptions){
+        let customTimeout = vpCons.timeoutMS.vpopt_coerce(callOptions.timeout, {}, validateParams.coercions);
+        if(!validate.single(customTimeout, validateParams.paramToAttrConstraints(vpCons.timeoutMS))){
+            return customTimeout;
+        }
+        return this._options.timeout;
+    }
+    
+    /**
+     * Pass a request context through the client's middleware, finally
+     * handing it to the given function.
+     *
+     * @private
+     * @async
+     * @param {RequestContext} ctx
+     * @param {function(RequestContext): Promise} handler - the innermost
+     * layer of the pipeline.
+     * @returns {Promise} A promise of the response returned by the outermost
+     * middleware.
+     */
+    _runMiddleware(ctx, handler){
+        let stack = this._middleware.slice();
+        let dispatch = function(i){
+            return Promise.resolve().then(function(){
+                if(i >= stack.length) return handler(ctx);
+                return stack[i](ctx, function(){ return dispatch(i + 1); }); // BEWARE - recursion!
+            });
+        };
+        return dispatch(0);
+    }
+    
+    /**
+     * Send a request via the transport, re-trying transient failures as
+     * dictated by the given retry policy.
+     *
+     * @private
+     * @async
+     * @param {TransportRequest} reqOpts
+     * @param {RetryPolicy} retryPolicy - a complete retry policy.
+     * @param {RequestPriority} [priority='normal'] - the priority with which
+     * to queue each attempt.
+     * @returns {TransportResponse} Returns a promise of the response.
+     * @throws {MoodleWSTransportError} A transport error is thrown if no
+     * response is received.
+     * @throws {MoodleWSHTTPError} An HTTP error is thrown if the server returns
+     * an HTTP status outside the 2XX range.
+     */
+    _sendRequest(reqOpts, retryPolicy, priority){
+        let self = this;
+        let maxAttempts = reqOpts.method === 'POST' && !retryPolicy.retryPost ? 1 : retryPolicy.maxAttempts;
+        let attempt = 1;
+        let start = Date.now();
+        let summary = MoodleWSClient._requestSummary(reqOpts, this._options.redactParams);
+        this._log('debug', 'request', summary, { requestSize: MoodleWSClient._requestSize(reqOpts), attempt: attempt });
+        let tryRequest = function(){
+            let send = function(){ return MoodleWSClient._transportRequest(self._transport, reqOpts); };
+            return self._scheduler.schedule(send, priority).catch(function(err){
+                let retryable = retryPolicy.retryableStatuses.includes(err.statusCode) || retryPolicy.retryableErrorCodes.includes(err.code);
+                if(!retryable || attempt >= maxAttempts){
+                    err.attempts = attempt;
+                    if(err instanceof MoodleWSClientError && err.request) err.request = summary;
+                    self._log('error', 'error', summary, MoodleWSClient._errorLogDetails(err, { attempt: attempt, durationMS: Date.now() - start }));
+                    throw err;
+                }
+                
+                // wait for the backoff delay, then try again
+                let delay = Math.min(retryPolicy.backoffCap, retryPolicy.backoffBase * Math.pow(2, attempt - 1));
+                if(retryPolicy.jitter) delay = Math.round(Math.random() * delay);
+                self._log('warn', 'retry', summary, MoodleWSClient._errorLogDetails(err, { attempt: attempt, delay: delay }));
+                attempt++;
+                return new Promise(function(resolve){ setTimeout(resolve, delay); }).then(tryRequest);
+            });
+        };
+        return tryRequest().then(function(res){
+            self._log('info', 'response', summary, {
+                statusCode: res.statusCode,
+                responseSize: MoodleWSClient._bodySize(res.body),
+                attempt: attempt,
+                durationMS: Date.now() - start
+            });
+            return res;
+        });
+    }
+    
+    /**
+     * Send an event to the client's logger, if any.
+     *
+     * @private
+     * @param {string} level - the logger method to call.
+     * @param {string} event - the type of event.
+     * @param {RequestSummary} summary - a redacted summary of the request.
+     * @param {PlainObject} [details] - additional data to include.
+     */
+    _log(level, event, summary, details){
+        let logger = this._options.logger;
+        if(!logger || !validate.isFunction(logger[level])) return;
+        let entry = Object.assign({
+            event: event,
+            message: `moodle-ws ${event}: ${summary.method} ${summary.wsFunctionName || summary.url}`
+        }, summary, details);
+        if(entry.errorMessage) entry.message += ` - ${entry.errorMessage}`;
+        logger[level](entry);
+    }
+
+    /**
+     * Register a shortcut. This function creates functions with a given name
+     * that act as wrappers for the
+     * [.submit() function]{@link module:@maynoothuniversity/moodle-ws-client~MoodleWSClient#submit}
+     * with the given HTTP method web service function name.
+     *
+     * @param {JsFunctionName} shortcut - the name for the shortcut function.
+     * @param {WsFunctionName} wsFunctionName - the name of the Moodle web
+     * service function this shortcut will invoke.
+     * @param {HttpMethod} method - the HTTP method this shortcut function will
+     * invoke the Moodle web service with.
+     * @returns {MoodleWSClient} Returns a reference to self to facilitate
+     * function chaining.
+     * @example
      * // create a .addUser() function which calls .submit() with the HTTP
      * // method POST and the web service function name core_user_create_users
      * myMoodle.registerShortcut('addUser', 'core_user_create_users', 'POST');
@@ -493,7 +1862,7 @@ class MoodleWSClient{
      * ```
      * {
      *   addUser: ['core_user_create_users ', 'POST'],
-     *   deleteUser: ['core_user_delete_users ', 'DELETE']
+     *   deleteUser: ['core_user_delete_users ', 'POST']
      * }
      * ```
      * 
@@ -527,13 +1896,105 @@ class MoodleWSClient{
         
         return this;
     }
+    
+    /**
+     * Register shortcuts for every web service function the token may call,
+     * as listed by `core_webservice_get_site_info`.
+     *
+     * Function names are split into a component (the first two parts of the
+     * name, e.g. `core_user` or `mod_assign`) and a method name (the rest).
+     * The shortcuts can be named in one of two ways:
+     *
+     * * `camelCase` - the whole function name in camel case, e.g.
+     *   `core_user_get_users` becomes `.coreUserGetUsers()`.
+     * * `namespaced` - nested objects for the component, and the method name
+     *   in camel case, e.g. `core_user_get_users` becomes
+     *   `.core.user.getUsers()`.
+     *
+     * Shortcuts to functions whose method name starts with a verb which
+     * implies reading (e.g. `get` or `search`) use the HTTP method `GET`, all
+     * others use `POST`. Shortcuts which would replace an existing method or
+     * property of the client are skipped.
+     *
+     * @async
+     * @param {Object} [options={}]
+     * @param {string} [options.naming='camelCase'] - either `'camelCase'` or
+     * `'namespaced'`.
+     * @returns {string[]} Returns a promise of the names of the registered
+     * shortcuts, with namespaced shortcuts given as dotted paths, e.g.
+     * `'core.user.getUsers'`.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed.
+     * @example
+     * myMoodle.registerShortcutsFromSite({ naming: 'namespaced' }).then(function(){
+     *     return myMoodle.core.user.getUsers({ criteria: [ { key: 'email', value: '%%' } ] });
+     * });
+     */
+    registerShortcutsFromSite(){
+        let args = validateParams.assert(arguments, [{
+            paramOptions: {
+                name: 'options',
+                defaultWhenUndefined: {}
+            },
+            dictionary: {
+                mapConstraints: {
+                    naming: { inclusion: ['camelCase', 'namespaced'] }
+                }
+            }
+        }]);
+        let naming = args.options.naming || 'camelCase';
+        let self = this;
+        return this.ping().then(function(siteInfo){
+            let registered = [];
+            for(let fn of siteInfo.functions || []){
+                let wsFunctionName = fn.name;
+                let parts = wsFunctionName.split('_');
+                if(parts.length < 3) continue; // not a component_method name
+                let method = MoodleWSClient._httpMethodFor(wsFunctionName);
+                if(naming === 'camelCase'){
+                    let shortcut = MoodleWSClient._camelCase(parts);
+                    if(shortcut in self) continue;
+                    self.registerShortcut(shortcut, wsFunctionName, method);
+                    registered.push(shortcut);
+                    continue;
+                }
+                
+                // find or create the namespace objects, skipping the function
+                // if they would clash with existing properties, including
+                // the client's own methods. The namespaces have no prototype
+                // so names like 'constructor' are free to use.
+                let ns = self;
+                for(let part of parts.slice(0, 2)){
+                    let taken = ns === self ? part in ns : Object.prototype.hasOwnProperty.call(ns, part);
+                    if(!taken) ns[part] = Object.create(null);
+                    ns = validateParams.isPlainObject(ns[part]) && !(ns[part] instanceof MoodleWSClient) ? ns[part] : null;
+                    if(!ns) break;
+                }
+                let methodName = MoodleWSClient._camelCase(parts.slice(2));
+                if(!ns || Object.prototype.hasOwnProperty.call(ns, methodName)) continue;
+                ns[methodName] = self.submit.bind(self, method, wsFunctionName);
+                registered.push(parts.slice(0, 2).concat(methodName).join('.'));
+            }
+            return registered;
+        });
+    }
 }
 
 /**
  * A function for converting JavaScript datastructures into parameters for
  * submission to the Moodle web services API.
  *
- * The function translates booleans to `'0'` and `'1'` automatically.
+ * The function translates the following values automatically:
+ *
+ * * booleans to `'0'` and `'1'`
+ * * `Date` and [moment]{@link external:moment} objects to Unix timestamps
+ *   (whole seconds)
+ * * `null` to an empty string
+ * * `Set` objects as if they were arrays
+ * * `Map` objects as if they were plain objects
+ *
+ * Keys and array entries with the value `undefined` are skipped, with the
+ * remaining array entries renumbered so there are no gaps.
  *
  * I.e. it would convert:
  * ```
@@ -565,8 +2026,10 @@ class MoodleWSClient{
  * @throws {ValidationError} A validation error is thrown if the first parameter
  * is not an object.
  * @throws {TypeError} - a type error is thrown if the datastrucure to be
- * converted contains anything other than a number, a string, a boolean, an
- * array, or a plain object.
+ * converted contains anything other than a number, a string, a boolean,
+ * `null`, a valid date, an array, a set, a map, or a plain object. The error
+ * message includes the encoded name of the offending value, e.g.
+ * `users[3][customfields][0][value]`.
  */
 MoodleWSClient.encodeWSArguments = function(){
     let args = validateParams.assert(arguments, [{
@@ -577,6 +2040,26 @@ MoodleWSClient.encodeWSArguments = function(){
     
     // define a recursive helper function
     let recursor = function(resObj, curPrefix, toProcess){
+        let childPrefix = function(k){
+            return curPrefix === '' ? String(k) : curPrefix + '[' + k + ']';
+        };
+        if(typeof toProcess === 'undefined'){
+            // skip undefined values entirely
+            return;
+        }
+        if(toProcess === null){
+            resObj[curPrefix] = '';
+            return;
+        }
+        if(validate.isDate(toProcess) || moment.isMoment(toProcess)){
+            // deal with dates (convert to Unix timestamps)
+            let ms = toProcess.valueOf();
+            if(isNaN(ms)){
+                throw new TypeError(`failed to convert datastructure to Moodle Web Service Parameter - invalid date encountered at ${curPrefix}`);
+            }
+            resObj[curPrefix] = String(Math.floor(ms / 1000));
+            return;
+        }
         if(validateParams.isPrimitive(toProcess)){
 			if(validate.isBoolean(toProcess)){
 				// deal with booleans (true to 1, false to 0)
@@ -587,22 +2070,29 @@ MoodleWSClient.encodeWSArguments = function(){
 			}
             return;
         }
-        if(validate.isArray(toProcess)){
-            for(let i = 0; i < toProcess.length; i++){
-                recursor(resObj, curPrefix + '[' + i + ']', toProcess[i]); // BEWARE - recursion!
+        if(validate.isArray(toProcess) || toProcess instanceof Set){
+            // drop undefined entries & renumber the rest, as Moodle expects
+            // arrays to be numbered without gaps
+            let list = Array.from(toProcess).filter(function(v){ return typeof v !== 'undefined'; });
+            for(let i = 0; i < list.length; i++){
+                recursor(resObj, childPrefix(i), list[i]); // BEWARE - recursion!
+            }
+            return;
+        }
+        if(toProcess instanceof Map){
+            for(let [k, v] of toProcess){
+                recursor(resObj, childPrefix(k), v); // BEWARE - recursion!
             }
             return;
         }
         if(validateParams.isPlainObject(toProcess)){
             for(let k in toProcess){
-                let newPrefix = curPrefix + '[' + k + ']';
-                if(curPrefix === '') newPrefix = '' + k;
-                recursor(resObj, newPrefix, toProcess[k]); // BEWARE - recursion!
+                recursor(resObj, childPrefix(k), toProcess[k]); // BEWARE - recursion!
             }
             return;
         }
         // if we got here without returning, the data is invalid, so return an arror
-        throw new TypeError('failed to convert datastructure to Moodle Web Service Parameter - unsupported data type encrountered');
+        throw new TypeError(`failed to convert datastructure to Moodle Web Service Parameter - unsupported data type encountered at ${curPrefix || 'top level'}`);
     };
     
     // start the recursor at the base of the datastructure
@@ -613,27 +2103,1243 @@ MoodleWSClient.encodeWSArguments = function(){
     return ans;
 };
 
+/**
+ * The inverse of
+ * [MoodleWSClient.encodeWSArguments()]{@link MoodleWSClient.encodeWSArguments},
+ * i.e. a function for converting the flat parameters sent to the Moodle web
+ * services API back into a JavaScript datastructure. This is useful for
+ * parsing logged requests.
+ *
+ * Sequences of keys numbered from zero are converted to arrays. All values are
+ * left as strings, since the encoding does not preserve data types.
+ *
+ * I.e. it would convert:
+ * ```
+ * {
+ *   'criteria[0][key]': 'email',
+ *   'criteria[0][value]': '%%'
+ * }
+ * ```
+ * to:
+ * ```
+ * {
+ *   criteria: [
+ *     {
+ *       key: 'email',
+ *       value: '%%'
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * @param {(PlainObject|string)} toConvert - the encoded parameters, either as
+ * a plain object, or as a URL-encoded query string.
+ * @returns {PlainObject}
+ * @throws {ValidationError} A validation error is thrown if the first
+ * parameter is not an object or a string.
+ * @example
+ * MoodleWSClient.decodeWSArguments('wsfunction=core_user_get_users&criteria%5B0%5D%5Bkey%5D=email');
+ * // returns { wsfunction: 'core_user_get_users', criteria: [ { key: 'email' } ] }
+ */
+MoodleWSClient.decodeWSArguments = function(){
+    let args = validateParams.assert(arguments, [{
+        vpopt_name: 'toConvert',
+        defined: true,
+        hasTypeof: ['object', 'string']
+    }]);
+    
+    // get the flat parameters as a list of key-value pairs
+    let pairs = [];
+    if(validate.isString(args.toConvert)){
+        new URLSearchParams(args.toConvert.replace(/^\?/, '')).forEach(function(v, k){ pairs.push([k, v]); });
+    }else{
+        for(let k in args.toConvert){
+            pairs.push([k, args.toConvert[k]]);
+        }
+    }
+    
+    // build up the nested structure using objects
+    let ans = {};
+    for(let pair of pairs){
+        let match = pair[0].match(/^([^[]+)((?:\[[^\]]*\])*)$/);
+        let path = match ? [match[1]].concat((match[2].match(/\[[^\]]*\]/g) || []).map(function(seg){ return seg.slice(1, -1); })) : [pair[0]];
+        let node = ans;
+        for(let i = 0; i < path.length - 1; i++){
+            if(!validateParams.isPlainObject(node[path[i]])) node[path[i]] = {};
+            node = node[path[i]];
+        }
+        node[path[path.length - 1]] = pair[1];
+    }
+    
+    // define a recursive helper function to convert numbered objects to arrays
+    let arrayify = function(node){
+        if(!validateParams.isPlainObject(node)) return node;
+        let keys = Object.keys(node);
+        for(let k of keys){
+            node[k] = arrayify(node[k]); // BEWARE - recursion!
+        }
+        if(keys.length && keys.every(function(k, i){ return k === String(i); })){
+            return keys.map(function(k){ return node[k]; });
+        }
+        return node;
+    };
+    for(let k in ans){
+        ans[k] = arrayify(ans[k]);
+    }
+    
+    // return the result
+    return ans;
+};
+
+/**
+ * A function for decoding known timestamp & flag fields in web service
+ * responses into more useful JavaScript types.
+ *
+ * Timestamp fields (e.g. `timecreated`, `lastaccess` & `duedate`) are
+ * converted from Unix timestamps to `Date` or [moment]{@link external:moment}
+ * objects, and flag fields (e.g. `suspended` & `visible`) are converted from
+ * `0`/`1` to booleans.
+ *
+ * @param {*} data - the response data to decode. The data is not altered,
+ * a decoded copy is returned.
+ * @param {DecodeOptions} [options={}]
+ * @returns {*}
+ * @throws {ValidationError} A validation error is thrown if invalid options
+ * are passed.
+ * @example
+ * MoodleWSClient.decodeWSResponse({ id: 2, suspended: 0, lastaccess: 1500000000 });
+ * // returns { id: 2, suspended: false, lastaccess: new Date(1500000000000) }
+ */
+MoodleWSClient.decodeWSResponse = function(){
+    let args = validateParams.assert(arguments, [
+        { vpopt_name: 'data' },
+        validateParams.extendObject({ vpopt_name: 'options', vpopt_defaultWhenUndefined: {} }, vpCons.decodeOptions)
+    ]);
+    let timestamps = validate.isDefined(args.options.timestamps) ? args.options.timestamps : 'date';
+    let booleans = validate.isDefined(args.options.booleans) ? args.options.booleans : true;
+    let timestampFields = TIMESTAMP_FIELDS.concat(args.options.timestampFields || []);
+    let booleanFields = BOOLEAN_FIELDS.concat(args.options.booleanFields || []);
+    
+    // define functions to decode individual values
+    let decodeTimestamp = function(v){
+        if(!(validate.isInteger(v) || (validate.isString(v) && v.match(/^[0-9]+$/)))) return v;
+        let seconds = Number(v);
+        if(seconds === 0) return null;
+        return timestamps === 'moment' ? moment.unix(seconds) : new Date(seconds * 1000);
+    };
+    let decodeBoolean = function(v){
+        if(v === 0 || v === '0') return false;
+        if(v === 1 || v === '1') return true;
+        return v;
+    };
+    
+    // define a recursive helper function
+    let recursor = function(toProcess){
+        if(validate.isArray(toProcess)){
+            return toProcess.map(recursor); // BEWARE - recursion!
+        }
+        if(validateParams.isPlainObject(toProcess)){
+            let ans = {};
+            for(let k in toProcess){
+                if(timestamps && timestampFields.includes(k)){
+                    ans[k] = decodeTimestamp(toProcess[k]);
+                }else if(booleans && booleanFields.includes(k)){
+                    ans[k] = decodeBoolean(toProcess[k]);
+                }else{
+                    ans[k] = recursor(toProcess[k]); // BEWARE - recursion!
+                }
+            }
+            return ans;
+        }
+        return toProcess;
+    };
+    
+    return recursor(args.data);
+};
+
+/**
+ * Render a {@link PreparedRequest} as a curl command that can be pasted into
+ * a shell. Parameters are passed with `--data-urlencode` so they don't need
+ * to be escaped, and `GET` requests use curl's `-G` flag.
+ *
+ * @param {PreparedRequest} request
+ * @param {Object} [options={}]
+ * @param {boolean} [options.maskToken=false] - whether or not to replace the
+ * web service token with a reference to the `MOODLE_WS_TOKEN` environment
+ * variable, so the command can be shared or logged safely.
+ * @returns {string}
+ * @throws {ValidationError} A validation error is thrown if invalid
+ * parameters are passed.
+ * @example
+ * MoodleWSClient.toCurl(preparedRequest, { maskToken: true });
+ * // returns:
+ * // curl -X POST 'https://moodle.uni.edu/webservice/rest/server.php' \
+ * //   --data-urlencode "wstoken=${MOODLE_WS_TOKEN}" \
+ * //   --data-urlencode 'wsfunction=core_user_delete_users' \
+ * //   --data-urlencode 'moodlewsrestformat=json' \
+ * //   --data-urlencode 'userids[0]=42'
+ */
+MoodleWSClient.toCurl = function(){
+    let args = validateParams.assert(arguments, [
+        {
+            vpopt_name: 'request',
+            presence: true,
+            dictionary: {
+                mapConstraints: {
+                    method: validateParams.extendObject({ presence: true }, validateParams.paramToAttrConstraints(vpCons.httpMethod)),
+                    url: { presence: true, hasTypeof: 'string' },
+                    params: { presence: true, dictionary: true },
+                    headers: { dictionary: true }
+                }
+            }
+        },
+        {
+            vpopt_name: 'options',
+            vpopt_defaultWhenUndefined: {},
+            dictionary: {
+                mapConstraints: {
+                    maskToken: { hasTypeof: 'boolean' }
+                }
+            }
+        }
+    ]);
+    let req = args.request;
+    let url = new URL(req.url);
+    url.search = '';
+    let parts = [`curl ${req.method === 'GET' ? '-G' : '-X POST'} ${MoodleWSClient._shellQuote(url.href)}`];
+    let headers = req.headers || {};
+    for(let header in headers){
+        // curl sets the form content type itself
+        if(header.toLowerCase() === 'content-type') continue;
+        parts.push(`-H ${MoodleWSClient._shellQuote(header + ': ' + headers[header])}`);
+    }
+    for(let param in req.params){
+        if(param === 'wstoken' && args.options.maskToken){
+            parts.push('--data-urlencode "wstoken=${MOODLE_WS_TOKEN}"');
+        }else{
+            parts.push(`--data-urlencode ${MoodleWSClient._shellQuote(param + '=' + req.params[param])}`);
+        }
+    }
+    return parts.join(' \\\n  ');
+};
+
+/**
+ * Build the description of a request returned in dry-run mode.
+ *
+ * @private
+ * @param {TransportRequest} reqOpts
+ * @param {Object.<string, string>} params - the full encoded parameters.
+ * @returns {PreparedRequest}
+ */
+MoodleWSClient._preparedRequest = function(reqOpts, params){
+    let url = new URL(reqOpts.url);
+    if(reqOpts.qs){
+        url.search = new URLSearchParams(reqOpts.qs).toString();
+    }
+    let prepared = {
+        dryRun: true,
+        method: reqOpts.method,
+        url: url.href,
+        params: Object.assign({}, params),
+        headers: Object.assign({}, reqOpts.headers)
+    };
+    if(validate.isDefined(reqOpts.body)) prepared.body = reqOpts.body;
+    return prepared;
+};
+
+/**
+ * Quote a string for use as a single argument in a POSIX shell.
+ *
+ * @private
+ * @param {string} str
+ * @returns {string}
+ */
+MoodleWSClient._shellQuote = function(str){
+    return "'" + String(str).replace(/'/g, "'\\''") + "'";
+};
+
+/**
+ * Build the catalogue for the given `catalogue` client option.
+ *
+ * @private
+ * @param {(boolean|string|FunctionCatalogue|Object)} [catalogue]
+ * @returns {?FunctionCatalogue}
+ */
+MoodleWSClient._buildCatalogue = function(catalogue){
+    if(!catalogue) return null;
+    if(catalogue instanceof FunctionCatalogue) return catalogue;
+    if(catalogue === true) return FunctionCatalogue.bundled();
+    if(validate.isString(catalogue)) return FunctionCatalogue.fromFile(catalogue);
+    return new FunctionCatalogue(catalogue);
+};
+
+/**
+ * Build the response cache for the given `cache` client option.
+ *
+ * @private
+ * @param {(boolean|Object|ResponseCache)} [cache]
+ * @returns {?ResponseCache}
+ */
+MoodleWSClient._buildCache = function(cache){
+    if(!cache) return null;
+    if(cache instanceof ResponseCache) return cache;
+    return new ResponseCache(cache === true ? {} : cache);
+};
+
+/**
+ * Build the middleware which answers `GET` calls from a response cache. Calls
+ * are keyed on the site, a hash of the token, the function name, the encoded
+ * parameters and the response format, so clients with different tokens can
+ * share a cache without seeing each other's data. Responses are cached
+ * before decoding, and decoded as requested on the way out. Dry runs and
+ * calls with the `cache` option set to `false` are passed straight through.
+ *
+ * @private
+ * @param {ResponseCache} cache
+ * @returns {Middleware}
+ */
+MoodleWSClient._cacheMiddleware = function(cache){
+    return function(ctx, next){
+        let clientOptions = ctx.client._options;
+        let dryRun = validate.isDefined(ctx.options.dryRun) ? ctx.options.dryRun : clientOptions.dryRun;
+        if(ctx.method !== 'GET' || dryRun || ctx.options.cache === false) return next();
+        let params = ctx.params;
+        let key = cache.keyFor(ctx.wsFunctionName, [
+            ctx.client.moodleUrl(),
+            crypto.createHash('sha256').update(ctx.client._token).digest('hex'),
+            ctx.wsParameters.moodlewsrestformat || ctx.options.format || clientOptions.format,
+            Object.keys(params).sort().map(function(k){ return [k, params[k]]; })
+        ]);
+        
+        // fetch the raw response, so decoded values like moments are never cached
+        let decode = validate.isDefined(ctx.options.decode) ? ctx.options.decode : clientOptions.decode;
+        ctx.options = Object.assign({}, ctx.options, { decode: false });
+        return cache.fetch(ctx.wsFunctionName, key, next).then(function(response){
+            return decode ? MoodleWSClient.decodeWSResponse(response, decode) : response;
+        });
+    };
+};
+
+/**
+ * Build the context for a call to [.submit()]{@link MoodleWSClient#submit}.
+ *
+ * @private
+ * @param {MoodleWSClient} client
+ * @param {HttpMethod} method
+ * @param {WsFunctionName} wsFunctionName
+ * @param {PlainObject} wsParameters
+ * @param {PlainObject} options
+ * @returns {RequestContext}
+ */
+MoodleWSClient._requestContext = function(client, method, wsFunctionName, wsParameters, options){
+    let ctx = {
+        client: client,
+        method: method,
+        wsFunctionName: wsFunctionName,
+        wsParameters: wsParameters,
+        options: options,
+        state: {}
+    };
+    Object.defineProperty(ctx, 'params', {
+        enumerable: true,
+        get: function(){
+            let wsArgs = Object.assign({}, ctx.wsParameters);
+            delete wsArgs.moodlewsrestformat;
+            return MoodleWSClient.encodeWSArguments(wsArgs);
+        }
+    });
+    return ctx;
+};
+
+/**
+ * The re-usable validateParams.js constraints, for use by the helper classes
+ * which accept the same arguments as the client, e.g.
+ * {@link MoodleWSClientPool}.
+ *
+ * @private
+ * @type {Object.<string, ValidateParamsConstraints>}
+ */
+MoodleWSClient._vpCons = vpCons;
+
+/**
+ * Convert a {@link Duration} to milliseconds.
+ *
+ * @private
+ * @param {Duration} duration
+ * @returns {number} Returns `NaN` if the duration is invalid.
+ */
+MoodleWSClient._durationMS = function(duration){
+    return vpCons.timeoutMS.vpopt_coerce(duration, {}, validateParams.coercions);
+};
+
+/**
+ * Guess the appropriate HTTP method for a web service function from its name.
+ * Functions whose method name starts with a verb which implies reading, e.g.
+ * `core_user_get_users`, use `GET`, all others use `POST`.
+ *
+ * @private
+ * @param {WsFunctionName} wsFunctionName
+ * @returns {HttpMethod}
+ */
+MoodleWSClient._httpMethodFor = function(wsFunctionName){
+    let parts = String(wsFunctionName).split('_');
+    return parts.length >= 3 && READ_VERBS.includes(parts[2]) ? 'GET' : 'POST';
+};
+
+/**
+ * Add the paging parameters for a page to a set of web service parameters.
+ *
+ * @private
+ * @param {PlainObject} wsParameters - the parameters, which are not altered.
+ * @param {Object} paging - the paging style, as per `PAGING_STYLES`, plus
+ * the `pageSize`.
+ * @param {number} start - the page number or offset.
+ * @returns {PlainObject}
+ */
+MoodleWSClient._pagingParameters = function(wsParameters, paging, start){
+    let ans = Object.assign({}, wsParameters);
+    if(!paging.optionsKey){
+        ans[paging.startParam] = start;
+        ans[paging.sizeParam] = paging.pageSize;
+        return ans;
+    }
+    let pagingNames = [paging.startParam, paging.sizeParam];
+    ans[paging.optionsKey] = (validate.isArray(ans[paging.optionsKey]) ? ans[paging.optionsKey] : []).filter(function(opt){
+        return !(validate.isObject(opt) && pagingNames.includes(opt.name));
+    }).concat([
+        { name: paging.startParam, value: start },
+        { name: paging.sizeParam, value: paging.pageSize }
+    ]);
+    return ans;
+};
+
+/**
+ * Find the list of records in a web service response. If the response is an
+ * array it's used as-is, if it's an object with a single array other than
+ * `warnings`, e.g. `{ courses: [...], warnings: [] }`, that array is used.
+ *
+ * @private
+ * @param {*} response
+ * @param {string} [itemsKey] - the key holding the records, if known.
+ * @returns {?Array} Returns `null` if there's no such list.
+ */
+MoodleWSClient._responseItems = function(response, itemsKey){
+    if(itemsKey){
+        return validate.isObject(response) && validate.isArray(response[itemsKey]) ? response[itemsKey] : null;
+    }
+    if(validate.isArray(response)) return response;
+    if(validateParams.isPlainObject(response)){
+        let arrayKeys = Object.keys(response).filter(function(k){ return k !== 'warnings' && validate.isArray(response[k]); });
+        if(arrayKeys.length === 1) return response[arrayKeys[0]];
+    }
+    return null;
+};
+
+/**
+ * Join a list of words into a camel case name, e.g. `['get', 'site', 'info']`
+ * becomes `'getSiteInfo'`.
+ *
+ * @private
+ * @param {string[]} words
+ * @returns {string}
+ */
+MoodleWSClient._camelCase = function(words){
+    return words.filter(function(w){ return w.length; }).map(function(w, i){
+        w = w.toLowerCase();
+        return i === 0 ? w : w[0].toUpperCase() + w.slice(1);
+    }).join('');
+};
+
+/**
+ * Merge two web service responses. Arrays are concatenated, array-valued
+ * keys in objects are concatenated, other object keys take the value from
+ * the later response.
+ *
+ * @private
+ * @param {*} merged - the responses merged so far, `null` if none.
+ * @param {*} response - the response to merge in.
+ * @returns {*}
+ */
+MoodleWSClient._mergeResponses = function(merged, response){
+    if(merged === null) return validate.isArray(response) ? response.slice() : response;
+    if(validate.isArray(merged) && validate.isArray(response)){
+        return merged.concat(response);
+    }
+    if(validate.isObject(merged) && validate.isObject(response)){
+        let ans = Object.assign({}, merged);
+        for(let k in response){
+            ans[k] = validate.isArray(merged[k]) && validate.isArray(response[k]) ? merged[k].concat(response[k]) : response[k];
+        }
+        return ans;
+    }
+    return response;
+};
+
+/**
+ * Read a file specified in any of the forms accepted by
+ * [.uploadFiles()]{@link MoodleWSClient#uploadFiles} into memory.
+ *
+ * @private
+ * @param {(string|Buffer|stream.Readable|PlainObject)} file
+ * @param {number} i - the file's index within the upload.
+ * @returns {Promise<{filename: string, content: Buffer}>}
+ * @throws {TypeError} A type error is thrown if the file is not in a
+ * supported form.
+ */
+MoodleWSClient._readUploadFile = function(file, i){
+    let isStream = function(v){
+        return v && validate.isFunction(v.pipe) && validate.isFunction(v.on);
+    };
+    let filename = '';
+    let content = file;
+    if(validateParams.isPlainObject(file) && !isStream(file)){
+        filename = file.filename ? String(file.filename) : '';
+        content = file.content;
+    }
+    let defaultName = function(p){
+        return filename || (p ? path.basename(String(p)) : `file_${i + 1}`);
+    };
+    if(validate.isString(content)){
+        return fs.promises.readFile(content).then(function(buf){
+            return { filename: defaultName(content), content: buf };
+        });
+    }
+    if(Buffer.isBuffer(content)){
+        return Promise.resolve({ filename: defaultName(), content: content });
+    }
+    if(isStream(content)){
+        return MoodleWSClient._readStream(content).then(function(buf){
+            return { filename: defaultName(content.path), content: buf };
+        });
+    }
+    return Promise.reject(new TypeError(`file ${i + 1} must be a path, a Buffer, a readable stream, or an object with 'filename' & 'content' keys`));
+};
+
+/**
+ * Extract the error details from a response body returned by
+ * `webservice/pluginfile.php` instead of a file.
+ *
+ * @private
+ * @param {string} body
+ * @returns {(PlainObject|undefined)} Returns `undefined` if the body is not
+ * a JSON-encoded Moodle error.
+ */
+MoodleWSClient._fileErrorData = function(body){
+    let data;
+    try{
+        data = JSON.parse(body);
+    }catch(err){
+        return undefined;
+    }
+    if(!validateParams.isPlainObject(data) || !data.errorcode || !(data.error || data.exception)){
+        return undefined;
+    }
+    return Object.assign({ message: data.error }, data);
+};
+
+/**
+ * The names of the parameters redacted from request summaries, at any level
+ * of nesting.
+ *
+ * @private
+ * @type {string[]}
+ */
+MoodleWSClient._redactedParams = ['wstoken', 'token', 'password'];
+
+/**
+ * Build a redacted summary of a request for inclusion in errors.
+ *
+ * @private
+ * @param {TransportRequest} reqOpts
+ * @param {string[]} [redactParams] - additional encoded parameter names to
+ * redact, which may contain `*` wildcards.
+ * @returns {RequestSummary}
+ */
+MoodleWSClient._requestSummary = function(reqOpts, redactParams){
+    let url = new URL(reqOpts.url);
+    url.search = '';
+    let summary = {
+        method: reqOpts.method,
+        url: url.href
+    };
+    let params;
+    if(validate.isObject(reqOpts.qs)){
+        params = Object.assign({}, reqOpts.qs);
+    }else if(validate.isString(reqOpts.body)){
+        params = {};
+        new URLSearchParams(reqOpts.body).forEach(function(v, k){ params[k] = v; });
+    }
+    if(params){
+        let patterns = (redactParams || []).map(MoodleWSClient._paramPattern);
+        for(let param in params){
+            // match both top-level & nested parameters, e.g. users[0][password]
+            let name = param.replace(/^.*\[([^\]]*)\]$/, '$1');
+            if(MoodleWSClient._redactedParams.includes(name) || patterns.some(function(re){ return re.test(param); })){
+                params[param] = 'REDACTED';
+            }
+        }
+        summary.wsFunctionName = params.wsfunction;
+        summary.params = params;
+    }
+    return summary;
+};
+
+/**
+ * Convert a parameter name pattern from the `redactParams` client option to
+ * a regular expression, e.g. `users[*][password]` matches
+ * `users[0][password]`.
+ *
+ * @private
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+MoodleWSClient._paramPattern = function(pattern){
+    let re = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*/g, '[^\\[\\]]*');
+    return new RegExp('^' + re + '$');
+};
+
+/**
+ * Get the size of a request's body, or of its query string if it has no
+ * body, in bytes.
+ *
+ * @private
+ * @param {TransportRequest} reqOpts
+ * @returns {number}
+ */
+MoodleWSClient._requestSize = function(reqOpts){
+    if(validate.isDefined(reqOpts.body)) return MoodleWSClient._bodySize(reqOpts.body) || 0;
+    return validate.isObject(reqOpts.qs) ? Buffer.byteLength(new URLSearchParams(reqOpts.qs).toString()) : 0;
+};
+
+/**
+ * Get the size of a request or response body in bytes.
+ *
+ * @private
+ * @param {(string|Buffer|stream.Readable)} body
+ * @returns {(number|undefined)} Returns `undefined` for streams.
+ */
+MoodleWSClient._bodySize = function(body){
+    if(Buffer.isBuffer(body)) return body.length;
+    if(validate.isString(body)) return Buffer.byteLength(body);
+    return undefined;
+};
+
+/**
+ * Build the details about an error included in a {@link LogEvent}.
+ *
+ * @private
+ * @param {Error} err
+ * @param {PlainObject} [details] - additional details to include.
+ * @returns {PlainObject}
+ */
+MoodleWSClient._errorLogDetails = function(err, details){
+    let ans = Object.assign({}, details, {
+        error: err && err.name || 'Error',
+        errorMessage: err && err.message
+    });
+    if(err && validate.isDefined(err.statusCode)) ans.statusCode = err.statusCode;
+    let errorcode = err && (err.errorcode || err.code);
+    if(errorcode) ans.errorcode = errorcode;
+    return ans;
+};
+
+/**
+ * Send a request via a transport, converting failures into the appropriate
+ * {@link MoodleWSClientError} sub-classes.
+ *
+ * @private
+ * @async
+ * @param {Transport} transport
+ * @param {TransportRequest} reqOpts
+ * @returns {TransportResponse} Returns a promise of the response.
+ * @throws {MoodleWSTransportError} A transport error is thrown if no response
+ * is received. Timeouts are reported with the sub-class
+ * {@link MoodleWSTimeoutError}.
+ * @throws {MoodleWSHTTPError} An HTTP error is thrown if the server returns an
+ * HTTP status outside the 2XX range.
+ */
+MoodleWSClient._transportRequest = function(transport, reqOpts){
+    return Promise.resolve().then(function(){
+        return transport.request(reqOpts);
+    }).then(
+        function(res){
+            if(res.statusCode >= 200 && res.statusCode <= 299) return res;
+            if(reqOpts.stream && res.body && validate.isFunction(res.body.pipe)){
+                // read error bodies into memory so the error is self-contained
+                return MoodleWSClient._readStream(res.body).then(function(buf){
+                    throw new MoodleWSHTTPError(Object.assign({}, res, { body: buf.toString('utf8') }), MoodleWSClient._requestSummary(reqOpts));
+                });
+            }
+            throw new MoodleWSHTTPError(res, MoodleWSClient._requestSummary(reqOpts));
+        },
+        function(err){
+            if(err instanceof MoodleWSClientError) throw err;
+            let ErrorClass = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(err && err.code) ? MoodleWSTimeoutError : MoodleWSTransportError;
+            throw new ErrorClass(err, MoodleWSClient._requestSummary(reqOpts));
+        }
+    );
+};
+
+/**
+ * Parse the body of a response.
+ *
+ * @private
+ * @param {string} body
+ * @param {WSDataFormat} format
+ * @param {RequestSummary} [summary] - a summary of the request, for
+ * inclusion in errors.
+ * @returns {*}
+ * @throws {MoodleWSResponseError} A response error is thrown if the body
+ * can't be parsed.
+ */
+MoodleWSClient._parseResponseBody = function(body, format, summary){
+    try{
+        return format === 'xml' ? parseXMLResponse(body) : JSON.parse(body);
+    }catch(err){
+        throw new MoodleWSResponseError(body, err, summary);
+    }
+};
+
+/**
+ * Read a stream into memory.
+ *
+ * @private
+ * @param {stream.Readable} readable
+ * @returns {Promise<Buffer>}
+ */
+MoodleWSClient._readStream = function(readable){
+    return new Promise(function(resolve, reject){
+        let chunks = [];
+        readable.on('data', function(chunk){ chunks.push(Buffer.from(chunk)); });
+        readable.on('error', reject);
+        readable.on('end', function(){
+            resolve(Buffer.concat(chunks));
+        });
+    });
+};
+
+/**
+ * Read the start of a stream without consuming it.
+ *
+ * @private
+ * @param {stream.Readable} readable
+ * @param {number} size - the minimum number of bytes to read, unless the
+ * stream ends first.
+ * @returns {Promise<{head: Buffer, stream: stream.Readable}>} Returns a
+ * promise of the bytes read & a stream of the full contents.
+ */
+MoodleWSClient._peekStream = function(readable, size){
+    return new Promise(function(resolve, reject){
+        let chunks = [];
+        let length = 0;
+        let finish = function(ended){
+            readable.removeListener('data', onData);
+            readable.removeListener('end', onEnd);
+            readable.removeListener('error', reject);
+            let head = Buffer.concat(chunks);
+            if(ended){
+                resolve({ head: head, stream: stream.Readable.from([head]) });
+                return;
+            }
+            // carry on with a new stream, as one paused by hand won't flow
+            // again for listeners added later
+            readable.pause();
+            let rest = new stream.PassThrough();
+            readable.on('error', function(err){ rest.destroy(err); });
+            rest.write(head);
+            readable.pipe(rest);
+            resolve({ head: head, stream: rest });
+        };
+        let onData = function(chunk){
+            chunks.push(Buffer.from(chunk));
+            length += chunk.length;
+            if(length >= size) finish(false);
+        };
+        let onEnd = function(){ finish(true); };
+        readable.on('data', onData);
+        readable.on('end', onEnd);
+        readable.on('error', reject);
+    });
+};
+
+/**
+ * Build the default transport for the given client options, or return the
+ * custom transport specified in the options. The transport is wrapped in a
+ * {@link FixtureTransport} if fixtures are enabled, unless it already is
+ * one, e.g. when passed on by
+ * [MoodleWSClient.fromCredentials()]{@link MoodleWSClient.fromCredentials}.
+ *
+ * @private
+ * @param {PlainObject} options - validated client options.
+ * @returns {Transport}
+ */
+MoodleWSClient._buildTransport = function(options){
+    let transport = options.transport || new HttpTransport({
+        acceptUntrustedTLSCert: options.acceptUntrustedTLSCert,
+        ca: options.ca,
+        cert: options.cert,
+        key: options.key,
+        agent: options.agent,
+        proxy: options.proxy
+    });
+    if(options.fixtures && !(transport instanceof FixtureTransport)){
+        transport = new FixtureTransport(transport, options.fixtures);
+    }
+    return transport;
+};
+
+/**
+ * Create a client by exchanging a username and password for a token using
+ * Moodle's `login/token.php` script. The user must be allowed to create
+ * tokens for the given service, and the service must be enabled for it.
+ *
+ * If Moodle refuses to issue a token, the returned promise rejects with a
+ * {@link MoodleWSError} with the error code from Moodle's response, e.g.
+ * `invalidlogin`, `servicenotavailable`, `usernotallowed` or
+ * `sitemaintenance`.
+ *
+ * @async
+ * @param {SecureUrl} moodleBaseUrl - the base URL of the Moodle site.
+ * @param {string} username
+ * @param {string} password
+ * @param {string} serviceShortName - the short name of the web service to
+ * request a token for, e.g. `moodle_mobile_app`.
+ * @param {Object} [options] - the options for the new client, as per the
+ * {@link MoodleWSClient} constructor, plus the option below.
+ * @param {boolean} [options.keepPrivateToken=false] - whether or not to keep
+ * the private token Moodle issues along with the web service token. If kept,
+ * it is available via
+ * [.privateToken()]{@link MoodleWSClient#privateToken}.
+ * @returns {MoodleWSClient} Returns a promise of a client using the issued
+ * token.
+ * @throws {ValidationError} A validation error is thrown if invalid
+ * parameters are passed.
+ * @throws {MoodleWSError} A web service error is thrown if Moodle refuses to
+ * issue a token.
+ * @throws {MoodleWSClientError} Other sub-classes of
+ * {@link MoodleWSClientError} are thrown if the request fails.
+ * @example
+ * MoodleWSClient.fromCredentials('https://moodle.myuni.edu/', 'jbloggs', 'p@ssw0rd', 'moodle_mobile_app').then(function(myMoodle){
+ *     return myMoodle.ping();
+ * });
+ */
+MoodleWSClient.fromCredentials = function(){
+    let args = validateParams.assert(arguments, [
+        validateParams.extendObject({ vpopt_name: 'moodleBaseUrl' }, vpCons.moodleBaseUrl),
+        { vpopt_name: 'username', presence: true, hasTypeof: 'string' },
+        { vpopt_name: 'password', presence: true, hasTypeof: 'string' },
+        { vpopt_name: 'serviceShortName', presence: true, hasTypeof: 'string' },
+        validateParams.extendObject({ vpopt_name: 'options' }, vpCons.clientOptions)
+    ]);
+    let options = Object.assign({}, args.options);
+    let keepPrivateToken = options.keepPrivateToken ? true : false;
+    delete options.keepPrivateToken;
+    options.transport = MoodleWSClient._buildTransport(options);
+    
+    // request a token
+    let reqOpts = {
+        url: args.moodleBaseUrl + MOODLE_TOKEN_PATH,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            username: args.username,
+            password: args.password,
+            service: args.serviceShortName
+        }).toString(),
+        timeout: options.timeout
+    };
+    let summary = MoodleWSClient._requestSummary(reqOpts);
+    return MoodleWSClient._transportRequest(options.transport, reqOpts).then(function(res){
+        let responseData = MoodleWSClient._parseResponseBody(res.body, 'json', summary);
+        
+        // token.php reports errors with an 'error' key rather than an 'exception' key
+        if(!responseData || !responseData.token){
+            throw MoodleWSError.fromResponseData(Object.assign(
+                { exception: 'moodle_exception', message: responseData && responseData.error ? responseData.error : 'no token returned' },
+                responseData
+            ), summary);
+        }
+        
+        // build the client
+        let client = new MoodleWSClient(args.moodleBaseUrl, responseData.token, options);
+        if(keepPrivateToken && responseData.privatetoken){
+            client._privateToken = responseData.privatetoken;
+        }
+        return client;
+    });
+};
+
+/**
+ * Create a client from a named site profile, so base URLs & tokens don't
+ * need to be repeated in every script. Profiles are read from
+ * `~/.moodlews.json` & a project-level `.moodlews.json`, and can be
+ * overridden with environment variables like `MOODLE_WS_PROD_TOKEN`, see
+ * {@link ProfileConfig} & {@link loadProfile} for the details.
+ *
+ * Each profile can set the client's `timeout` & `acceptUntrustedTLSCert`
+ * options, and a map of shortcuts to register. Tokens are never read from
+ * world-readable files.
+ *
+ * @param {string} [name] - the name of the profile. Defaults to the profile
+ * named in the `MOODLE_WS_PROFILE` environment variable, then the config's
+ * default profile, and then to the `MOODLE_WS_URL` & `MOODLE_WS_TOKEN`
+ * environment variables.
+ * @param {Object} [options] - the options for the new client, as per the
+ * {@link MoodleWSClient} constructor, which override the profile's, plus the
+ * options below.
+ * @param {string} [options.configFile] - the config file to read instead of
+ * the default locations.
+ * @param {Object.<string, string>} [options.env=process.env] - the
+ * environment variables to read.
+ * @returns {MoodleWSClient}
+ * @throws {MoodleWSProfileError} A profile error is thrown if the profile
+ * can't be found, is incomplete, or would read a token from a world-readable
+ * file.
+ * @throws {ValidationError} A validation error is thrown if invalid
+ * parameters are passed, or the profile's settings are invalid.
+ * @example
+ * // ~/.moodlews.json (chmod 600):
+ * // {
+ * //     "profiles": {
+ * //         "prod": {
+ * //             "url": "https://moodle.uni.edu/",
+ * //             "token": "0123456789abcdef0123456789abcdef",
+ * //             "timeout": 30000,
+ * //             "shortcuts": { "getCourses": ["core_course_get_courses", "GET"] }
+ * //         }
+ * //     }
+ * // }
+ * const prodMoodle = MoodleWSClient.fromProfile('prod');
+ * prodMoodle.getCourses().then(console.log);
+ */
+MoodleWSClient.fromProfile = function(){
+    let args = validateParams.assert(arguments, [
+        { vpopt_name: 'name', hasTypeof: 'string' },
+        {
+            vpopt_name: 'options',
+            vpopt_defaultWhenUndefined: {},
+            dictionary: {
+                mapConstraints: {
+                    configFile: { hasTypeof: 'string' },
+                    env: { dictionary: true }
+                }
+            }
+        }
+    ]);
+    let options = Object.assign({}, args.options);
+    let profile;
+    try{
+        profile = loadProfile(args.name, { configFile: options.configFile, env: options.env });
+    }catch(err){
+        if(err.code && err.code.match(/^E(NO)?PROFILE/)) throw new MoodleWSProfileError(err);
+        throw err;
+    }
+    delete options.configFile;
+    delete options.env;
+    let clientOptions = {};
+    if(validate.isDefined(profile.timeout)) clientOptions.timeout = profile.timeout;
+    if(validate.isDefined(profile.acceptUntrustedTLSCert)) clientOptions.acceptUntrustedTLSCert = profile.acceptUntrustedTLSCert;
+    let client = new MoodleWSClient(profile.url, profile.token, Object.assign(clientOptions, options));
+    if(profile.shortcuts) client.registerShortcuts(profile.shortcuts);
+    return client;
+};
+
+/**
+ * A function for parsing the XML responses returned by the Moodle web service
+ * when the data format is `xml`. The XML is converted to the same data
+ * structure that would have been returned in JSON format, including
+ * exceptions, but note that all scalar values are returned as strings.
+ *
+ * @function
+ * @param {string} xmlStr - the body of the response.
+ * @returns {*}
+ * @throws {SyntaxError} A syntax error is thrown if the string is not a
+ * well-formed Moodle XML response.
+ * @example
+ * MoodleWSClient.parseXMLResponse(
+ *     '<RESPONSE><SINGLE><KEY name="sitename"><VALUE>My Moodle</VALUE></KEY></SINGLE></RESPONSE>'
+ * );
+ * // returns { sitename: 'My Moodle' }
+ */
+MoodleWSClient.parseXMLResponse = parseXMLResponse;
+
 //
-//=== Define The Custom Error Class ============================================
+//=== Define The Custom Error Classes ==========================================
 //
 
+/**
+ * A summary of a request sent to Moodle with all secrets redacted, suitable
+ * for logging.
+ *
+ * @typedef {Object} RequestSummary
+ * @property {HttpMethod} method - the HTTP method.
+ * @property {string} url - the URL the request was sent to, without a query
+ * string.
+ * @property {WsFunctionName} [wsFunctionName] - the web service function
+ * called, if any.
+ * @property {Object.<string, string>} [params] - the encoded parameters sent,
+ * with tokens & passwords replaced with `'REDACTED'`.
+ */
+
+/**
+ * The base class for all errors thrown by the client while processing a
+ * request. This class is exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSClientError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSClientError}.
+ *
+ * @extends Error
+ * @see [Based on this StackOverflow Answer]{@link https://stackoverflow.com/a/32749533/174985}
+ */
+class MoodleWSClientError extends Error{
+    /**
+     * @param {string} message - the error message.
+     * @param {RequestSummary} [request] - a summary of the request that
+     * failed.
+     */
+    constructor(message, request){
+        // call the Error constructor
+        super(message);
+        
+        // sanitise the stack trace (NodeJS-only feature)
+        Error.captureStackTrace(this, this.constructor);
+        
+        // set the error's name property
+        /**
+         * The error's name.
+         * @readonly
+         * @type {string}
+         */
+        this.name = this.constructor.name;
+        
+        /**
+         * A redacted summary of the request that failed, if known.
+         * @readonly
+         * @type {(RequestSummary|undefined)}
+         */
+        this.request = validate.isObject(request) ? request : undefined;
+        
+        /**
+         * The name of the web service function that was called, if any.
+         * @readonly
+         * @type {(WsFunctionName|undefined)}
+         */
+        this.wsFunctionName = this.request ? this.request.wsFunctionName : undefined;
+        
+        /**
+         * The HTTP method of the request that failed, if known.
+         * @readonly
+         * @type {(HttpMethod|undefined)}
+         */
+        this.method = this.request ? this.request.method : undefined;
+    }
+}
+
+/**
+ * An error thrown when no HTTP response could be received from Moodle, e.g.
+ * because the connection was refused or reset, or DNS resolution failed.
+ * This class is exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSTransportError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSTransportError}.
+ *
+ * @extends MoodleWSClientError
+ */
+class MoodleWSTransportError extends MoodleWSClientError{
+    /**
+     * @param {Error} cause - the error raised by the transport.
+     * @param {RequestSummary} [request]
+     */
+    constructor(cause, request){
+        super(`request failed: ${cause && cause.message ? cause.message : 'unknown transport error'}`, request);
+        
+        /**
+         * The error raised by the transport.
+         * @readonly
+         * @type {Error}
+         */
+        this.cause = cause;
+        
+        /**
+         * The system error code from the transport error, e.g. `ECONNRESET`,
+         * if any.
+         * @readonly
+         * @type {(string|undefined)}
+         */
+        this.code = cause ? cause.code : undefined;
+    }
+}
+
+/**
+ * An error thrown when a request times out. This class is exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSTimeoutError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSTimeoutError}.
+ *
+ * @extends MoodleWSTransportError
+ */
+class MoodleWSTimeoutError extends MoodleWSTransportError{}
+
+/**
+ * An error thrown when Moodle responds with an HTTP status outside the 2XX
+ * range. This class is exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSHTTPError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSHTTPError}.
+ *
+ * @extends MoodleWSClientError
+ */
+class MoodleWSHTTPError extends MoodleWSClientError{
+    /**
+     * @param {TransportResponse} response - the response received.
+     * @param {RequestSummary} [request]
+     */
+    constructor(response, request){
+        super(`web service returned HTTP status ${response.statusCode}`, request);
+        
+        /**
+         * The HTTP status code.
+         * @readonly
+         * @type {number}
+         */
+        this.statusCode = response.statusCode;
+        
+        /**
+         * The response received.
+         * @readonly
+         * @type {TransportResponse}
+         */
+        this.response = response;
+    }
+}
+
+/**
+ * An error thrown when the body of a response can't be parsed, e.g. because
+ * Moodle returned an HTML maintenance page rather than JSON. This class is
+ * exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSResponseError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSResponseError}.
+ *
+ * @extends MoodleWSClientError
+ */
+class MoodleWSResponseError extends MoodleWSClientError{
+    /**
+     * @param {string} body - the un-parsable response body.
+     * @param {Error} cause - the error raised by the parser.
+     * @param {RequestSummary} [request]
+     */
+    constructor(body, cause, request){
+        super(`failed to parse web service response: ${cause && cause.message ? cause.message : 'invalid response body'}`, request);
+        
+        /**
+         * The un-parsable response body.
+         * @readonly
+         * @type {string}
+         */
+        this.body = body;
+        
+        /**
+         * The error raised by the parser.
+         * @readonly
+         * @type {Error}
+         */
+        this.cause = cause;
+    }
+}
+
+/**
+ * An error thrown when web service parameters, or a web service response, do
+ * not match the function's description in the client's
+ * {@link FunctionCatalogue}. This class is exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSSchemaError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSSchemaError}.
+ *
+ * @extends MoodleWSClientError
+ */
+class MoodleWSSchemaError extends MoodleWSClientError{
+    /**
+     * @param {string} target - what was validated, `'parameters'` or
+     * `'response'`.
+     * @param {WSSchemaProblem[]} problems - the problems found.
+     * @param {RequestSummary} [request]
+     */
+    constructor(target, problems, request){
+        let fn = request && request.wsFunctionName ? ` for ${request.wsFunctionName}` : '';
+        let details = problems.slice(0, 10).map(function(p){
+            return p.path ? `${p.path} ${p.message}` : `${target} ${p.message}`;
+        }).join('; ');
+        if(problems.length > 10) details += ` (and ${problems.length - 10} more)`;
+        super(`invalid ${target}${fn}: ${details}`, request);
+        
+        /**
+         * What was validated, `'parameters'` or `'response'`.
+         * @readonly
+         * @type {string}
+         */
+        this.target = target;
+        
+        /**
+         * The problems found.
+         * @readonly
+         * @type {WSSchemaProblem[]}
+         */
+        this.problems = problems;
+    }
+}
+
+/**
+ * An error thrown when a site profile can't be loaded by
+ * [MoodleWSClient.fromProfile()]{@link MoodleWSClient.fromProfile}. This
+ * class is exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSProfileError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSProfileError}.
+ *
+ * @extends MoodleWSClientError
+ */
+class MoodleWSProfileError extends MoodleWSClientError{
+    /**
+     * @param {Error} cause - the error from {@link loadProfile}.
+     */
+    constructor(cause){
+        super(cause.message);
+        
+        /**
+         * The reason the profile couldn't be loaded, `'ENOPROFILE'` if it
+         * doesn't exist, `'EPROFILEPERMS'` if a token would be read from a
+         * world-readable file, or `'EPROFILEINVALID'` if the config is
+         * invalid or incomplete.
+         * @readonly
+         * @type {string}
+         */
+        this.code = cause.code;
+        
+        /**
+         * The name of the profile, if known.
+         * @readonly
+         * @type {?string}
+         */
+        this.profile = validate.isDefined(cause.profile) ? cause.profile : null;
+        
+        /**
+         * The file the problem relates to, if any.
+         * @readonly
+         * @type {(string|undefined)}
+         */
+        this.file = cause.file;
+    }
+}
+
 /**
  * A custom error class for Moodle Web Service Exceptions. This class is
  * exported as
  * [@maynoothuniversity/moodle-ws-client.MoodleWSError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSError}.
  *
- * @extends Error
- * @see [Based on this StackOverflow Answer]{@link https://stackoverflow.com/a/32749533/174985}
+ * Exceptions with common error codes are represented by sub-classes, see
+ * [MoodleWSError.fromResponseData()]{@link MoodleWSError.fromResponseData}.
+ *
+ * @extends MoodleWSClientError
  */
-class MoodleWSError extends Error{
+class MoodleWSError extends MoodleWSClientError{
     /**
      * @param {object} responseData - the response data returned by the Moodle
      * web service. Expected to be an object indexed by `exception`, `errorcode`
-     * & `message`
+     * & `message`, and optionally `debuginfo`.
+     * @param {RequestSummary} [request] - a summary of the request that
+     * triggered the exception.
      */
     constructor(){
         // coerce the argument into required form
-        let args = validateParams.validate(arguments, [{
+        let args = validateParams.validate(arguments, [
+            {
                 paramOptions: {
                     name: 'responseData',
                     coerce: function(v){
@@ -643,7 +3349,9 @@ class MoodleWSError extends Error{
                         return {};
                     }
                 }
-            }]).validateAttributes();
+            },
+            { vpopt_name: 'request' }
+        ]).validateAttributes();
         
         // generate the message based on the response
         let msg = '';
@@ -655,19 +3363,8 @@ class MoodleWSError extends Error{
             msg += ` (Error Code: ${args.responseData.errorcode})`;
         }
         
-        // call the Error constructor
-        super(msg);
-        
-        // sanitise the stack trace (NodeJS-only feature)
-        Error.captureStackTrace(this, this.constructor);
-        
-        // set the error's name property
-        /**
-         * The error's name.
-         * @readonly
-         * @type {string}
-         */
-        this.name = this.constructor.name;
+        // call the parent constructor
+        super(msg, args.request);
         
         // store the response data
         
@@ -677,6 +3374,21 @@ class MoodleWSError extends Error{
          * @type {PlainObject}
          */
         this._responseData = args.responseData;
+        
+        /**
+         * The Moodle error code, e.g. `invalidtoken`, if any.
+         * @readonly
+         * @type {(string|undefined)}
+         */
+        this.errorcode = args.responseData.errorcode || undefined;
+        
+        /**
+         * The debugging information included in the response, if any. Moodle
+         * only includes this when debugging is enabled on the site.
+         * @readonly
+         * @type {(string|undefined)}
+         */
+        this.debuginfo = args.responseData.debuginfo || undefined;
     }
     
     /**
@@ -689,6 +3401,79 @@ class MoodleWSError extends Error{
     }
 }
 
+/**
+ * An error thrown when Moodle rejects the token, i.e. a web service exception
+ * with the error code `invalidtoken`. This class is exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSInvalidTokenError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSInvalidTokenError}.
+ *
+ * @extends MoodleWSError
+ */
+class MoodleWSInvalidTokenError extends MoodleWSError{}
+
+/**
+ * An error thrown when the token is not allowed to call a function, i.e. a
+ * web service exception with the error code `accessexception`. This class is
+ * exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSAccessError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSAccessError}.
+ *
+ * @extends MoodleWSError
+ */
+class MoodleWSAccessError extends MoodleWSError{}
+
+/**
+ * An error thrown when Moodle rejects the parameters passed to a function,
+ * i.e. a web service exception with the error code `invalidparameter`. The
+ * details are usually only available via
+ * [.debuginfo]{@link MoodleWSError#debuginfo}. This class is exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSInvalidParameterError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSInvalidParameterError}.
+ *
+ * @extends MoodleWSError
+ */
+class MoodleWSInvalidParameterError extends MoodleWSError{}
+
+/**
+ * An error thrown when a function requires a logged-in user the token is not
+ * linked to, i.e. a web service exception with the error code
+ * `servicerequireslogin`. This class is exported as
+ * [@maynoothuniversity/moodle-ws-client.MoodleWSServiceRequiresLoginError]{@link module:@maynoothuniversity/moodle-ws-client.MoodleWSServiceRequiresLoginError}.
+ *
+ * @extends MoodleWSError
+ */
+class MoodleWSServiceRequiresLoginError extends MoodleWSError{}
+
+/**
+ * A lookup table mapping Moodle error codes to the {@link MoodleWSError}
+ * sub-classes that represent them.
+ *
+ * @private
+ * @type {Object.<string, function>}
+ */
+MoodleWSError._errorCodeClasses = {
+    invalidtoken: MoodleWSInvalidTokenError,
+    accessexception: MoodleWSAccessError,
+    invalidparameter: MoodleWSInvalidParameterError,
+    servicerequireslogin: MoodleWSServiceRequiresLoginError
+};
+
+/**
+ * Create an error of the most specific class available for the error code in
+ * the given response data.
+ *
+ * @param {object} responseData - the response data returned by the Moodle
+ * web service.
+ * @param {RequestSummary} [request] - a summary of the request that
+ * triggered the exception.
+ * @returns {MoodleWSError}
+ * @example
+ * let err = MoodleWSError.fromResponseData({ exception: 'moodle_exception', errorcode: 'invalidtoken', message: 'Invalid token - token not found' });
+ * // err instanceof MoodleWSInvalidTokenError === true
+ */
+MoodleWSError.fromResponseData = function(responseData, request){
+    let errorcode = validate.isObject(responseData) ? responseData.errorcode : undefined;
+    let ErrorClass = MoodleWSError._errorCodeClasses[errorcode] || MoodleWSError;
+    return new ErrorClass(responseData, request);
+};
+
 //
 //=== Configure the Module Exports =============================================
 //
@@ -706,15 +3491,152 @@ class MoodleWSError extends Error{
  * @version 1.0.0
  * @see {@link https://github.com/bbusschots-mu/moodle-ws-client}
  * @requires @maynoothuniversity/validate-params
- * @requires request
- * @requires request-promise-native
  * @requires moment
  */
 module.exports = MoodleWSClient;
 
+/**
+ * A reference to the [HttpTransport class]{@link HttpTransport}, the default
+ * transport.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.HttpTransport
+ */
+module.exports.HttpTransport = HttpTransport;
+
+/**
+ * A reference to the [FixtureTransport class]{@link FixtureTransport}, used
+ * to record & replay web service calls.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.FixtureTransport
+ */
+module.exports.FixtureTransport = FixtureTransport;
+
+/**
+ * A reference to the [FunctionCatalogue class]{@link FunctionCatalogue}, used
+ * to validate web service parameters & responses.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.FunctionCatalogue
+ */
+module.exports.FunctionCatalogue = FunctionCatalogue;
+
+/**
+ * A reference to the [generateTypeScript function]{@link generateTypeScript},
+ * used to generate TypeScript declarations from a function catalogue.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.generateTypeScript
+ */
+module.exports.generateTypeScript = generateTypeScript;
+
+/**
+ * A reference to the [MockMoodleServer class]{@link MockMoodleServer}, an
+ * offline stand-in for a Moodle site's REST API for use in tests.
+ *
+ * Note that this export is assigned after the main export because the mock
+ * uses {@link MoodleWSClient.decodeWSArguments}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MockMoodleServer
+ */
+module.exports.MockMoodleServer = require('./mockMoodleServer.js');
+
+/**
+ * A reference to the [MoodleWSClientPool class]{@link MoodleWSClientPool},
+ * for querying many Moodle sites at once.
+ *
+ * Note that this export is assigned after the main export because the pool
+ * uses {@link MoodleWSClient}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSClientPool
+ */
+module.exports.MoodleWSClientPool = require('./moodleWSClientPool.js');
+
+/**
+ * A reference to the [ResponseCache class]{@link ResponseCache}, for caching
+ * the responses to read-only calls.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.ResponseCache
+ */
+module.exports.ResponseCache = ResponseCache;
+
+/**
+ * A reference to the [MoodleWSClientError class]{@link MoodleWSClientError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSClientError
+ */
+module.exports.MoodleWSClientError = MoodleWSClientError;
+
+/**
+ * A reference to the [MoodleWSTransportError class]{@link MoodleWSTransportError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSTransportError
+ */
+module.exports.MoodleWSTransportError = MoodleWSTransportError;
+
+/**
+ * A reference to the [MoodleWSTimeoutError class]{@link MoodleWSTimeoutError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSTimeoutError
+ */
+module.exports.MoodleWSTimeoutError = MoodleWSTimeoutError;
+
+/**
+ * A reference to the [MoodleWSHTTPError class]{@link MoodleWSHTTPError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSHTTPError
+ */
+module.exports.MoodleWSHTTPError = MoodleWSHTTPError;
+
+/**
+ * A reference to the [MoodleWSResponseError class]{@link MoodleWSResponseError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSResponseError
+ */
+module.exports.MoodleWSResponseError = MoodleWSResponseError;
+
+/**
+ * A reference to the [MoodleWSSchemaError class]{@link MoodleWSSchemaError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSSchemaError
+ */
+module.exports.MoodleWSSchemaError = MoodleWSSchemaError;
+
+/**
+ * A reference to the [MoodleWSProfileError class]{@link MoodleWSProfileError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSProfileError
+ */
+module.exports.MoodleWSProfileError = MoodleWSProfileError;
+
 /**
  * A reference to the [MoodleWSError class]{@link MoodleWSError}.
  *
  * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSError
  */
-module.exports.MoodleWSError = MoodleWSError;
\ No newline at end of file
+module.exports.MoodleWSError = MoodleWSError;
+
+/**
+ * A reference to the [MoodleWSInvalidTokenError class]{@link MoodleWSInvalidTokenError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSInvalidTokenError
+ */
+module.exports.MoodleWSInvalidTokenError = MoodleWSInvalidTokenError;
+
+/**
+ * A reference to the [MoodleWSAccessError class]{@link MoodleWSAccessError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSAccessError
+ */
+module.exports.MoodleWSAccessError = MoodleWSAccessError;
+
+/**
+ * A reference to the [MoodleWSInvalidParameterError class]{@link MoodleWSInvalidParameterError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSInvalidParameterError
+ */
+module.exports.MoodleWSInvalidParameterError = MoodleWSInvalidParameterError;
+
+/**
+ * A reference to the [MoodleWSServiceRequiresLoginError class]{@link MoodleWSServiceRequiresLoginError}.
+ *
+ * @name module:@maynoothuniversity/moodle-ws-client.MoodleWSServiceRequiresLoginError
+ */
+module.exports.MoodleWSServiceRequiresLoginError = MoodleWSServiceRequiresLoginError;
\ No newline at end of file
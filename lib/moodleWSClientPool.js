@@ -0,0 +1,314 @@
+/**
+ * @file Provides the class {@link MoodleWSClientPool}, a collection of
+ * {@link MoodleWSClient}s for multiple Moodle sites which can be queried all
+ * at once.
+ */
+
+// import requirements
+const validateParams = require('@maynoothuniversity/validate-params');
+const validate = validateParams.validateJS();
+const RequestScheduler = require('./requestScheduler.js');
+
+//
+//=== JSDoc ground-work ========================================================
+//
+
+/**
+ * The outcome of a call to a single site made by
+ * [.fanOut()]{@link MoodleWSClientPool#fanOut}.
+ *
+ * @typedef {Object} FanOutSiteResult
+ * @property {string} site - the name of the site.
+ * @property {boolean} ok - whether or not the call succeeded.
+ * @property {*} [response] - the response, if the call succeeded.
+ * @property {Error} [error] - the error, if the call failed.
+ * @property {number} durationMS - how long the call took in milliseconds,
+ * not including time spent waiting for a free slot.
+ */
+
+/**
+ * The result of a call to
+ * [.fanOut()]{@link MoodleWSClientPool#fanOut}. The promise returned by
+ * `.fanOut()` never rejects because of failures at individual sites, they
+ * are reported here alongside the successes.
+ *
+ * @typedef {Object} FanOutResult
+ * @property {Object.<string, *>} results - the responses from the sites that
+ * succeeded, indexed by site name.
+ * @property {Object.<string, Error>} errors - the errors from the sites that
+ * failed, indexed by site name.
+ * @property {FanOutSiteResult[]} sites - the outcome for every site, in the
+ * order the sites were added to the pool.
+ */
+
+//
+//=== Define The Class =========================================================
+//
+
+/**
+ * A pool of {@link MoodleWSClient}s indexed by site name, for asking the same
+ * question of many Moodle sites at once.
+ *
+ * @example
+ * const pool = new MoodleWSClientPool({
+ *     arts: new MoodleWSClient('https://arts.moodle.uni.edu/', artsToken),
+ *     science: new MoodleWSClient('https://science.moodle.uni.edu/', scienceToken)
+ * }, { maxConcurrent: 4, timeout: 10000 });
+ * pool.fanOut('GET', 'core_user_get_users_by_field', { field: 'email', values: ['jbloggs@uni.edu'] }).then(function(res){
+ *     let sites = Object.keys(res.results).filter(function(site){ return res.results[site].length; });
+ *     console.log(`found on: ${sites.join(', ')}`);
+ *     for(let site in res.errors) console.warn(`${site} failed: ${res.errors[site].message}`);
+ * });
+ */
+class MoodleWSClientPool{
+    /**
+     * Note that this constructor will throw a {@link ValidationError} if
+     * invalid parameters are passed.
+     *
+     * @param {Object.<string, MoodleWSClient>} [clients={}] - the clients to
+     * add, indexed by site name.
+     * @param {Object} [options={}]
+     * @param {number} [options.maxConcurrent] - the default maximum number of
+     * sites [.fanOut()]{@link MoodleWSClientPool#fanOut} calls at once.
+     * Unlimited by default.
+     * @param {Duration} [options.timeout] - the default time limit for each
+     * site in milliseconds, covering re-tries & time spent in the client's
+     * queue. Defaults to each client's own timeout for each request.
+     * @throws {ValidationError} A validation error is thrown when invalid
+     * parameters are passed.
+     */
+    constructor(){
+        let args = validateParams.assert(arguments, [
+            { vpopt_name: 'clients', vpopt_defaultWhenUndefined: {}, dictionary: true },
+            MoodleWSClientPool._optionsConstraints()
+        ]);
+
+        /**
+         * The clients indexed by site name.
+         * @private
+         * @type {Map<string, MoodleWSClient>}
+         */
+        this._clients = new Map();
+
+        /**
+         * The pool's default options.
+         * @private
+         * @type {Object}
+         */
+        this._options = args.options;
+
+        for(let site in args.clients){
+            this.add(site, args.clients[site]);
+        }
+    }
+
+    /**
+     * Add a client to the pool, replacing any existing client with the same
+     * site name.
+     *
+     * @param {string} site - the site name.
+     * @param {MoodleWSClient} client
+     * @returns {MoodleWSClientPool} Returns a reference to self to facilitate
+     * function chaining.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed.
+     */
+    add(){
+        let args = validateParams.assert(arguments, [
+            { vpopt_name: 'site', presence: true, hasTypeof: 'string' },
+            { vpopt_name: 'client', presence: true, isInstanceof: [require('./moodleWSClient.js')] }
+        ]);
+        this._clients.set(args.site, args.client);
+        return this;
+    }
+
+    /**
+     * Remove a client from the pool.
+     *
+     * @param {string} site - the site name.
+     * @returns {boolean} Returns `true` if the site was in the pool.
+     */
+    remove(site){
+        return this._clients.delete(site);
+    }
+
+    /**
+     * Get the client for a site.
+     *
+     * @param {string} site - the site name.
+     * @returns {(MoodleWSClient|undefined)}
+     */
+    get(site){
+        return this._clients.get(site);
+    }
+
+    /**
+     * Get the names of the sites in the pool, in the order they were added.
+     *
+     * @returns {string[]}
+     */
+    siteNames(){
+        return Array.from(this._clients.keys());
+    }
+
+    /**
+     * Submit the same request to every site in the pool, or a subset of
+     * them, and collect the responses & errors side by side.
+     *
+     * Calls are made concurrently, limited by the `maxConcurrent` option,
+     * and each site is given the `timeout` option's time limit, so a site
+     * which is down can't stall the others for longer than that.
+     *
+     * @async
+     * @param {HttpMethod} method
+     * @param {WsFunctionName} wsFunctionName
+     * @param {PlainObject} [wsParameters={}]
+     * @param {Object} [options={}] - the options for the fan-out, which
+     * override the pool's. Any options other than those listed below are
+     * passed on to [.submit()]{@link MoodleWSClient#submit} for every site.
+     * @param {string[]} [options.sites] - the names of the sites to call.
+     * Defaults to all sites.
+     * @param {number} [options.maxConcurrent] - the maximum number of sites
+     * to call at once.
+     * @param {Duration} [options.timeout] - the time limit for each site in
+     * milliseconds. Sites which don't respond in time are reported with a
+     * {@link MoodleWSTimeoutError}. Also used as the request timeout.
+     * @returns {FanOutResult} Returns a promise of the results.
+     * @throws {ValidationError} A validation error is thrown if invalid
+     * parameters are passed, including unknown site names.
+     */
+    fanOut(){
+        let siteNames = this.siteNames();
+        let vpCons = require('./moodleWSClient.js')._vpCons;
+        let args = validateParams.assert(arguments, [
+            validateParams.extendObject({ vpopt_name: 'method', presence: true }, vpCons.httpMethod),
+            validateParams.extendObject({ vpopt_name: 'wsFunctionName', presence: true }, vpCons.wsFunctionName),
+            { vpopt_name: 'wsParameters', vpopt_defaultWhenUndefined: {}, dictionary: true },
+            MoodleWSClientPool._optionsConstraints({
+                sites: { list: { valueConstraints: { inclusion: siteNames } } }
+            })
+        ]);
+        let options = Object.assign({}, this._options, args.options);
+        let submitOptions = Object.assign({}, args.options);
+        delete submitOptions.sites;
+        delete submitOptions.maxConcurrent;
+        let timeout = options.timeout || 0;
+        if(timeout) submitOptions.timeout = timeout;
+        let scheduler = new RequestScheduler({ maxConcurrent: options.maxConcurrent });
+        let self = this;
+
+        // call each site, capturing the outcome rather than rejecting
+        let sites = options.sites ? siteNames.filter(function(site){ return options.sites.includes(site); }) : siteNames;
+        let calls = sites.map(function(site){
+            return scheduler.schedule(function(){
+                let start = Date.now();
+                let call = self._clients.get(site).submit(args.method, args.wsFunctionName, args.wsParameters, submitOptions);
+                return MoodleWSClientPool._withDeadline(call, timeout, site).then(
+                    function(response){
+                        return { site: site, ok: true, response: response, durationMS: Date.now() - start };
+                    },
+                    function(err){
+                        return { site: site, ok: false, error: err, durationMS: Date.now() - start };
+                    }
+                );
+            });
+        });
+
+        // collate the results
+        return Promise.all(calls).then(function(outcomes){
+            let ans = { results: {}, errors: {}, sites: outcomes };
+            for(let outcome of outcomes){
+                if(outcome.ok){
+                    ans.results[outcome.site] = outcome.response;
+                }else{
+                    ans.errors[outcome.site] = outcome.error;
+                }
+            }
+            return ans;
+        });
+    }
+}
+
+/**
+ * Create a pool from named site profiles, using each profile's name as the
+ * site name. See
+ * [MoodleWSClient.fromProfile()]{@link MoodleWSClient.fromProfile}.
+ *
+ * @param {string[]} profileNames
+ * @param {Object} [options={}] - the options for the pool, plus the options
+ * below.
+ * @param {Object} [options.clientOptions] - options for every client, as
+ * accepted by `MoodleWSClient.fromProfile()`.
+ * @returns {MoodleWSClientPool}
+ * @throws {MoodleWSProfileError} A profile error is thrown if any of the
+ * profiles can't be loaded.
+ * @example
+ * const pool = MoodleWSClientPool.fromProfiles(['arts', 'science', 'engineering'], { timeout: 10000 });
+ */
+MoodleWSClientPool.fromProfiles = function(profileNames, options){
+    options = Object.assign({}, options);
+    let clientOptions = options.clientOptions;
+    delete options.clientOptions;
+    let pool = new MoodleWSClientPool({}, options);
+    for(let name of profileNames){
+        pool.add(name, require('./moodleWSClient.js').fromProfile(name, clientOptions));
+    }
+    return pool;
+};
+
+/**
+ * Get the constraints for the pool-wide options, with timeouts converted to
+ * milliseconds.
+ *
+ * @private
+ * @param {Object.<string, ValidateParamsConstraints>} [extraConstraints] -
+ * constraints for additional options.
+ * @returns {ValidateParamsConstraints}
+ */
+MoodleWSClientPool._optionsConstraints = function(extraConstraints){
+    return {
+        paramOptions: {
+            name: 'options',
+            defaultWhenUndefined: {},
+            coerce: function(v){
+                if(validate.isObject(v) && validate.isDefined(v.timeout)){
+                    v = Object.assign({}, v, { timeout: require('./moodleWSClient.js')._durationMS(v.timeout) });
+                }
+                return v;
+            }
+        },
+        dictionary: {
+            mapConstraints: Object.assign({
+                maxConcurrent: { numericality: { onlyInteger: true, greaterThan: 0 } },
+                timeout: { numericality: { greaterThan: 0 } }
+            }, extraConstraints)
+        }
+    };
+};
+
+/**
+ * Reject a promise with a timeout error if it doesn't settle in time.
+ *
+ * @private
+ * @param {Promise} promise
+ * @param {number} timeout - the time limit in milliseconds, or `0` for none.
+ * @param {string} site - the site name, for the error message.
+ * @returns {Promise}
+ */
+MoodleWSClientPool._withDeadline = function(promise, timeout, site){
+    if(!timeout) return promise;
+    let timer;
+    let deadline = new Promise(function(resolve, reject){
+        timer = setTimeout(function(){
+            let cause = new Error(`site '${site}' did not respond within ${timeout}ms`);
+            cause.code = 'ETIMEDOUT';
+            reject(new (require('./moodleWSClient.js').MoodleWSTimeoutError)(cause));
+        }, timeout);
+    });
+    return Promise.race([promise, deadline]).then(
+        function(res){ clearTimeout(timer); return res; },
+        function(err){ clearTimeout(timer); throw err; }
+    );
+};
+
+module.exports = MoodleWSClientPool;
@@ -0,0 +1,175 @@
+/**
+ * @file Provides the class {@link RequestScheduler}, used by
+ * {@link MoodleWSClient} to limit the number of concurrent requests and the
+ * rate at which requests are sent.
+ */
+
+//
+//=== JSDoc ground-work ========================================================
+//
+
+/**
+ * The name of a priority lane in a {@link RequestScheduler}, one of `'high'`,
+ * `'normal'` or `'low'`. Queued tasks in higher priority lanes are always
+ * started before those in lower priority lanes, e.g. interactive calls can be
+ * given `high` priority so they skip ahead of `low` priority bulk calls.
+ *
+ * @typedef {string} RequestPriority
+ */
+
+/**
+ * A snapshot of the state of a {@link RequestScheduler}.
+ *
+ * @typedef {Object} QueueStatus
+ * @property {number} active - the number of tasks currently running.
+ * @property {number} queued - the total number of tasks waiting to start.
+ * @property {Object.<RequestPriority, number>} lanes - the number of tasks
+ * waiting to start in each priority lane.
+ */
+
+//
+//=== Define Globals ===========================================================
+//
+
+/**
+ * The priority lanes, in the order they are serviced.
+ * @private
+ * @type {RequestPriority[]}
+ */
+const PRIORITIES = ['high', 'normal', 'low'];
+
+//
+//=== Define The Class =========================================================
+//
+
+/**
+ * A priority queue for asynchronous tasks which starts them no faster than a
+ * given rate and keeps no more than a given number running at once.
+ *
+ * @private
+ */
+class RequestScheduler{
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxConcurrent] - the maximum number of tasks
+     * that may run at once. Unlimited if omitted.
+     * @param {number} [options.requestsPerSecond] - the maximum rate at which
+     * tasks are started. Starts are evenly spaced, so a rate of `4` starts at
+     * most one task every 250ms. Unlimited if omitted.
+     */
+    constructor(options){
+        options = options || {};
+
+        /**
+         * The maximum number of concurrent tasks.
+         * @private
+         * @type {number}
+         */
+        this._maxConcurrent = options.maxConcurrent || Infinity;
+
+        /**
+         * The minimum interval between task starts in milliseconds.
+         * @private
+         * @type {number}
+         */
+        this._interval = options.requestsPerSecond ? 1000 / options.requestsPerSecond : 0;
+
+        /**
+         * The queued tasks indexed by priority.
+         * @private
+         * @type {Object.<RequestPriority, Array>}
+         */
+        this._lanes = {};
+        for(let priority of PRIORITIES){
+            this._lanes[priority] = [];
+        }
+
+        /**
+         * The number of running tasks.
+         * @private
+         * @type {number}
+         */
+        this._active = 0;
+
+        /**
+         * The time the most recent task was started as a millisecond timestamp.
+         * @private
+         * @type {number}
+         */
+        this._lastStart = 0;
+
+        /**
+         * The timer waiting for the rate limit to allow the next start, if any.
+         * @private
+         * @type {?Timeout}
+         */
+        this._timer = null;
+    }
+
+    /**
+     * Queue a task for execution.
+     *
+     * @async
+     * @param {function(): Promise} task - a function that starts the task and
+     * returns a promise of its result.
+     * @param {RequestPriority} [priority='normal']
+     * @returns {*} Returns a promise of the task's result.
+     */
+    schedule(task, priority){
+        let self = this;
+        let lane = this._lanes[priority] || this._lanes.normal;
+        return new Promise(function(resolve, reject){
+            lane.push({ task: task, resolve: resolve, reject: reject });
+            self._drain();
+        });
+    }
+
+    /**
+     * Get a snapshot of the scheduler's state.
+     *
+     * @returns {QueueStatus}
+     */
+    status(){
+        let ans = { active: this._active, queued: 0, lanes: {} };
+        for(let priority of PRIORITIES){
+            ans.lanes[priority] = this._lanes[priority].length;
+            ans.queued += this._lanes[priority].length;
+        }
+        return ans;
+    }
+
+    /**
+     * Start as many queued tasks as the limits allow.
+     *
+     * @private
+     */
+    _drain(){
+        let self = this;
+        if(this._timer) return; // already waiting on the rate limit
+        while(this._active < this._maxConcurrent){
+            let lane = PRIORITIES.map(function(p){ return self._lanes[p]; }).find(function(l){ return l.length > 0; });
+            if(!lane) return;
+
+            // wait if starting now would exceed the rate limit
+            let wait = this._lastStart + this._interval - Date.now();
+            if(wait > 0){
+                this._timer = setTimeout(function(){
+                    self._timer = null;
+                    self._drain();
+                }, wait);
+                return;
+            }
+
+            // start the next task
+            let job = lane.shift();
+            this._active++;
+            this._lastStart = Date.now();
+            Promise.resolve().then(job.task).then(job.resolve, job.reject).then(function(){
+                self._active--;
+                self._drain();
+            });
+        }
+    }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,345 @@
+/**
+ * @file Provides the class {@link ResponseCache}, an opt-in cache for the
+ * responses to read-only web service calls, and {@link MemoryCacheStore},
+ * its default in-memory store.
+ */
+
+// import requirements
+const crypto = require('crypto');
+const validateParams = require('@maynoothuniversity/validate-params');
+const validate = validateParams.validateJS();
+
+//
+//=== JSDoc ground-work ========================================================
+//
+
+/**
+ * The interface a {@link ResponseCache} uses to store responses, e.g. to
+ * share them between processes via a file or a key-value server. Any of the
+ * methods may return a promise instead of a value. Stores are responsible
+ * for expiring their own entries.
+ *
+ * @typedef {Object} CacheStore
+ * @property {function(string): *} get - get the value stored under a key,
+ * or `undefined` if there is none or it has expired.
+ * @property {function(string, *, number)} set - store a value under a key
+ * for the given number of milliseconds.
+ * @property {function(string)} delete - remove the value stored under a key,
+ * if any.
+ * @property {function(): string[]} keys - get all the keys in the store.
+ */
+
+//
+//=== Define Globals ===========================================================
+//
+
+/**
+ * The default time to cache responses for, in milliseconds.
+ * @private
+ * @type {number}
+ */
+const DEFAULT_TTL = 60000;
+
+/**
+ * The default maximum number of responses held by a {@link MemoryCacheStore}.
+ * @private
+ * @type {number}
+ */
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * The prefix for every key a {@link ResponseCache} stores, so it only ever
+ * clears its own entries from a shared store.
+ * @private
+ * @type {string}
+ */
+const KEY_PREFIX = 'moodlews:';
+
+//
+//=== Private Helper Functions =================================================
+//
+
+/**
+ * Copy a response so callers can't change the cached copy.
+ *
+ * @private
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneValue(value){
+    if(!validate.isDefined(value)) return value;
+    if(typeof structuredClone === 'function') return structuredClone(value);
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Convert a {@link Duration} to milliseconds.
+ *
+ * @private
+ * @param {Duration} duration
+ * @returns {number}
+ */
+function durationMS(duration){
+    return require('./moodleWSClient.js')._durationMS(duration);
+}
+
+//
+//=== Define The Classes =======================================================
+//
+
+/**
+ * A {@link CacheStore} which holds entries in memory, discarding the least
+ * recently used entry when full.
+ */
+class MemoryCacheStore{
+    /**
+     * @param {Object} [options={}]
+     * @param {number} [options.maxEntries=500] - the maximum number of
+     * entries to hold.
+     */
+    constructor(options){
+        options = options || {};
+
+        /**
+         * The maximum number of entries.
+         * @private
+         * @type {number}
+         */
+        this._maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+
+        /**
+         * The entries in order of use, least recently used first.
+         * @private
+         * @type {Map<string, {value: *, expires: number}>}
+         */
+        this._entries = new Map();
+    }
+
+    /**
+     * @param {string} key
+     * @returns {*} Returns `undefined` if there is no live entry.
+     */
+    get(key){
+        let entry = this._entries.get(key);
+        if(!entry) return undefined;
+        this._entries.delete(key);
+        if(entry.expires <= Date.now()) return undefined;
+        this._entries.set(key, entry); // mark as most recently used
+        return cloneValue(entry.value);
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {number} ttl - the time to keep the entry for in milliseconds.
+     */
+    set(key, value, ttl){
+        this._entries.delete(key);
+        this._entries.set(key, { value: cloneValue(value), expires: Date.now() + ttl });
+        while(this._entries.size > this._maxEntries){
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    /**
+     * @param {string} key
+     */
+    delete(key){
+        this._entries.delete(key);
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    keys(){
+        return Array.from(this._entries.keys());
+    }
+}
+
+/**
+ * A cache for the responses to `GET` calls, keyed on the site, a hash of
+ * the token, the function name & the encoded parameters. Enabled with the
+ * `cache` option to the {@link MoodleWSClient} constructor, and reachable
+ * via [.cache()]{@link MoodleWSClient#cache}. A cache may be shared between
+ * clients, and its store may hold other data too, as all the cache's keys
+ * start with `moodlews:`.
+ *
+ * @example
+ * const cache = new ResponseCache({
+ *     ttl: { minutes: 5 },
+ *     ttls: { core_course_get_contents: 30000, core_user_get_users: 0 }
+ * });
+ * let myMoodle = new MoodleWSClient(moodleUrl, token, { cache: cache });
+ * // after editing a course
+ * cache.invalidate('core_course_get_contents');
+ */
+class ResponseCache{
+    /**
+     * Note that this constructor will throw a {@link ValidationError} if
+     * invalid parameters are passed.
+     *
+     * @param {Object} [options={}]
+     * @param {CacheStore} [options.store] - where to store the responses.
+     * Defaults to a new {@link MemoryCacheStore}.
+     * @param {number} [options.maxEntries=500] - the size of the default
+     * store.
+     * @param {Duration} [options.ttl=60000] - how long to cache responses for
+     * functions without their own TTL.
+     * @param {Object.<WsFunctionName, Duration>} [options.ttls] - how long to
+     * cache the responses from specific functions, `0` to not cache them.
+     * @throws {ValidationError} A validation error is thrown when invalid
+     * parameters are passed.
+     */
+    constructor(){
+        let args = validateParams.assert(arguments, [{
+            paramOptions: {
+                name: 'options',
+                defaultWhenUndefined: {},
+                coerce: function(v){
+                    if(!validate.isObject(v)) return v;
+                    v = Object.assign({}, v);
+                    if(validate.isDefined(v.ttl)) v.ttl = durationMS(v.ttl);
+                    if(validate.isObject(v.ttls)){
+                        let ttls = {};
+                        for(let fn in v.ttls) ttls[fn] = durationMS(v.ttls[fn]);
+                        v.ttls = ttls;
+                    }
+                    return v;
+                }
+            },
+            dictionary: {
+                mapConstraints: {
+                    store: {
+                        dictionary: {
+                            mapConstraints: {
+                                get: { presence: true, hasTypeof: 'function' },
+                                set: { presence: true, hasTypeof: 'function' },
+                                delete: { presence: true, hasTypeof: 'function' },
+                                keys: { presence: true, hasTypeof: 'function' }
+                            }
+                        }
+                    },
+                    maxEntries: { numericality: { onlyInteger: true, greaterThan: 0 } },
+                    ttl: { numericality: { greaterThanOrEqualTo: 0 } },
+                    ttls: {
+                        dictionary: {
+                            valueConstraints: { numericality: { greaterThanOrEqualTo: 0 } }
+                        }
+                    }
+                }
+            }
+        }]);
+
+        /**
+         * The store holding the responses.
+         * @private
+         * @type {CacheStore}
+         */
+        this._store = args.options.store || new MemoryCacheStore({ maxEntries: args.options.maxEntries });
+
+        /**
+         * The default TTL in milliseconds.
+         * @private
+         * @type {number}
+         */
+        this._ttl = validate.isDefined(args.options.ttl) ? args.options.ttl : DEFAULT_TTL;
+
+        /**
+         * The per-function TTLs in milliseconds.
+         * @private
+         * @type {Object.<WsFunctionName, number>}
+         */
+        this._ttls = Object.assign({}, args.options.ttls);
+    }
+
+    /**
+     * Get the cache's store.
+     *
+     * @returns {CacheStore}
+     */
+    store(){
+        return this._store;
+    }
+
+    /**
+     * Get how long the responses from a function are cached for.
+     *
+     * @param {WsFunctionName} wsFunctionName
+     * @returns {number} Returns the TTL in milliseconds, `0` if the function's
+     * responses are not cached.
+     */
+    ttlFor(wsFunctionName){
+        return validate.isDefined(this._ttls[wsFunctionName]) ? this._ttls[wsFunctionName] : this._ttl;
+    }
+
+    /**
+     * Build the key a response is cached under. Keys start with `moodlews:`,
+     * then the function name followed by a `:` so they can be invalidated by
+     * function.
+     *
+     * @param {WsFunctionName} wsFunctionName
+     * @param {Array} parts - everything else the response depends on, e.g.
+     * the site URL & encoded parameters. Must be JSON-serialisable.
+     * @returns {string}
+     */
+    keyFor(wsFunctionName, parts){
+        let hash = crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+        return `${KEY_PREFIX}${wsFunctionName}:${hash}`;
+    }
+
+    /**
+     * Get a cached response, or load & cache it if there is none. Failed
+     * loads are not cached. Responses are stored wrapped in an object with
+     * the response as its `value`, so `null` responses can be cached.
+     *
+     * @async
+     * @param {WsFunctionName} wsFunctionName
+     * @param {string} key - the key built with
+     * [.keyFor()]{@link ResponseCache#keyFor}.
+     * @param {function(): Promise} load - a function returning a promise of
+     * the response.
+     * @returns {*} Returns a promise of the response.
+     */
+    fetch(wsFunctionName, key, load){
+        let self = this;
+        let ttl = this.ttlFor(wsFunctionName);
+        if(!ttl) return Promise.resolve().then(load);
+        return Promise.resolve(this._store.get(key)).then(function(cached){
+            if(validate.isObject(cached) && 'value' in cached) return cached.value;
+            return Promise.resolve().then(load).then(function(response){
+                return Promise.resolve(self._store.set(key, { value: response }, ttl)).then(function(){
+                    return response;
+                });
+            });
+        });
+    }
+
+    /**
+     * Remove the cached responses for a function, or all cached responses.
+     *
+     * @async
+     * @param {WsFunctionName} [wsFunctionName] - the function to remove the
+     * responses for. If omitted all the cache's responses are removed, but
+     * anything else in the store is left alone.
+     * @returns {number} Returns a promise of the number of responses removed.
+     */
+    invalidate(wsFunctionName){
+        let self = this;
+        let prefix = wsFunctionName ? `${KEY_PREFIX}${wsFunctionName}:` : KEY_PREFIX;
+        return Promise.resolve(this._store.keys()).then(function(keys){
+            let doomed = keys.filter(function(k){ return k.startsWith(prefix); });
+            return Promise.all(doomed.map(function(k){ return self._store.delete(k); })).then(function(){
+                return doomed.length;
+            });
+        });
+    }
+}
+
+/**
+ * A reference to the [MemoryCacheStore class]{@link MemoryCacheStore}.
+ *
+ * @type {Function}
+ */
+ResponseCache.MemoryStore = MemoryCacheStore;
+
+module.exports = ResponseCache;
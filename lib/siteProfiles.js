@@ -0,0 +1,306 @@
+/**
+ * @file Provides the function {@link loadProfile} for reading named site
+ * profiles from config files & environment variables. Used by
+ * [MoodleWSClient.fromProfile()]{@link MoodleWSClient.fromProfile}.
+ */
+
+// import requirements
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const validateParams = require('@maynoothuniversity/validate-params');
+const validate = validateParams.validateJS();
+
+//
+//=== JSDoc ground-work ========================================================
+//
+
+/**
+ * The settings for a single Moodle site as stored in a profile config file.
+ *
+ * @typedef {Object} SiteProfile
+ * @property {SecureUrl} [url] - the base URL of the Moodle site.
+ * @property {MoodleToken} [token] - the web service token. Only permitted in
+ * files which are not world-readable.
+ * @property {string} [tokenFile] - the path to a file containing the token,
+ * relative to the config file. A leading `~` is expanded to the home
+ * directory. The file must not be world-readable.
+ * @property {Duration} [timeout] - the client's default timeout.
+ * @property {boolean} [acceptUntrustedTLSCert] - whether or not to accept
+ * TLS certificates that don't pass validation.
+ * @property {Object.<JsFunctionName, Array>} [shortcuts] - shortcuts to
+ * register, as accepted by
+ * [.registerShortcuts()]{@link MoodleWSClient#registerShortcuts}.
+ */
+
+/**
+ * The contents of a profile config file, e.g.:
+ *
+ * ```
+ * {
+ *     "default": "dev",
+ *     "profiles": {
+ *         "dev": { "url": "https://moodle-dev.uni.edu/", "tokenFile": "~/.moodle-dev-token" },
+ *         "prod": { "url": "https://moodle.uni.edu/", "timeout": 30000 }
+ *     }
+ * }
+ * ```
+ *
+ * @typedef {Object} ProfileConfig
+ * @property {string} [default] - the name of the profile to use when none is
+ * specified.
+ * @property {Object.<string, SiteProfile>} profiles
+ */
+
+//
+//=== Define Globals ===========================================================
+//
+
+/**
+ * The name of profile config files, both in the user's home directory and at
+ * project level.
+ * @private
+ * @type {string}
+ */
+const CONFIG_FILE_NAME = '.moodlews.json';
+
+/**
+ * The keys permitted in a {@link SiteProfile}.
+ * @private
+ * @type {string[]}
+ */
+const PROFILE_KEYS = ['url', 'token', 'tokenFile', 'timeout', 'acceptUntrustedTLSCert', 'shortcuts'];
+
+/**
+ * The settings which can be given with per-profile environment variables,
+ * indexed by the suffix of the variable name, e.g. `MOODLE_WS_PROD_URL`.
+ * @private
+ * @type {Object.<string, string>}
+ */
+const ENV_SETTINGS = { URL: 'url', TOKEN: 'token', TIMEOUT: 'timeout' };
+
+//
+//=== Private Helper Functions =================================================
+//
+
+/**
+ * Create an error representing a problem loading a profile.
+ *
+ * @private
+ * @param {string} message
+ * @param {string} code - `'ENOPROFILE'`, `'EPROFILEINVALID'` or
+ * `'EPROFILEPERMS'`.
+ * @param {?string} profile - the name of the profile being loaded.
+ * @param {string} [file] - the file the problem relates to.
+ * @returns {Error}
+ */
+function profileError(message, code, profile, file){
+    let err = new Error(message);
+    err.code = code;
+    err.profile = profile;
+    if(file) err.file = file;
+    return err;
+}
+
+/**
+ * Get the paths of the config files to read, lowest precedence first.
+ *
+ * @private
+ * @param {Object} options
+ * @returns {string[]}
+ */
+function configFilePaths(options){
+    if(options.configFile) return [path.resolve(options.configFile)];
+    if(options.env.MOODLE_WS_CONFIG) return [path.resolve(options.env.MOODLE_WS_CONFIG)];
+    let paths = [path.join(os.homedir(), CONFIG_FILE_NAME), path.resolve(CONFIG_FILE_NAME)];
+    return paths.filter(function(p, i){
+        return paths.indexOf(p) === i && fs.existsSync(p);
+    });
+}
+
+/**
+ * Throw an error if a file holding a token is world-readable. Not checked
+ * on Windows, which doesn't have POSIX permissions.
+ *
+ * @private
+ * @param {string} file
+ * @param {?string} profile
+ * @throws {Error}
+ */
+function assertNotWorldReadable(file, profile){
+    if(process.platform === 'win32') return;
+    let stats;
+    try{
+        stats = fs.statSync(file);
+    }catch(err){
+        throw profileError(`failed to read token file for profile '${profile}': ${err.message}`, 'EPROFILEINVALID', profile, file);
+    }
+    if(stats.mode & 0o004){
+        throw profileError(`refusing to read a token from '${file}' because it is world-readable, run 'chmod o-r ${file}' to fix`, 'EPROFILEPERMS', profile, file);
+    }
+}
+
+/**
+ * Read and parse a config file.
+ *
+ * @private
+ * @param {string} file
+ * @param {?string} profile
+ * @returns {ProfileConfig}
+ * @throws {Error}
+ */
+function readConfigFile(file, profile){
+    let config;
+    try{
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }catch(err){
+        throw profileError(`failed to read profile config file '${file}': ${err.message}`, 'EPROFILEINVALID', profile, file);
+    }
+    if(!validateParams.isPlainObject(config) || !validateParams.isPlainObject(config.profiles || {})){
+        throw profileError(`profile config file '${file}' must contain an object with a 'profiles' object`, 'EPROFILEINVALID', profile, file);
+    }
+    return config;
+}
+
+/**
+ * Convert a profile name to the form used in environment variable names,
+ * e.g. `staging-2` becomes `STAGING_2`.
+ *
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function envName(name){
+    return name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+//
+//=== Define The Function ======================================================
+//
+
+/**
+ * Load a site profile.
+ *
+ * Profiles are read from `~/.moodlews.json` and then `.moodlews.json` in the
+ * current directory, with settings in the project-level file overriding
+ * those in the user's file, so a project can share a site's URL while the
+ * token stays in the user's file. A `token` or `tokenFile` in the
+ * project-level file replaces both settings from the user's file, and only
+ * the file the token is read from must be private. The file named by the
+ * `MOODLE_WS_CONFIG`
+ * environment variable, or the `configFile` option, is read instead of both
+ * if given.
+ *
+ * Settings can be overridden with the environment variables
+ * `MOODLE_WS_<NAME>_URL`, `MOODLE_WS_<NAME>_TOKEN` & `MOODLE_WS_<NAME>_TIMEOUT`,
+ * where `<NAME>` is the profile name in upper case with any other characters
+ * replaced with `_`.
+ *
+ * If no name is given the profile named in the `MOODLE_WS_PROFILE`
+ * environment variable, or the config's `default`, is loaded. If there is no
+ * default either, the `MOODLE_WS_URL` & `MOODLE_WS_TOKEN` environment
+ * variables are used.
+ *
+ * Tokens are never read from world-readable files.
+ *
+ * @param {?string} [name]
+ * @param {Object} [options={}]
+ * @param {string} [options.configFile] - the config file to read.
+ * @param {Object.<string, string>} [options.env=process.env] - the
+ * environment variables to read.
+ * @returns {{name: ?string, url: SecureUrl, token: MoodleToken, timeout: (Duration|undefined), acceptUntrustedTLSCert: (boolean|undefined), shortcuts: (Object|undefined)}}
+ * @throws {Error} An error with the `code` `'ENOPROFILE'` is thrown if the
+ * profile doesn't exist, `'EPROFILEPERMS'` if a token would be read from a
+ * world-readable file, or `'EPROFILEINVALID'` if the config is invalid or
+ * incomplete.
+ */
+function loadProfile(name, options){
+    options = Object.assign({}, options);
+    if(!options.env) options.env = process.env;
+    let env = options.env;
+
+    // merge the profiles from all the config files, remembering where each
+    // profile & its token came from - a token or token file in a later file
+    // replaces both from earlier files, so the source of the winning token is
+    // always the one checked
+    let profiles = {};
+    let profileFiles = {};
+    let tokenSources = {};
+    let defaultName;
+    for(let file of configFilePaths(options)){
+        let config = readConfigFile(file, name || null);
+        if(config.default) defaultName = config.default;
+        for(let profileName in config.profiles || {}){
+            let fileProfile = config.profiles[profileName];
+            if(!validateParams.isPlainObject(fileProfile)){
+                throw profileError(`profile '${profileName}' in '${file}' must be an object`, 'EPROFILEINVALID', profileName, file);
+            }
+            profileFiles[profileName] = file;
+            if(fileProfile.tokenFile){
+                let tokenFile = fileProfile.tokenFile.replace(/^~(?=$|[\/\\])/, os.homedir());
+                fileProfile = Object.assign({}, fileProfile, { tokenFile: path.resolve(path.dirname(file), tokenFile) });
+            }
+            let merged = profiles[profileName] || {};
+            if(fileProfile.token || fileProfile.tokenFile){
+                tokenSources[profileName] = fileProfile.token ? file : fileProfile.tokenFile;
+                delete merged.token;
+                delete merged.tokenFile;
+            }
+            profiles[profileName] = Object.assign(merged, fileProfile);
+        }
+    }
+
+    // figure out which profile to load
+    name = name || env.MOODLE_WS_PROFILE || defaultName || null;
+    let profile;
+    if(name){
+        profile = Object.assign({}, profiles[name]);
+        let found = validate.isDefined(profiles[name]);
+        for(let suffix in ENV_SETTINGS){
+            let value = env[`MOODLE_WS_${envName(name)}_${suffix}`];
+            if(validate.isDefined(value)){
+                profile[ENV_SETTINGS[suffix]] = value;
+                found = true;
+                if(suffix === 'TOKEN') delete tokenSources[name];
+            }
+        }
+        if(!found){
+            throw profileError(`no profile named '${name}' found`, 'ENOPROFILE', name);
+        }
+        let unknown = Object.keys(profile).filter(function(k){ return !PROFILE_KEYS.includes(k); });
+        if(unknown.length){
+            throw profileError(`profile '${name}' in '${profileFiles[name]}' has unsupported settings: ${unknown.join(', ')}`, 'EPROFILEINVALID', name, profileFiles[name]);
+        }
+    }else{
+        if(!env.MOODLE_WS_URL && !env.MOODLE_WS_TOKEN){
+            throw profileError('no profile specified and no default configured, set MOODLE_WS_PROFILE or MOODLE_WS_URL & MOODLE_WS_TOKEN', 'ENOPROFILE', null);
+        }
+        profile = { url: env.MOODLE_WS_URL, token: env.MOODLE_WS_TOKEN };
+    }
+
+    // resolve the token, refusing to read it from world-readable files
+    if(name && tokenSources[name]){
+        assertNotWorldReadable(tokenSources[name], name);
+        if(!profile.token){
+            try{
+                profile.token = fs.readFileSync(tokenSources[name], 'utf8').trim();
+            }catch(err){
+                throw profileError(`failed to read token file for profile '${name}': ${err.message}`, 'EPROFILEINVALID', name, tokenSources[name]);
+            }
+        }
+    }
+    let label = name ? `profile '${name}'` : 'the environment';
+    if(!profile.url) throw profileError(`no URL configured for ${label}`, 'EPROFILEINVALID', name);
+    if(!profile.token) throw profileError(`no token configured for ${label}`, 'EPROFILEINVALID', name);
+
+    return {
+        name: name,
+        url: profile.url,
+        token: profile.token,
+        timeout: profile.timeout,
+        acceptUntrustedTLSCert: profile.acceptUntrustedTLSCert,
+        shortcuts: profile.shortcuts
+    };
+}
+
+module.exports = loadProfile;
@@ -0,0 +1,182 @@
+/**
+ * @file Provides the function {@link generateTypeScript} for turning a
+ * {@link FunctionCatalogue} into TypeScript declarations, and a command line
+ * wrapper around it:
+ *
+ * ```
+ * node lib/typeScriptGenerator.js catalogue.json [output.d.ts] [module-name]
+ * ```
+ */
+
+// import requirements
+const fs = require('fs');
+const FunctionCatalogue = require('./functionCatalogue.js');
+
+//
+//=== Define Globals ===========================================================
+//
+
+/**
+ * The name of this module, which the generated declarations augment by
+ * default.
+ * @private
+ * @type {string}
+ */
+const MODULE_NAME = '@maynoothuniversity/moodle-ws-client';
+
+/**
+ * The TypeScript types used for each Moodle parameter type. Types not listed
+ * map to `string`.
+ * @private
+ * @type {Object.<string, {parameters: string, returns: string}>}
+ */
+const VALUE_TYPES = {
+    int: { parameters: 'number', returns: 'number' },
+    float: { parameters: 'number', returns: 'number' },
+    bool: { parameters: 'boolean | 0 | 1', returns: 'boolean' }
+};
+
+//
+//=== Private Helper Functions =================================================
+//
+
+/**
+ * Convert a web service function name to a TypeScript interface name prefix,
+ * e.g. `core_user_get_users` becomes `CoreUserGetUsers`.
+ *
+ * @private
+ * @param {string} wsFunctionName
+ * @returns {string}
+ */
+function typeName(wsFunctionName){
+    return wsFunctionName.split('_').filter(function(w){ return w.length; }).map(function(w){
+        return w[0].toUpperCase() + w.slice(1).toLowerCase();
+    }).join('');
+}
+
+/**
+ * Render a property name, quoting it if it's not a valid identifier.
+ *
+ * @private
+ * @param {string} key
+ * @returns {string}
+ */
+function propertyName(key){
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Render a JSDoc-style comment, or nothing if there's no text.
+ *
+ * @private
+ * @param {string} [text]
+ * @param {string} indent
+ * @returns {string}
+ */
+function docComment(text, indent){
+    if(!text) return '';
+    return `${indent}/** ${String(text).replace(/\*\//g, '*\\/').replace(/\s+/g, ' ').trim()} */\n`;
+}
+
+/**
+ * Render the TypeScript type for a {@link WSStructure}.
+ *
+ * @private
+ * @param {WSStructure} structure
+ * @param {string} kind - `'parameters'` or `'returns'`.
+ * @param {string} indent - the indentation of the line the type starts on.
+ * @returns {string}
+ */
+function renderType(structure, kind, indent){
+    switch(structure.type){
+        case 'single': {
+            let keys = structure.keys || {};
+            let inner = indent + '    ';
+            let lines = Object.keys(keys).map(function(key){
+                let sub = keys[key];
+                let optional = sub.required === false;
+                let type = renderType(sub, kind, inner); // BEWARE - recursion!
+                if(kind === 'returns' && optional) type += ' | null';
+                return docComment(sub.desc, inner) + `${inner}${propertyName(key)}${optional ? '?' : ''}: ${type};\n`;
+            });
+            return lines.length ? '{\n' + lines.join('') + indent + '}' : '{}';
+        }
+        case 'multiple':
+            return `Array<${renderType(structure.content, kind, indent)}>`; // BEWARE - recursion!
+        default: {
+            let mapped = VALUE_TYPES[String(structure.paramtype).toLowerCase()];
+            return mapped ? mapped[kind] : 'string';
+        }
+    }
+}
+
+//
+//=== Define The Function ======================================================
+//
+
+/**
+ * Generate TypeScript declarations for the functions in a catalogue.
+ *
+ * For each function a `…Parameters` interface and a `…Response` type are
+ * exported, e.g. `CoreUserGetUsersParameters` & `CoreUserGetUsersResponse`,
+ * and the function is added to the `MoodleWSClient.WSFunctions` map, so
+ * [.submit()]{@link MoodleWSClient#submit} is typed for it. Responses which
+ * are not described in the catalogue are typed as `any`.
+ *
+ * @param {(FunctionCatalogue|Object.<string, WSFunctionDescription>)} catalogue
+ * @param {Object} [options]
+ * @param {string} [options.moduleName='@maynoothuniversity/moodle-ws-client']
+ * - the module specifier to augment.
+ * @returns {string} The contents of a `.d.ts` file.
+ * @example
+ * fs.writeFileSync('moodle-functions.d.ts', generateTypeScript(FunctionCatalogue.fromFile('mySite.json')));
+ */
+function generateTypeScript(catalogue, options){
+    options = options || {};
+    if(!(catalogue instanceof FunctionCatalogue)) catalogue = new FunctionCatalogue(catalogue);
+    let moduleName = options.moduleName || MODULE_NAME;
+    let out = '// Generated by lib/typeScriptGenerator.js - do not edit by hand.\n\n';
+    out += `import ${JSON.stringify(moduleName)};\n`;
+    let mapEntries = [];
+    for(let wsFunctionName of catalogue.functionNames()){
+        let desc = catalogue.describe(wsFunctionName);
+        let name = typeName(wsFunctionName);
+        out += '\n' + docComment(`Parameters for ${wsFunctionName}` + (desc.description ? ` - ${desc.description}` : ''), '');
+        out += `export interface ${name}Parameters ${renderType(desc.parameters, 'parameters', '')}\n\n`;
+        let returns = 'any';
+        if(desc.returns === null){
+            returns = 'null';
+        }else if(desc.returns){
+            returns = renderType(desc.returns, 'returns', '');
+        }
+        out += docComment(`Response from ${wsFunctionName}`, '');
+        out += `export type ${name}Response = ${returns};\n`;
+        mapEntries.push(`        ${wsFunctionName}: { parameters: ${name}Parameters; returns: ${name}Response };\n`);
+    }
+
+    // the module exports the client class with `export =`, so augmenting the
+    // module merges directly into the MoodleWSClient namespace
+    out += `\ndeclare module ${JSON.stringify(moduleName)} {\n`;
+    out += '    interface WSFunctions {\n';
+    out += mapEntries.join('');
+    out += '    }\n';
+    out += '}\n';
+    return out;
+}
+
+module.exports = generateTypeScript;
+
+// act as a command line script when run directly
+if(require.main === module){
+    let args = process.argv.slice(2);
+    if(!args.length){
+        console.error('usage: node lib/typeScriptGenerator.js catalogue.json [output.d.ts] [module-name]');
+        process.exit(1);
+    }
+    let dts = generateTypeScript(FunctionCatalogue.fromFile(args[0]), { moduleName: args[2] });
+    if(args[1]){
+        fs.writeFileSync(args[1], dts);
+    }else{
+        process.stdout.write(dts);
+    }
+}
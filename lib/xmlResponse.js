@@ -0,0 +1,199 @@
+/**
+ * @file Provides the function {@link parseXMLResponse} for converting the XML
+ * produced by Moodle's REST server when `moodlewsrestformat` is `xml` into
+ * the same data structures the JSON format produces.
+ */
+
+//
+//=== Define Globals ===========================================================
+//
+
+/**
+ * A regular expression matching a single token in an XML document. The
+ * capture groups are:
+ *
+ * 1. the content of a CDATA section
+ * 2. a `/` if the token is a closing tag
+ * 3. the tag name
+ * 4. the tag's attributes
+ * 5. a `/` if the tag is self-closing
+ * 6. character data
+ *
+ * Processing instructions, comments and doctypes match without any capture
+ * groups being set.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const TOKEN_RE = /<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+/**
+ * A regular expression matching a single attribute within a tag.
+ * @private
+ * @type {RegExp}
+ */
+const ATTR_RE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * The named XML entities.
+ * @private
+ * @type {Object.<string, string>}
+ */
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+//
+//=== Private Helper Functions =================================================
+//
+
+/**
+ * Replace the entities in a string of XML character data.
+ *
+ * @private
+ * @param {string} str
+ * @returns {string}
+ */
+function decodeEntities(str){
+    return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, function(entity, ref){
+        if(ref[0] === '#'){
+            return String.fromCodePoint(ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10));
+        }
+        return ENTITIES[ref] !== undefined ? ENTITIES[ref] : entity;
+    });
+}
+
+/**
+ * Parse an XML document into a simple element tree. Each element is
+ * represented as an object indexed by `name`, `attrs`, `children` (element
+ * children only) & `text` (all character data directly within the element).
+ *
+ * @private
+ * @param {string} xmlStr
+ * @returns {Object} the root element.
+ * @throws {SyntaxError} A syntax error is thrown if the XML is not well-formed.
+ */
+function parseTree(xmlStr){
+    let root = { name: '#document', attrs: {}, children: [], text: '' };
+    let stack = [root];
+    let match;
+    TOKEN_RE.lastIndex = 0;
+    let consumed = 0;
+    while((match = TOKEN_RE.exec(xmlStr)) !== null){
+        if(match.index !== consumed) break; // stray markup the tokeniser can't handle
+        consumed = TOKEN_RE.lastIndex;
+        let current = stack[stack.length - 1];
+        if(match[1] !== undefined){
+            current.text += match[1];
+        }else if(match[6] !== undefined){
+            current.text += decodeEntities(match[6]);
+        }else if(match[3] !== undefined){
+            if(match[2]){
+                if(current.name !== match[3]){
+                    throw new SyntaxError(`Unexpected closing tag </${match[3]}> in XML response`);
+                }
+                stack.pop();
+                continue;
+            }
+            let el = { name: match[3], attrs: {}, children: [], text: '' };
+            let attrMatch;
+            ATTR_RE.lastIndex = 0;
+            while((attrMatch = ATTR_RE.exec(match[4])) !== null){
+                el.attrs[attrMatch[1]] = decodeEntities(attrMatch[2] !== undefined ? attrMatch[2] : attrMatch[3]);
+            }
+            current.children.push(el);
+            if(!match[5]) stack.push(el);
+        }
+    }
+    if(consumed !== xmlStr.length || stack.length !== 1){
+        throw new SyntaxError('Unexpected end of XML response');
+    }
+    if(root.children.length !== 1 || root.text.trim() !== ''){
+        throw new SyntaxError('XML response must contain exactly one root element');
+    }
+    return root.children[0];
+}
+
+/**
+ * Get the text content of the first child element with a given name.
+ *
+ * @private
+ * @param {Object} el
+ * @param {string} name
+ * @returns {(string|undefined)}
+ */
+function childText(el, name){
+    let child = el.children.find(function(c){ return c.name === name; });
+    return child ? child.text : undefined;
+}
+
+/**
+ * Convert an element from a Moodle XML response to the equivalent data.
+ *
+ * @private
+ * @param {Object} el
+ * @returns {*}
+ * @throws {SyntaxError} A syntax error is thrown if an unexpected element is
+ * encountered.
+ */
+function convert(el){
+    switch(el.name){
+        case 'RESPONSE':
+            return el.children.length ? convert(el.children[0]) : null;
+        case 'MULTIPLE':
+            return el.children.map(convert);
+        case 'SINGLE': {
+            let ans = {};
+            for(let key of el.children){
+                if(key.name !== 'KEY' || key.attrs.name === undefined){
+                    throw new SyntaxError(`Unexpected <${key.name}> element in <SINGLE> in XML response`);
+                }
+                ans[key.attrs.name] = key.children.length ? convert(key.children[0]) : null;
+            }
+            return ans;
+        }
+        case 'VALUE':
+            return el.attrs.null === 'null' ? null : el.text;
+        case 'EXCEPTION': {
+            let ans = { exception: el.attrs.class };
+            let fields = { errorcode: 'ERRORCODE', message: 'MESSAGE', debuginfo: 'DEBUGINFO' };
+            for(let field in fields){
+                let text = childText(el, fields[field]);
+                if(text !== undefined) ans[field] = text;
+            }
+            return ans;
+        }
+        default:
+            throw new SyntaxError(`Unexpected <${el.name}> element in XML response`);
+    }
+}
+
+//
+//=== Define The Function ======================================================
+//
+
+/**
+ * Parse a response from Moodle's REST server in XML format into the same data
+ * structure the JSON format would have produced, i.e. `<MULTIPLE>` elements
+ * become arrays, `<SINGLE>` elements become plain objects, and `<EXCEPTION>`
+ * elements become plain objects indexed by `exception`, `errorcode`, `message`
+ * & `debuginfo`.
+ *
+ * Note that the XML format does not preserve data types, so all scalar values
+ * are returned as strings, or `null`.
+ *
+ * @param {string} xmlStr - the body of the response.
+ * @returns {*}
+ * @throws {SyntaxError} A syntax error is thrown if the string is not a
+ * well-formed Moodle XML response.
+ * @example
+ * parseXMLResponse('<RESPONSE><SINGLE><KEY name="sitename"><VALUE>My Moodle</VALUE></KEY></SINGLE></RESPONSE>');
+ * // returns { sitename: 'My Moodle' }
+ */
+function parseXMLResponse(xmlStr){
+    let root = parseTree(String(xmlStr));
+    if(root.name !== 'RESPONSE' && root.name !== 'EXCEPTION'){
+        throw new SyntaxError(`Unexpected <${root.name}> root element in XML response`);
+    }
+    return convert(root);
+}
+
+module.exports = parseXMLResponse;
@@ -13,6 +13,19 @@ const validate = validateParams.validateJS();
 const path = require('path');
 const fs = require('fs-extra');
 
+// import moment for testing decoded timestamps
+const moment = require('moment');
+
+// import the http module for running local servers
+const http = require('http');
+
+// import modules needed for testing file uploads
+const os = require('os');
+const stream = require('stream');
+
+// import the command line tool's implementation
+const runCLI = require('../lib/cli.js');
+
 //
 //=== Utility Variables & Functions ============================================
 //
@@ -188,6 +201,64 @@ function dummyBasicTypesExcept(){
     return ans;
 }
 
+/**
+ * A function to build an in-memory transport for testing. The transport
+ * records every request it receives in its `requests` array.
+ *
+ * @param {function} [responder] - a callback which will be passed each
+ * request and should return the response data to JSON-encode into the body
+ * of a 200 response, or a full response object with a `statusCode` key. By
+ * default the transport responds with an empty object.
+ * @returns {{request: function, requests: Array.<Object>}}
+ */
+function dummyTransport(responder){
+    let transport = {
+        requests: [],
+        request: function(req){
+            transport.requests.push(req);
+            return Promise.resolve().then(function(){
+                let res = responder ? responder(req) : {};
+                if(res && res.statusCode){
+                    return res;
+                }
+                return { statusCode: 200, headers: {}, body: JSON.stringify(res) };
+            });
+        }
+    };
+    return transport;
+}
+
+/**
+ * A function to extract the parameters sent with a transport request,
+ * regardless of whether they were sent in the query string or the body.
+ *
+ * @param {Object} req - a transport request.
+ * @returns {Object.<string, string>}
+ */
+function requestParams(req){
+    if(req.body){
+        let ans = {};
+        new URLSearchParams(req.body).forEach(function(v, k){ ans[k] = v; });
+        return ans;
+    }
+    return req.qs || {};
+}
+
+/**
+ * A function to start a local HTTP server on a random port.
+ *
+ * @param {function} handler - a request listener for the server.
+ * @returns {Promise<{server: http.Server, url: string}>}
+ */
+function localServer(handler){
+    return new Promise(function(resolve){
+        let server = http.createServer(handler);
+        server.listen(0, '127.0.0.1', function(){
+            resolve({ server: server, url: `http://127.0.0.1:${server.address().port}/` });
+        });
+    });
+}
+
 //
 //=== Define Tests =============================================================
 //
@@ -253,6 +324,44 @@ QUnit.module('main exported class', {}, function(){
             a.strictEqual(m1._options.acceptUntrustedTLSCert, false, 'acceptUntrustedTLSCert defaults to false');
             a.strictEqual(m1._options.timeout, 5000, "timeout defaults to 5,000ms");
         });
+        
+        QUnit.test('transport option', function(a){
+            a.expect(4);
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'));
+            a.ok(m1._transport instanceof MoodleWSClient.HttpTransport, 'defaults to an HttpTransport');
+            var t = dummyTransport();
+            var m2 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            a.strictEqual(m2._transport, t, 'custom transport stored');
+            a.throws(
+                function(){
+                    new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: {} });
+                },
+                validateParams.ValidationError,
+                'transport without a .request() method throws error'
+            );
+            a.throws(
+                function(){
+                    new MoodleWSClient(dummyVal('url'), dummyVal('token'), { proxy: 'not a url' });
+                },
+                validateParams.ValidationError,
+                'invalid proxy URL throws error'
+            );
+        });
+        
+        QUnit.test('retry option', function(a){
+            a.expect(2);
+            a.ok(
+                new MoodleWSClient(dummyVal('url'), dummyVal('token'), { retry: { maxAttempts: 3 } }),
+                'valid retry policy accepted'
+            );
+            a.throws(
+                function(){
+                    new MoodleWSClient(dummyVal('url'), dummyVal('token'), { retry: { maxAttempts: 0 } });
+                },
+                validateParams.ValidationError,
+                'invalid maxAttempts throws error'
+            );
+        });
     });
     
     // NOTE
@@ -271,6 +380,808 @@ QUnit.module('main exported class', {}, function(){
             a.strictEqual(typeof MoodleWSClient.prototype.submit, 'function');
         });
         
+        QUnit.test('.submit() sends requests via the transport', function(a){
+            a.expect(6);
+            var t = dummyTransport(function(){ return { sitename: 'Dummy Moodle' }; });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, timeout: 1234 });
+            var done = a.async();
+            m1.submit('GET', 'core_user_get_users', { criteria: [ { key: 'email', value: '%%' } ] }, { timeout: 4321 }).then(function(data){
+                a.deepEqual(data, { sitename: 'Dummy Moodle' }, 'response body parsed');
+                var req = t.requests[0];
+                a.strictEqual(req.url, m1.apiUrl(), 'request sent to API URL');
+                a.strictEqual(req.method, 'GET', 'HTTP method passed');
+                a.strictEqual(req.qs.wstoken, dummyVal('token'), 'token passed');
+                a.strictEqual(req.qs['criteria[0][key]'], 'email', 'web service parameters encoded');
+                a.strictEqual(req.timeout, 4321, 'per-call timeout passed');
+                done();
+            });
+        });
+        
+        QUnit.test('.submit() sends POST parameters in the body', function(a){
+            a.expect(5);
+            var t = dummyTransport();
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var done = a.async();
+            m1.submit('post', 'core_user_create_users', { users: [ { username: 'jbloggs' } ] }).then(function(){
+                var req = t.requests[0];
+                a.strictEqual(req.method, 'POST', 'method coerced to upper case');
+                a.notOk(req.qs, 'nothing sent in the query string');
+                a.strictEqual(req.headers['Content-Type'], 'application/x-www-form-urlencoded', 'body sent form-encoded');
+                a.deepEqual(
+                    requestParams(req),
+                    { wstoken: dummyVal('token'), wsfunction: 'core_user_create_users', moodlewsrestformat: 'json', 'users[0][username]': 'jbloggs' },
+                    'token, function & parameters sent in the body'
+                );
+                a.throws(
+                    function(){ m1.submit('PUT', 'core_user_create_users'); },
+                    validateParams.ValidationError,
+                    'PUT rejected'
+                );
+                done();
+            });
+        });
+        
+        QUnit.test('.submit() supports the XML format', function(a){
+            a.expect(6);
+            var xml = '<?xml version="1.0" encoding="UTF-8" ?>\n<RESPONSE>\n<SINGLE>\n<KEY name="sitename"><VALUE>Dummy &amp; Moodle</VALUE>\n</KEY>\n</SINGLE>\n</RESPONSE>\n';
+            var t = dummyTransport(function(){
+                return { statusCode: 200, headers: {}, body: xml };
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, format: 'XML' });
+            var m2 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            a.strictEqual(m1._options.format, 'xml', 'format option coerced to lower case');
+            a.strictEqual(m2._options.format, 'json', 'format option defaults to json');
+            var done = a.async();
+            m1.submit('GET', 'core_webservice_get_site_info').then(function(data){
+                a.strictEqual(t.requests[0].qs.moodlewsrestformat, 'xml', 'client-wide format requested');
+                a.deepEqual(data, { sitename: 'Dummy & Moodle' }, 'XML response parsed');
+                return m2.submit('GET', 'core_webservice_get_site_info', {}, { format: 'xml' });
+            }).then(function(){
+                a.strictEqual(t.requests[1].qs.moodlewsrestformat, 'xml', 'per-call format requested');
+                return m2.submit('GET', 'core_webservice_get_site_info', { moodlewsrestformat: 'xml' });
+            }).then(function(){
+                a.strictEqual(t.requests[2].qs.moodlewsrestformat, 'xml', 'format from web service parameters requested');
+                done();
+            });
+        });
+        
+        QUnit.test('.submit() decodes responses when requested', function(a){
+            a.expect(4);
+            var t = dummyTransport(function(){
+                return [ { id: 2, suspended: 1, lastaccess: 1500000000, firstaccess: 0 } ];
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var m2 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, decode: true });
+            var done = a.async();
+            m1.submit('GET', 'core_user_get_users_by_field').then(function(users){
+                a.strictEqual(users[0].suspended, 1, 'responses not decoded by default');
+                return m2.submit('GET', 'core_user_get_users_by_field');
+            }).then(function(users){
+                a.deepEqual(users[0], { id: 2, suspended: true, lastaccess: new Date(1500000000000), firstaccess: null }, 'responses decoded when enabled client-wide');
+                return m2.submit('GET', 'core_user_get_users_by_field', {}, { decode: false });
+            }).then(function(users){
+                a.strictEqual(users[0].suspended, 1, 'decoding disabled per-call');
+                return m1.submit('GET', 'core_user_get_users_by_field', {}, { decode: { timestamps: 'moment', booleans: false } });
+            }).then(function(users){
+                a.ok(moment.isMoment(users[0].lastaccess) && users[0].suspended === 1, 'decoding options set per-call');
+                done();
+            });
+        });
+        
+        QUnit.test('.submit() error handling', function(a){
+            a.expect(3);
+            var responses = [
+                { exception: 'moodle_exception', errorcode: 'invalidtoken', message: 'Invalid token' },
+                { statusCode: 503, headers: {}, body: 'down for maintenance' }
+            ];
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), {
+                transport: dummyTransport(function(){ return responses.shift(); })
+            });
+            var done = a.async(2);
+            m1.submit('GET', 'core_webservice_get_site_info').catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSError, 'exception responses rejected with MoodleWSError');
+                done();
+                return m1.submit('GET', 'core_webservice_get_site_info');
+            }).catch(function(err){
+                a.ok(!(err instanceof MoodleWSClient.MoodleWSError), 'HTTP errors are not MoodleWSErrors');
+                a.strictEqual(err.statusCode, 503, 'HTTP status available on error');
+                done();
+            });
+        });
+        
+        QUnit.test('.submit() error types', function(a){
+            a.expect(14);
+            var responses = [];
+            var t = {
+                request: function(){
+                    var res = responses.shift();
+                    return res instanceof Error ? Promise.reject(res) : Promise.resolve(res);
+                }
+            };
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var timeoutErr = new Error('request timed out');
+            timeoutErr.code = 'ETIMEDOUT';
+            var resetErr = new Error('socket hang up');
+            resetErr.code = 'ECONNRESET';
+            responses = [
+                timeoutErr,
+                resetErr,
+                { statusCode: 502, headers: {}, body: 'Bad Gateway' },
+                { statusCode: 200, headers: {}, body: '<html><body>Site under maintenance</body></html>' },
+                { statusCode: 200, headers: {}, body: JSON.stringify({ exception: 'moodle_exception', errorcode: 'invalidtoken', message: 'Invalid token' }) }
+            ];
+            var done = a.async();
+            m1.submit('POST', 'core_user_update_users', { users: [ { id: 2, password: 'secret' } ] }).catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSTimeoutError, 'timeouts rejected with MoodleWSTimeoutError');
+                a.ok(err instanceof MoodleWSClient.MoodleWSTransportError, 'timeout errors are transport errors');
+                a.strictEqual(err.wsFunctionName, 'core_user_update_users', 'function name available on error');
+                a.strictEqual(err.method, 'POST', 'HTTP method available on error');
+                a.strictEqual(err.request.params.wstoken, 'REDACTED', 'token redacted from request summary');
+                a.strictEqual(err.request.params['users[0][id]'], '2', 'parameters included in request summary');
+                a.strictEqual(err.request.params['users[0][password]'], 'REDACTED', 'nested passwords redacted from request summary');
+                return m1.submit('GET', 'core_webservice_get_site_info');
+            }).catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSTransportError && !(err instanceof MoodleWSClient.MoodleWSTimeoutError), 'other network failures rejected with MoodleWSTransportError');
+                a.strictEqual(err.code, 'ECONNRESET', 'error code available on transport error');
+                return m1.submit('GET', 'core_webservice_get_site_info');
+            }).catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSHTTPError && err.statusCode === 502, 'HTTP errors rejected with MoodleWSHTTPError');
+                return m1.submit('GET', 'core_webservice_get_site_info');
+            }).catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSResponseError, 'un-parsable bodies rejected with MoodleWSResponseError');
+                a.ok(err.body.includes('maintenance'), 'un-parsable body available on error');
+                return m1.submit('GET', 'core_webservice_get_site_info');
+            }).catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSInvalidTokenError, 'invalid token rejected with MoodleWSInvalidTokenError');
+                a.ok(err instanceof MoodleWSClient.MoodleWSClientError, 'all errors share a common base class');
+                done();
+            });
+        });
+        
+        QUnit.test('.submit() retries transient failures', function(a){
+            a.expect(8);
+            var failures;
+            var t = dummyTransport(function(){
+                if(failures.length) return failures.shift();
+                return { ok: true };
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), {
+                transport: t,
+                retry: { maxAttempts: 3, backoffBase: 1, jitter: false }
+            });
+            var down = { statusCode: 503, headers: {}, body: '' };
+            var done = a.async();
+            failures = [down, down];
+            m1.submit('GET', 'core_webservice_get_site_info').then(function(data){
+                a.deepEqual(data, { ok: true }, 'GET succeeds after two retryable failures');
+                a.strictEqual(t.requests.length, 3, 'three attempts made');
+                failures = [down, down, down];
+                t.requests = [];
+                return m1.submit('GET', 'core_webservice_get_site_info');
+            }).catch(function(err){
+                a.strictEqual(err.statusCode, 503, 'last error thrown once attempts are exhausted');
+                a.strictEqual(err.attempts, 3, 'number of attempts recorded on error');
+                failures = [down];
+                t.requests = [];
+                return m1.submit('POST', 'core_user_create_users');
+            }).catch(function(){
+                a.strictEqual(t.requests.length, 1, 'POST not re-tried by default');
+                failures = [down];
+                t.requests = [];
+                return m1.submit('POST', 'core_user_create_users', {}, { retry: { retryPost: true } });
+            }).then(function(){
+                a.strictEqual(t.requests.length, 2, 'POST re-tried when opted in per-call');
+                failures = [{ statusCode: 500, headers: {}, body: '' }];
+                t.requests = [];
+                return m1.submit('GET', 'core_webservice_get_site_info');
+            }).catch(function(){
+                a.strictEqual(t.requests.length, 1, 'non-retryable status not re-tried');
+                failures = [{ exception: 'moodle_exception', errorcode: 'invalidtoken', message: 'Invalid token' }];
+                t.requests = [];
+                return m1.submit('GET', 'core_webservice_get_site_info');
+            }).catch(function(){
+                a.strictEqual(t.requests.length, 1, 'web service exceptions not re-tried');
+                done();
+            });
+        });
+        
+        QUnit.test('.submit() retries transport errors', function(a){
+            a.expect(2);
+            var attempts = 0;
+            var t = {
+                request: function(){
+                    attempts++;
+                    if(attempts <= 2){
+                        var err = new Error('timed out');
+                        err.code = 'ETIMEDOUT';
+                        return Promise.reject(err);
+                    }
+                    return Promise.resolve({ statusCode: 200, headers: {}, body: '{}' });
+                }
+            };
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var done = a.async();
+            m1.submit('GET', 'core_webservice_get_site_info').catch(function(err){
+                a.strictEqual(err.code, 'ETIMEDOUT', 'no retries by default');
+                return m1.submit('GET', 'core_webservice_get_site_info', {}, { retry: { maxAttempts: 2, backoffBase: 1 } });
+            }).then(function(){
+                a.strictEqual(attempts, 3, 'timeout re-tried when enabled per-call');
+                done();
+            });
+        });
+        
+        QUnit.test('.submit() validates against a function catalogue', function(a){
+            a.expect(7);
+            var t = dummyTransport(function(){ return []; });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, catalogue: true, validateResponses: true });
+            a.ok(m1.catalogue() instanceof MoodleWSClient.FunctionCatalogue, 'bundled catalogue loaded');
+            var done = a.async();
+            m1.submit('POST', 'core_user_create_users', { users: [ { username: 'jbloggs', firstname: 'Joe', lastname: 'Bloggs', mail: 'joe@uni.edu' } ] }).catch(function(err){
+                a.ok(
+                    err instanceof MoodleWSClient.MoodleWSSchemaError && err.target === 'parameters' &&
+                        err.problems.some(function(p){ return p.path === 'users[0][email]' && p.message === 'is required'; }) &&
+                        err.problems.some(function(p){ return p.path === 'users[0][mail]' && p.message === 'is not an expected key'; }),
+                    'missing & unknown keys reported with full paths'
+                );
+                return m1.submit('POST', 'core_user_delete_users', { userids: [3, 'four'] });
+            }).catch(function(err){
+                a.ok(/userids\[1\] must be an integer/.test(err.message), 'wrong types reported');
+                a.strictEqual(t.requests.length, 0, 'invalid calls not sent');
+                return m1.submit('GET', 'local_custom_function', { anything: 'goes' });
+            }).then(function(){
+                a.ok(true, 'functions not in the catalogue not validated');
+                return m1.submit('POST', 'core_user_delete_users', { userids: [3, new Date()] });
+            }).catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSSchemaError && err.target === 'response', 'responses validated when requested');
+                var m2 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, catalogue: true });
+                return m2.submit('POST', 'core_user_delete_users', { userids: [3] });
+            }).then(function(res){
+                a.deepEqual(res, [], 'responses not validated by default');
+            }).catch(function(err){
+                a.ok(false, err.message);
+            }).then(done);
+        });
+        
+        QUnit.test('.use() middleware pipeline', function(a){
+            a.expect(10);
+            a.throws(
+                function(){ new MoodleWSClient(dummyVal('url'), dummyVal('token')).use('nope'); },
+                validateParams.ValidationError,
+                'non-function middleware rejected'
+            );
+            var t = dummyTransport(function(req){
+                var params = requestParams(req);
+                if(params.wsfunction === 'local_fail') return { exception: 'moodle_exception', errorcode: 'nope', message: 'Nope' };
+                return { echo: params };
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var seen = [];
+            var order = [];
+            a.strictEqual(m1.use(function(ctx, next){
+                order.push('outer in');
+                seen.push({ method: ctx.method, fn: ctx.wsFunctionName, params: ctx.params, options: ctx.options });
+                ctx.wsParameters = Object.assign({ lang: 'en' }, ctx.wsParameters);
+                return next().then(function(res){
+                    order.push('outer out');
+                    return res;
+                });
+            }), m1, 'returns reference to self');
+            m1.use(function(ctx, next){
+                order.push('inner in');
+                ctx.state.params = ctx.params;
+                if(ctx.wsFunctionName === 'local_cached') return { cached: true };
+                return next().catch(function(err){
+                    return { recovered: err.errorcode };
+                });
+            });
+            var done = a.async();
+            m1.submit('POST', 'local_test', { ids: [3] }, { timeout: 1000 }).then(function(res){
+                a.deepEqual(seen[0], { method: 'POST', fn: 'local_test', params: { 'ids[0]': '3' }, options: { timeout: 1000 } }, 'context describes the call');
+                a.strictEqual(res.echo.lang, 'en', 'middleware can alter parameters');
+                a.deepEqual(order, ['outer in', 'inner in', 'outer out'], 'middleware run in order');
+                return m1.submit('GET', 'local_cached');
+            }).then(function(res){
+                a.deepEqual(res, { cached: true }, 'middleware can short-circuit');
+                a.strictEqual(t.requests.length, 1, 'short-circuited call not sent');
+                return m1.submit('GET', 'local_fail');
+            }).then(function(res){
+                a.deepEqual(res, { recovered: 'nope' }, 'middleware see and can recover from errors');
+                m1.registerShortcut('cached', 'local_cached', 'GET');
+                return m1.cached();
+            }).then(function(res){
+                a.deepEqual(res, { cached: true }, 'shortcuts pass through middleware');
+                a.strictEqual(seen[seen.length - 1].fn, 'local_cached', 'shortcut calls seen by middleware');
+            }).catch(function(err){
+                a.ok(false, err.message);
+            }).then(done);
+        });
+        
+        QUnit.test('.submit() logs structured events', function(a){
+            a.expect(9);
+            var events = [];
+            var logger = {};
+            ['debug', 'info', 'warn', 'error'].forEach(function(level){
+                logger[level] = function(e){ events.push(Object.assign({ level: level }, e)); };
+            });
+            var calls = 0;
+            var t = dummyTransport(function(){
+                calls++;
+                if(calls === 1) return { statusCode: 503, headers: {}, body: '' };
+                if(calls === 2) return [];
+                return { exception: 'moodle_exception', errorcode: 'nope', message: 'Nope' };
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), {
+                transport: t,
+                logger: logger,
+                redactParams: ['users[*][email]'],
+                retry: { maxAttempts: 2, backoffBase: 1, retryPost: true }
+            });
+            var done = a.async();
+            m1.submit('POST', 'core_user_create_users', { users: [ { username: 'jbloggs', password: 'secret', email: 'joe@uni.edu' } ] }).then(function(){
+                a.deepEqual(events.map(function(e){ return e.level + ' ' + e.event; }), ['debug request', 'warn retry', 'info response'], 'request, retry & response events logged');
+                a.ok(JSON.stringify(events).indexOf(dummyVal('token')) === -1, 'token never logged');
+                a.strictEqual(events[0].params['users[0][password]'], 'REDACTED', 'passwords redacted');
+                a.strictEqual(events[0].params['users[0][email]'], 'REDACTED', 'configured parameter paths redacted');
+                a.strictEqual(events[0].params['users[0][username]'], 'jbloggs', 'other parameters logged');
+                a.ok(events[0].requestSize > 0 && events[2].responseSize === 2 && events[2].durationMS >= 0, 'sizes & durations logged');
+                a.strictEqual(events[1].statusCode, 503, 'retry reason logged');
+                events = [];
+                return m1.submit('GET', 'core_webservice_get_site_info');
+            }).then(function(){
+                a.ok(false, 'exception not reported');
+            }, function(err){
+                var last = events[events.length - 1];
+                a.ok(last.event === 'error' && last.errorcode === 'nope', 'web service exceptions logged as errors');
+                a.strictEqual(err.request.params.wstoken, 'REDACTED', 'error summaries redacted');
+            }).then(done);
+        });
+        
+        QUnit.test('.submit() dry-run mode & .describeRequest()', function(a){
+            a.expect(8);
+            var t = dummyTransport();
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, dryRun: true });
+            var m2 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var done = a.async();
+            m1.submit('POST', 'core_user_delete_users', { userids: [42] }).then(function(req){
+                a.ok(req.dryRun, 'client-wide dry-run resolves with a prepared request');
+                a.deepEqual(
+                    [req.method, req.url, req.params],
+                    ['POST', m1.apiUrl(), { wstoken: dummyVal('token'), wsfunction: 'core_user_delete_users', moodlewsrestformat: 'json', 'userids[0]': '42' }],
+                    'prepared request describes the call'
+                );
+                a.strictEqual(req.body, 'wstoken=' + dummyVal('token') + '&wsfunction=core_user_delete_users&moodlewsrestformat=json&userids%5B0%5D=42', 'POST body included');
+                return m1.submit('GET', 'core_webservice_get_site_info', {}, { dryRun: false });
+            }).then(function(){
+                a.strictEqual(t.requests.length, 1, 'dry-run can be disabled per-call');
+                return m2.submit('GET', 'core_user_get_users_by_field', { field: 'id', values: [1] }, { dryRun: true });
+            }).then(function(req){
+                a.ok(req.dryRun && req.url.indexOf('values%5B0%5D=1') !== -1, 'per-call dry-run includes query string in URL');
+                return m2.describeRequest('GET', 'core_webservice_get_site_info');
+            }).then(function(req){
+                a.ok(req.dryRun, '.describeRequest() builds requests without sending them');
+                a.strictEqual(t.requests.length, 1, 'dry-run requests not sent');
+            }).catch(function(err){
+                a.ok(false, err.message);
+            }).then(done);
+            a.throws(
+                function(){ m2.submit('GET', 'core_webservice_get_site_info', {}, { dryRun: 'yes' }); },
+                validateParams.ValidationError,
+                'invalid dryRun option rejected'
+            );
+        });
+        
+        QUnit.test('.submit() response caching', function(a){
+            a.expect(10);
+            var t = dummyTransport(function(req){
+                return { n: t.requests.length, fn: requestParams(req).wsfunction };
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, cache: { ttls: { core_course_get_contents: 0 } } });
+            var m2 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var done = a.async();
+            a.ok(m1.cache() instanceof MoodleWSClient.ResponseCache, 'cache built from options');
+            a.strictEqual(m2.cache(), null, 'caching is opt-in');
+            m1.submit('GET', 'core_webservice_get_site_info').then(function(res){
+                res.n = 'changed';
+                return m1.ping();
+            }).then(function(res){
+                a.deepEqual([res.n, t.requests.length], [1, 1], 'repeated GET call answered from an unaltered cache');
+                return m1.submit('GET', 'core_course_get_categories', { criteria: [{ key: 'id', value: 1 }] });
+            }).then(function(){
+                return m1.submit('GET', 'core_course_get_categories', { criteria: [{ key: 'id', value: 2 }] });
+            }).then(function(){
+                a.strictEqual(t.requests.length, 3, 'calls with different parameters cached separately');
+                return Promise.all([
+                    m1.submit('POST', 'core_webservice_get_site_info'),
+                    m1.submit('GET', 'core_webservice_get_site_info', {}, { cache: false }),
+                    m1.submit('GET', 'core_course_get_contents', { courseid: 2 }),
+                    m1.submit('GET', 'core_course_get_contents', { courseid: 2 })
+                ]);
+            }).then(function(){
+                a.strictEqual(t.requests.length, 7, 'POST calls, bypassed calls & functions with a TTL of 0 not cached');
+                return m1.cache().invalidate('core_course_get_categories');
+            }).then(function(removed){
+                a.strictEqual(removed, 2, 'invalidation by function name removes its responses');
+                return Promise.all([m1.ping(), m1.submit('GET', 'core_course_get_categories', { criteria: [{ key: 'id', value: 1 }] })]);
+            }).then(function(res){
+                a.deepEqual([res[0].n, t.requests.length], [1, 8], 'only the invalidated function fetched again');
+            }).catch(function(err){
+                a.ok(false, err.message);
+            }).then(done);
+            a.throws(
+                function(){ m1.submit('GET', 'core_webservice_get_site_info', {}, { cache: 'no' }); },
+                validateParams.ValidationError,
+                'invalid cache option rejected'
+            );
+            a.throws(
+                function(){ new MoodleWSClient.ResponseCache({ store: {} }); },
+                validateParams.ValidationError,
+                'incomplete store rejected'
+            );
+            a.throws(
+                function(){ new MoodleWSClient.ResponseCache({ ttls: { core_course_get_contents: -1 } }); },
+                validateParams.ValidationError,
+                'negative TTL rejected'
+            );
+        });
+        
+        QUnit.test('.submit() caching keeps tokens apart, decodes & caches null', function(a){
+            a.expect(6);
+            var done = a.async();
+            var cache = new MoodleWSClient.ResponseCache();
+            var mock = new MoodleWSClient.MockMoodleServer({ tokens: [dummyVal('token')] });
+            var valid = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: mock, cache: cache });
+            var invalid = new MoodleWSClient(dummyVal('url'), 'fedcba9876543210fedcba9876543210', { transport: mock, cache: cache });
+            var t = dummyTransport(function(req){
+                return requestParams(req).wsfunction === 'core_course_get_courses' ? { timecreated: 1500000000 } : null;
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, cache: true, decode: { timestamps: 'moment' } });
+            valid.ping().then(function(){
+                return invalid.ping().then(function(){
+                    a.ok(false, 'cached response served to a different token');
+                }, function(err){
+                    a.ok(err instanceof MoodleWSClient.MoodleWSInvalidTokenError, 'responses not shared between tokens');
+                });
+            }).then(function(){
+                return m1.submit('GET', 'core_course_get_courses');
+            }).then(function(first){
+                return m1.submit('GET', 'core_course_get_courses').then(function(second){
+                    a.ok(moment.isMoment(first.timecreated) && moment.isMoment(second.timecreated), 'responses decoded into moments with caching enabled');
+                });
+            }).then(function(){
+                return m1.submit('GET', 'core_course_get_courses', {}, { decode: false });
+            }).then(function(res){
+                a.strictEqual(res.timecreated, 1500000000, 'raw response cached & decoded per call');
+                a.strictEqual(t.requests.length, 1, 'decoded calls served from the cache');
+                return m1.submit('GET', 'core_course_get_contents', { courseid: 2 });
+            }).then(function(res){
+                a.strictEqual(res, null, 'null response returned');
+                return m1.submit('GET', 'core_course_get_contents', { courseid: 2 });
+            }).then(function(){
+                a.strictEqual(t.requests.length, 2, 'null responses served from the cache');
+            }).catch(function(err){
+                a.ok(false, err.message);
+            }).then(done);
+        });
+        
+        QUnit.test('.submit() respects maxConcurrent & priorities', function(a){
+            a.expect(5);
+            var active = 0;
+            var maxActive = 0;
+            var order = [];
+            var t = {
+                request: function(req){
+                    active++;
+                    maxActive = Math.max(active, maxActive);
+                    order.push(req.qs.wsfunction);
+                    return new Promise(function(resolve){
+                        setTimeout(function(){
+                            active--;
+                            resolve({ statusCode: 200, headers: {}, body: '{}' });
+                        }, 10);
+                    });
+                }
+            };
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, maxConcurrent: 2 });
+            var done = a.async();
+            var ps = [
+                m1.submit('GET', 'first_function'),
+                m1.submit('GET', 'second_function'),
+                m1.submit('GET', 'bulk_function', {}, { priority: 'low' }),
+                m1.submit('GET', 'normal_function'),
+                m1.submit('GET', 'interactive_function', {}, { priority: 'high' })
+            ];
+            setTimeout(function(){
+                a.deepEqual(m1.queueStatus(), { active: 2, queued: 3, lanes: { high: 1, normal: 1, low: 1 } }, 'queue status reported');
+            }, 0);
+            Promise.all(ps).then(function(){
+                a.strictEqual(maxActive, 2, 'no more than maxConcurrent requests in flight');
+                a.deepEqual(order.slice(2), ['interactive_function', 'normal_function', 'bulk_function'], 'queued requests started in priority order');
+                a.deepEqual(m1.queueStatus(), { active: 0, queued: 0, lanes: { high: 0, normal: 0, low: 0 } }, 'queue empty when done');
+                a.throws(
+                    function(){ m1.submit('GET', 'first_function', {}, { priority: 'urgent' }); },
+                    validateParams.ValidationError,
+                    'invalid priority throws error'
+                );
+                done();
+            });
+        });
+        
+        QUnit.test('.submit() respects requestsPerSecond', function(a){
+            a.expect(1);
+            var starts = [];
+            var t = dummyTransport(function(){
+                starts.push(Date.now());
+                return {};
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t, requestsPerSecond: 20 });
+            var done = a.async();
+            Promise.all([
+                m1.submit('GET', 'core_webservice_get_site_info'),
+                m1.submit('GET', 'core_webservice_get_site_info'),
+                m1.submit('GET', 'core_webservice_get_site_info')
+            ]).then(function(){
+                a.ok(starts[2] - starts[0] >= 90, 'requests spaced out to the requested rate');
+                done();
+            });
+        });
+        
+        QUnit.test('.submitBatched() instance method', function(a){
+            a.expect(8);
+            var t = dummyTransport(function(req){
+                // fail the second chunk, echo back the usernames for the rest
+                var params = requestParams(req);
+                if(params['users[0][username]'] === 'u3'){
+                    return { exception: 'invalid_parameter_exception', errorcode: 'invalidparameter', message: 'Invalid parameter value detected' };
+                }
+                var ans = [];
+                for(var i = 0; params[`users[${i}][username]`]; i++){
+                    ans.push({ id: i, username: params[`users[${i}][username]`] });
+                }
+                return ans;
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var users = ['u1', 'u2', 'u3', 'u4', 'u5'].map(function(u){ return { username: u }; });
+            var done = a.async();
+            m1.submitBatched('POST', 'core_user_create_users', 'users', users, { chunkSize: 2, wsParameters: { extra: 'x' }, timeout: 999 }).then(function(result){
+                a.strictEqual(t.requests.length, 3, 'items split into chunks');
+                a.strictEqual(requestParams(t.requests[0]).extra, 'x', 'fixed parameters sent with each chunk');
+                a.strictEqual(t.requests[0].timeout, 999, 'other options passed on to .submit()');
+                a.deepEqual(result.response.map(function(u){ return u.username; }), ['u1', 'u2', 'u5'], 'successful responses merged in order');
+                a.strictEqual(result.chunks.length, 3, 'all chunks reported');
+                a.strictEqual(result.errors.length, 1, 'failed chunk reported');
+                a.deepEqual([result.errors[0].start, result.errors[0].end], [2, 4], 'failed chunk item range reported');
+                a.ok(result.errors[0].error instanceof MoodleWSClient.MoodleWSError, 'failed chunk error reported');
+                done();
+            });
+        });
+        
+        QUnit.test('.submitBatched() limits concurrency', function(a){
+            a.expect(2);
+            var inFlight = 0;
+            var peak = 0;
+            var t = {
+                requests: [],
+                request: function(req){
+                    t.requests.push(req);
+                    inFlight++;
+                    peak = Math.max(peak, inFlight);
+                    return new Promise(function(resolve){
+                        setTimeout(function(){
+                            inFlight--;
+                            resolve({ statusCode: 200, headers: {}, body: '[]' });
+                        }, 10);
+                    });
+                }
+            };
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var users = Array.from({ length: 10 }, function(v, i){ return { username: `u${i}` }; });
+            var done = a.async();
+            m1.submitBatched('POST', 'core_user_create_users', 'users', users, { chunkSize: 1, concurrency: 2 }).then(function(){
+                a.strictEqual(t.requests.length, 10, 'all chunks submitted');
+                a.ok(peak <= 2, `no more than 2 chunks in flight (peak ${peak})`);
+                done();
+            });
+        });
+        
+        QUnit.test('.paginate() instance method', function(a){
+            a.expect(8);
+            let done = a.async();
+            let ids = Array.from({ length: 7 }, function(v, i){ return i + 1; });
+            let mock = new MoodleWSClient.MockMoodleServer({
+                tokens: [dummyVal('token')],
+                functions: {
+                    core_course_search_courses: function(params){
+                        let start = params.page * params.perpage;
+                        return { total: ids.length, courses: ids.slice(start, start + Number(params.perpage)).map(function(id){ return { id: id }; }), warnings: [] };
+                    },
+                    core_enrol_get_enrolled_users: function(params){
+                        let opts = {};
+                        for(let opt of params.options) opts[opt.name] = Number(opt.value);
+                        return ids.slice(opts.limitfrom, opts.limitfrom + opts.limitnumber).map(function(id){ return { id: id }; });
+                    },
+                    core_user_get_users_by_field: function(params){
+                        return params.values.map(function(id){ return { id: Number(id) }; });
+                    }
+                }
+            });
+            let m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: mock });
+            let collect = function(iterator){
+                let ans = [];
+                let step = function(){
+                    return iterator.next().then(function(res){
+                        if(res.done) return ans;
+                        ans.push(res.value.id);
+                        return step();
+                    });
+                };
+                return step();
+            };
+            let pages = m1.paginate('GET', 'core_course_search_courses', { criterianame: 'search', criteriavalue: 'x' }, { pageSize: 3 });
+            a.strictEqual(typeof pages[Symbol.asyncIterator], 'function', 'returns an async iterable');
+            a.strictEqual(mock.calls().length, 0, 'pages fetched lazily');
+            collect(pages).then(function(res){
+                a.deepEqual(res, ids, 'all items returned in page style');
+                a.deepEqual(mock.calls().map(function(c){ return c.params.page; }).map(Number), [0, 1, 2], 'stopped at the total');
+                mock.resetCalls();
+                return collect(m1.paginate('GET', 'core_enrol_get_enrolled_users', { courseid: 2, options: [{ name: 'onlyactive', value: 1 }] }, { style: 'options', pageSize: 7 }));
+            }).then(function(res){
+                a.deepEqual(res, ids, 'all items returned in options style');
+                a.strictEqual(mock.calls().length, 2, 'stopped at an empty page');
+                a.deepEqual(mock.calls()[1].params.options.map(function(o){ return o.name; }), ['onlyactive', 'limitfrom', 'limitnumber'], 'other options preserved');
+                return collect(m1.paginate('GET', 'core_user_get_users_by_field', { field: 'id', values: ids }, { style: 'values', pageSize: 5 }));
+            }).then(function(res){
+                a.deepEqual(res, ids, 'values split into pages');
+            }).catch(function(err){
+                a.ok(false, err.message);
+            }).then(done);
+        });
+        
+        QUnit.test('._mergeResponses() merges object responses', function(a){
+            a.deepEqual(
+                MoodleWSClient._mergeResponses({ warnings: [1], status: true }, { warnings: [2], status: false }),
+                { warnings: [1, 2], status: false }
+            );
+        });
+        
+        QUnit.test('.uploadFiles() instance method', function(a){
+            a.expect(10);
+            var tmpFile = path.join(os.tmpdir(), `moodle-ws-client-test-${process.pid}.txt`);
+            fs.writeFileSync(tmpFile, 'from disk');
+            var t = dummyTransport(function(req){
+                if(req.body.toString().includes('name="itemid"\r\n\r\n99')){
+                    return { error: 'Invalid draft item ID', errorcode: 'invaliddraftitemid' };
+                }
+                return [ { filename: 'a.txt', itemid: 1234 } ];
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var done = a.async();
+            m1.uploadFiles([
+                { filename: 'a.txt', content: Buffer.from('from buffer') },
+                tmpFile,
+                stream.Readable.from([Buffer.from('from stream')])
+            ], { filepath: '/sub/' }).then(function(records){
+                var req = t.requests[0];
+                var body = req.body.toString();
+                a.strictEqual(req.url, 'https://localhost/webservice/upload.php', 'sent to upload.php');
+                a.ok(req.headers['Content-Type'].startsWith('multipart/form-data; boundary='), 'sent as multipart form data');
+                a.ok(body.includes(`name="token"\r\n\r\n${dummyVal('token')}`), 'token sent');
+                a.ok(body.includes('name="filearea"\r\n\r\ndraft') && body.includes('name="itemid"\r\n\r\n0'), 'defaults to a new draft area');
+                a.ok(body.includes('name="filepath"\r\n\r\n/sub/'), 'file path sent');
+                a.ok(body.includes('name="file_1"; filename="a.txt"') && body.includes('from buffer'), 'Buffer uploaded with given name');
+                a.ok(body.includes(`name="file_2"; filename="${path.basename(tmpFile)}"`) && body.includes('from disk'), 'path uploaded with its own name');
+                a.ok(body.includes('name="file_3"; filename="file_3"') && body.includes('from stream'), 'stream uploaded with default name');
+                a.strictEqual(records[0].itemid, 1234, 'file records returned');
+                return m1.uploadFiles(Buffer.from('x'), { itemid: 99 });
+            }).catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSError, 'upload errors rejected with MoodleWSError');
+            }).then(function(){
+                fs.removeSync(tmpFile);
+                done();
+            });
+        });
+        
+        QUnit.test('.authenticatedFileUrl() instance method', function(a){
+            a.expect(4);
+            var m1 = new MoodleWSClient('https://localhost/moodle/', dummyVal('token'));
+            a.strictEqual(
+                m1.authenticatedFileUrl('https://localhost/moodle/pluginfile.php/42/mod_resource/content/0/notes.pdf?forcedownload=1'),
+                `https://localhost/moodle/webservice/pluginfile.php/42/mod_resource/content/0/notes.pdf?forcedownload=1&token=${dummyVal('token')}`,
+                'regular file URL re-written'
+            );
+            a.strictEqual(
+                m1.authenticatedFileUrl('https://localhost/moodle/webservice/pluginfile.php/42/a.txt'),
+                `https://localhost/moodle/webservice/pluginfile.php/42/a.txt?token=${dummyVal('token')}`,
+                'web service file URL passed through with token'
+            );
+            a.throws(
+                function(){ m1.authenticatedFileUrl('https://elsewhere.invalid/moodle/pluginfile.php/42/a.txt'); },
+                /not a file URL on this Moodle site/,
+                'URLs on other sites rejected'
+            );
+            a.throws(
+                function(){ m1.authenticatedFileUrl('https://localhost/moodle/user/profile.php'); },
+                /not a file URL on this Moodle site/,
+                'non-file URLs rejected'
+            );
+        });
+        
+        QUnit.test('.downloadFile() & .downloadFileTo() instance methods', function(a){
+            a.expect(7);
+            var jsonError = JSON.stringify({ error: 'Invalid token - token not found', errorcode: 'invalidtoken' });
+            var t = dummyTransport(function(req){
+                if(req.url.includes('missing.txt')) return { statusCode: 404, headers: { 'content-type': 'application/json' }, body: jsonError };
+                if(req.url.includes('denied.txt')) return { statusCode: 200, headers: { 'content-type': 'application/json; charset=utf-8' }, body: jsonError };
+                if(req.url.includes('data.json')) return { statusCode: 200, headers: { 'content-type': 'application/json' }, body: '{"a":1}' };
+                return { statusCode: 200, headers: { 'content-type': 'text/plain' }, body: stream.Readable.from([Buffer.from('file '), Buffer.from('contents')]) };
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var tmpFile = path.join(os.tmpdir(), `moodle-ws-client-download-${process.pid}.txt`);
+            var readAll = function(s){
+                return new Promise(function(resolve){
+                    var chunks = [];
+                    s.on('data', function(c){ chunks.push(c); });
+                    s.on('end', function(){ resolve(Buffer.concat(chunks).toString()); });
+                });
+            };
+            var done = a.async();
+            m1.downloadFile('https://localhost/pluginfile.php/1/a.txt').then(function(s){
+                a.strictEqual(t.requests[0].url, 'https://localhost/webservice/pluginfile.php/1/a.txt', 'request sent to webservice/pluginfile.php');
+                a.deepEqual([t.requests[0].qs.token, t.requests[0].stream], [dummyVal('token'), true], 'token sent & stream requested');
+                return readAll(s);
+            }).then(function(contents){
+                a.strictEqual(contents, 'file contents', 'file streamed');
+                return m1.downloadFile('https://localhost/pluginfile.php/1/data.json').then(readAll);
+            }).then(function(contents){
+                a.strictEqual(contents, '{"a":1}', 'JSON files that are not errors passed through');
+                return m1.downloadFile('https://localhost/pluginfile.php/1/denied.txt');
+            }).catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSError && err.responseData().errorcode === 'invalidtoken', 'JSON error body rejected with MoodleWSError');
+                return m1.downloadFile('https://localhost/pluginfile.php/1/missing.txt');
+            }).catch(function(err){
+                a.ok(err instanceof MoodleWSClient.MoodleWSError, 'JSON error body with HTTP error status rejected with MoodleWSError');
+                return m1.downloadFileTo('https://localhost/pluginfile.php/1/a.txt', tmpFile);
+            }).then(function(){
+                a.strictEqual(fs.readFileSync(tmpFile, 'utf8'), 'file contents', 'file saved to disk');
+                fs.removeSync(tmpFile);
+                done();
+            });
+        });
+        
+        QUnit.test('.downloadFile() streams large JSON files', function(a){
+            a.expect(3);
+            var totalChunks = 100;
+            var pushed = 0;
+            var source = new stream.Readable({
+                read: function(){
+                    if(pushed === totalChunks){
+                        this.push(null);
+                        return;
+                    }
+                    var piece = pushed === 0 ? '[' : ',';
+                    this.push(Buffer.from(piece + '"' + 'x'.repeat(16382) + '"' + (pushed === totalChunks - 1 ? ']' : '')));
+                    pushed++;
+                }
+            });
+            var t = dummyTransport(function(){
+                return { statusCode: 200, headers: { 'content-type': 'application/json' }, body: source };
+            });
+            var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: t });
+            var done = a.async();
+            m1.downloadFile('https://localhost/pluginfile.php/1/big.json').then(function(s){
+                a.ok(pushed < totalChunks, `file passed on before being read in full (${pushed} of ${totalChunks} chunks read)`);
+                return new Promise(function(resolve){
+                    var chunks = [];
+                    s.on('data', function(c){ chunks.push(c); });
+                    s.on('end', function(){ resolve(Buffer.concat(chunks).toString()); });
+                });
+            }).then(function(contents){
+                var data = JSON.parse(contents);
+                a.strictEqual(data.length, totalChunks, 'full file streamed');
+                a.strictEqual(data[0].length, 16382, 'file contents intact');
+                done();
+            });
+        });
+        
         QUnit.test('.registerShortcut() instance method', function(a){
             a.expect(3);
             a.strictEqual(typeof MoodleWSClient.prototype.registerShortcut, 'function', 'method exists');
@@ -293,6 +1204,214 @@ QUnit.module('main exported class', {}, function(){
             a.strictEqual(typeof m1.addUser, 'function', '1st shortcut function created');
             a.strictEqual(typeof m1.deleteUser, 'function', '2nd shortcut function created');
         });
+        
+        QUnit.test('.registerShortcutsFromSite() instance method', function(a){
+            a.expect(8);
+            let done = a.async();
+            let mock = new MoodleWSClient.MockMoodleServer({
+                tokens: [dummyVal('token')],
+                functions: {
+                    core_user_get_users: function(){ return { users: [] }; },
+                    mod_assign_save_submission: function(){ return []; },
+                    local_constructor_get_data: function(){ return {}; }
+                }
+            });
+            let m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: mock });
+            let m2 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: mock });
+            m1.registerShortcutsFromSite().then(function(names){
+                a.deepEqual(names.sort(), ['coreUserGetUsers', 'coreWebserviceGetSiteInfo', 'localConstructorGetData', 'modAssignSaveSubmission'], 'camelCase shortcuts registered');
+                return m2.registerShortcutsFromSite({ naming: 'namespaced' });
+            }).then(function(names){
+                a.deepEqual(names.sort(), ['core.user.getUsers', 'core.webservice.getSiteInfo', 'local.constructor.getData', 'mod.assign.saveSubmission'], 'namespaced shortcuts registered, including names inherited by plain objects');
+                a.strictEqual(typeof m2.core.user.getUsers, 'function', 'namespaced shortcut is a function');
+                mock.resetCalls();
+                return Promise.all([m1.coreUserGetUsers(), m1.modAssignSaveSubmission(), m2.core.user.getUsers(), m2.mod.assign.saveSubmission()]);
+            }).then(function(res){
+                a.deepEqual(res[0], { users: [] }, 'camelCase shortcut calls web service');
+                a.deepEqual(res[2], { users: [] }, 'namespaced shortcut calls web service');
+                let methods = mock.calls().map(function(c){ return c.method; });
+                a.deepEqual(methods, ['GET', 'POST', 'GET', 'POST'], 'read functions use GET, write functions POST');
+            }).catch(function(err){
+                a.ok(false, err.message);
+            }).then(function(){
+                a.throws(
+                    function(){ m1.registerShortcutsFromSite({ naming: 'snake_case' }); },
+                    validateParams.ValidationError,
+                    'invalid naming rejected'
+                );
+                a.strictEqual(typeof m1.submit, 'function', 'existing methods not replaced');
+                done();
+            });
+        });
+    });
+    
+    QUnit.test('.decodeWSArguments() static function', function(a){
+        a.expect(5);
+        a.deepEqual(MoodleWSClient.decodeWSArguments({a: 'b'}), {a: 'b'}, 'un-nested object returns expected value');
+        a.deepEqual(MoodleWSClient.decodeWSArguments({'a[b]': 'c'}), {a: { b: 'c' }}, 'nested object returns expected value');
+        a.deepEqual(
+            MoodleWSClient.decodeWSArguments({ 'criteria[0][key]': 'deleted', 'criteria[0][value]': '0', 'criteria[1][key]': 'email' }),
+            { criteria: [ { key: 'deleted', value: '0' }, { key: 'email' } ] },
+            'numbered keys converted to arrays'
+        );
+        a.deepEqual(
+            MoodleWSClient.decodeWSArguments('wsfunction=core_user_get_users&criteria%5B0%5D%5Bkey%5D=email'),
+            { wsfunction: 'core_user_get_users', criteria: [ { key: 'email' } ] },
+            'query strings decoded'
+        );
+        var data = { users: [ { username: 'jbloggs', customfields: [ { type: 'dept', value: 'CS' } ] } ], flag: true };
+        a.deepEqual(
+            MoodleWSClient.decodeWSArguments(MoodleWSClient.encodeWSArguments(data)),
+            { users: [ { username: 'jbloggs', customfields: [ { type: 'dept', value: 'CS' } ] } ], flag: '1' },
+            'reverses .encodeWSArguments()'
+        );
+    });
+    
+    QUnit.test('.decodeWSResponse() static function', function(a){
+        a.expect(6);
+        var data = { courses: [ { id: 3, visible: 1, startdate: 1500000000, enddate: 0, summary: 'x' } ], warnings: [] };
+        var decoded = MoodleWSClient.decodeWSResponse(data);
+        a.deepEqual(decoded.courses[0], { id: 3, visible: true, startdate: new Date(1500000000000), enddate: null, summary: 'x' }, 'nested timestamps & flags decoded');
+        a.strictEqual(data.courses[0].visible, 1, 'original data not altered');
+        a.strictEqual(MoodleWSClient.decodeWSResponse({ visible: 2 }).visible, 2, 'flags only decoded from 0 & 1');
+        a.deepEqual(MoodleWSClient.decodeWSResponse({ timecreated: '1500000000', deleted: '0' }), { timecreated: new Date(1500000000000), deleted: false }, 'XML-style string values decoded');
+        a.deepEqual(
+            MoodleWSClient.decodeWSResponse({ customtime: 1500000000, customflag: 0 }, { timestampFields: ['customtime'], booleanFields: ['customflag'] }),
+            { customtime: new Date(1500000000000), customflag: false },
+            'additional fields decoded'
+        );
+        a.throws(
+            function(){ MoodleWSClient.decodeWSResponse({}, { timestamps: 'epoch' }); },
+            validateParams.ValidationError,
+            'invalid options throw error'
+        );
+    });
+    
+    QUnit.test('.fromCredentials() static function', function(a){
+        a.expect(9);
+        var t = dummyTransport(function(req){
+            if(requestParams(req).password === 'wrong'){
+                return { error: 'Invalid login, please try again', errorcode: 'invalidlogin', stacktrace: null, debuginfo: null };
+            }
+            return { token: dummyVal('token'), privatetoken: 'secret' };
+        });
+        var done = a.async();
+        MoodleWSClient.fromCredentials('https://localhost', 'jbloggs', 'p@ss w0rd', 'moodle_mobile_app', { transport: t }).then(function(m1){
+            var req = t.requests[0];
+            a.strictEqual(req.url, 'https://localhost/login/token.php', 'token requested from login/token.php');
+            a.strictEqual(req.method, 'POST', 'credentials POSTed');
+            a.deepEqual(requestParams(req), { username: 'jbloggs', password: 'p@ss w0rd', service: 'moodle_mobile_app' }, 'credentials & service sent');
+            a.ok(m1 instanceof MoodleWSClient, 'resolves to a client');
+            a.strictEqual(m1._token, dummyVal('token'), 'client uses the issued token');
+            a.strictEqual(m1.privateToken(), undefined, 'private token discarded by default');
+            return MoodleWSClient.fromCredentials('https://localhost', 'jbloggs', 'p@ss w0rd', 'moodle_mobile_app', { transport: t, keepPrivateToken: true });
+        }).then(function(m2){
+            a.strictEqual(m2.privateToken(), 'secret', 'private token kept when requested');
+            return MoodleWSClient.fromCredentials('https://localhost', 'jbloggs', 'wrong', 'moodle_mobile_app', { transport: t });
+        }).catch(function(err){
+            a.ok(err instanceof MoodleWSClient.MoodleWSError, 'login errors rejected with MoodleWSError');
+            a.strictEqual(err.responseData().errorcode, 'invalidlogin', 'error code available');
+            done();
+        });
+    });
+    
+    QUnit.test('.fromProfile() static function', function(a){
+        a.expect(14);
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moodle-ws-client-profiles-'));
+        var writeFile = function(name, content, mode){
+            var file = path.join(dir, name);
+            fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+            fs.chmodSync(file, mode);
+            return file;
+        };
+        var profileError = function(fn){
+            try{
+                fn();
+            }catch(err){
+                return err instanceof MoodleWSClient.MoodleWSProfileError ? err.code : err;
+            }
+            return 'no error';
+        };
+        var other = 'fedcba9876543210fedcba9876543210';
+        var privateFile = writeFile('private.json', {
+            default: 'prod',
+            profiles: {
+                prod: { url: 'https://moodle.uni.edu/', token: dummyVal('token'), timeout: 30000, acceptUntrustedTLSCert: true, shortcuts: { getCourses: ['core_course_get_courses', 'GET'] } },
+                typo: { url: 'https://moodle.uni.edu/', tokne: dummyVal('token') }
+            }
+        }, 0o600);
+        writeFile('dev-token', other + '\n', 0o600);
+        var sharedFile = writeFile('shared.json', {
+            profiles: {
+                dev: { url: 'https://moodle-dev.uni.edu/', tokenFile: 'dev-token' },
+                lost: { url: 'https://moodle-dev.uni.edu/', tokenFile: 'no-such-token' },
+                leaky: { url: 'https://moodle.uni.edu/', token: dummyVal('token') }
+            }
+        }, 0o644);
+        try{
+            var m1 = MoodleWSClient.fromProfile('prod', { configFile: privateFile, env: {} });
+            a.deepEqual(
+                [m1.moodleUrl(), m1._token, m1._options.timeout, m1._options.acceptUntrustedTLSCert, typeof m1.getCourses],
+                ['https://moodle.uni.edu/', dummyVal('token'), 30000, true, 'function'],
+                'URL, token, options & shortcuts loaded'
+            );
+            var m2 = MoodleWSClient.fromProfile('prod', { configFile: privateFile, env: {}, timeout: 1000 });
+            a.strictEqual(m2._options.timeout, 1000, 'explicit options override the profile');
+            a.strictEqual(MoodleWSClient.fromProfile(undefined, { configFile: privateFile, env: {} }).moodleUrl(), 'https://moodle.uni.edu/', 'default profile used when no name given');
+            var m3 = MoodleWSClient.fromProfile('dev', { configFile: sharedFile, env: {} });
+            a.strictEqual(m3._token, other, 'token read from token file');
+            a.strictEqual(profileError(function(){ MoodleWSClient.fromProfile('leaky', { configFile: sharedFile, env: {} }); }), 'EPROFILEPERMS', 'tokens not read from world-readable config files');
+            fs.chmodSync(path.join(dir, 'dev-token'), 0o644);
+            a.strictEqual(profileError(function(){ MoodleWSClient.fromProfile('dev', { configFile: sharedFile, env: {} }); }), 'EPROFILEPERMS', 'world-readable token files refused');
+            var m4 = MoodleWSClient.fromProfile('leaky', { configFile: sharedFile, env: { MOODLE_WS_LEAKY_TOKEN: other } });
+            a.strictEqual(m4._token, other, 'per-profile environment variables override the file');
+            var m5 = MoodleWSClient.fromProfile('stage-2', { configFile: sharedFile, env: { MOODLE_WS_STAGE_2_URL: 'https://stage.uni.edu/', MOODLE_WS_STAGE_2_TOKEN: other } });
+            a.strictEqual(m5.moodleUrl(), 'https://stage.uni.edu/', 'profiles can be defined entirely in the environment');
+            var m6 = MoodleWSClient.fromProfile(undefined, { configFile: sharedFile, env: { MOODLE_WS_URL: 'https://env.uni.edu/', MOODLE_WS_TOKEN: other } });
+            a.strictEqual(m6.moodleUrl(), 'https://env.uni.edu/', 'generic environment variables used when no profile named');
+            a.strictEqual(profileError(function(){ MoodleWSClient.fromProfile('nope', { configFile: privateFile, env: {} }); }), 'ENOPROFILE', 'missing profiles reported');
+            a.strictEqual(profileError(function(){ MoodleWSClient.fromProfile('typo', { configFile: privateFile, env: {} }); }), 'EPROFILEINVALID', 'unsupported settings reported');
+            a.strictEqual(profileError(function(){ MoodleWSClient.fromProfile('prod', { configFile: writeFile('broken.json', '{', 0o600), env: {} }); }), 'EPROFILEINVALID', 'invalid JSON reported');
+            a.strictEqual(profileError(function(){ MoodleWSClient.fromProfile('lost', { configFile: sharedFile, env: {} }); }), 'EPROFILEINVALID', 'missing token files reported');
+            a.throws(function(){ MoodleWSClient.fromProfile(42); }, validateParams.ValidationError, 'invalid name rejected');
+        }finally{
+            fs.removeSync(dir);
+        }
+    });
+    
+    QUnit.test('.fromProfile() merges user & project profiles', function(a){
+        a.expect(3);
+        var home = fs.mkdtempSync(path.join(os.tmpdir(), 'moodle-ws-client-home-'));
+        var project = fs.mkdtempSync(path.join(os.tmpdir(), 'moodle-ws-client-project-'));
+        var writeFile = function(file, content, mode){
+            fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+            fs.chmodSync(file, mode);
+        };
+        var other = 'fedcba9876543210fedcba9876543210';
+        var cwd = process.cwd();
+        var oldHome = process.env.HOME;
+        try{
+            process.env.HOME = home;
+            process.chdir(project);
+            writeFile(path.join(home, '.moodlews.json'), { profiles: { prod: { url: 'https://moodle.uni.edu/', token: dummyVal('token'), timeout: 30000 } } }, 0o600);
+            writeFile(path.join(project, 'prod-token'), other, 0o600);
+            writeFile(path.join(project, '.moodlews.json'), { profiles: { prod: { tokenFile: 'prod-token' } } }, 0o644);
+            var m1 = MoodleWSClient.fromProfile('prod', { env: {} });
+            a.deepEqual([m1.moodleUrl(), m1._options.timeout], ['https://moodle.uni.edu/', 30000], 'settings merged from both files');
+            a.strictEqual(m1._token, other, "project token file replaces the user's token");
+            fs.chmodSync(path.join(project, 'prod-token'), 0o644);
+            try{
+                MoodleWSClient.fromProfile('prod', { env: {} });
+                a.ok(false, 'world-readable token file used');
+            }catch(err){
+                a.strictEqual(err.file, fs.realpathSync(path.join(project, 'prod-token')), 'permissions checked on the file the token is read from');
+            }
+        }finally{
+            process.chdir(cwd);
+            process.env.HOME = oldHome;
+            fs.removeSync(home);
+            fs.removeSync(project);
+        }
     });
     
     QUnit.test('.encodeWSArguments() static function', function(a){
@@ -304,6 +1423,679 @@ QUnit.module('main exported class', {}, function(){
 		a.deepEqual(MoodleWSClient.encodeWSArguments({ criteria: [ { key: 'deleted', value: true } ] }), { 'criteria[0][key]': 'deleted', 'criteria[0][value]': '1' }, "true converted to '1'");
 		a.deepEqual(MoodleWSClient.encodeWSArguments({ criteria: [ { key: 'deleted', value: false } ] }), { 'criteria[0][key]': 'deleted', 'criteria[0][value]': '0' }, "false converted to '0'");
     });
+    
+    QUnit.test('.encodeWSArguments() richer data types', function(a){
+        a.expect(9);
+        a.deepEqual(MoodleWSClient.encodeWSArguments({ d: new Date(1500000000500) }), { d: '1500000000' }, 'Date converted to Unix timestamp');
+        a.deepEqual(MoodleWSClient.encodeWSArguments({ d: moment.unix(1500000000) }), { d: '1500000000' }, 'moment converted to Unix timestamp');
+        a.deepEqual(MoodleWSClient.encodeWSArguments({ a: 'b', u: undefined, l: ['x', undefined, 'z'] }), { a: 'b', 'l[0]': 'x', 'l[1]': 'z' }, 'undefined values skipped');
+        a.deepEqual(
+            MoodleWSClient.encodeWSArguments({ users: [undefined, { ids: new Set([undefined, 7]) }, undefined, { username: 'u' }] }),
+            { 'users[0][ids][0]': '7', 'users[1][username]': 'u' },
+            'array & Set entries renumbered around skipped values'
+        );
+        a.deepEqual(MoodleWSClient.encodeWSArguments({ n: null }), { n: '' }, 'null converted to empty string');
+        a.deepEqual(MoodleWSClient.encodeWSArguments({ ids: new Set([4, 2]) }), { 'ids[0]': '4', 'ids[1]': '2' }, 'Set encoded like an array');
+        a.deepEqual(MoodleWSClient.encodeWSArguments({ m: new Map([['k', 'v'], [2, true]]) }), { 'm[k]': 'v', 'm[2]': '1' }, 'Map encoded like an object');
+        var users = [0, 1, 2, 3].map(function(i){ return { username: `u${i}`, customfields: [ { type: 'dept', value: 'CS' } ] }; });
+        users[3].customfields[0].value = function(){};
+        a.throws(
+            function(){ MoodleWSClient.encodeWSArguments({ users: users }); },
+            function(err){ return err instanceof TypeError && err.message.endsWith('users[3][customfields][0][value]'); },
+            'unsupported values reported with their path'
+        );
+        a.throws(
+            function(){ MoodleWSClient.encodeWSArguments({ d: new Date('not a date') }); },
+            /invalid date encountered at d/,
+            'invalid dates reported with their path'
+        );
+    });
+});
+
+QUnit.module('.toCurl() static function', {}, function(){
+    QUnit.test('function exists', function(a){
+        a.strictEqual(typeof MoodleWSClient.toCurl, 'function', 'function exists');
+    });
+    
+    QUnit.test('requests rendered as curl commands', function(a){
+        var base = 'https://moodle.uni.edu/webservice/rest/server.php';
+        var post = {
+            method: 'POST',
+            url: base,
+            params: { wstoken: dummyVal('token'), wsfunction: 'core_user_update_users', 'users[0][firstname]': "D'Arcy" },
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        };
+        a.strictEqual(
+            MoodleWSClient.toCurl(post),
+            "curl -X POST '" + base + "' \\\n" +
+                "  --data-urlencode 'wstoken=" + dummyVal('token') + "' \\\n" +
+                "  --data-urlencode 'wsfunction=core_user_update_users' \\\n" +
+                "  --data-urlencode 'users[0][firstname]=D'\\''Arcy'",
+            'POST rendered with quoting'
+        );
+        var masked = MoodleWSClient.toCurl(post, { maskToken: true });
+        a.ok(masked.indexOf(dummyVal('token')) === -1 && masked.indexOf('"wstoken=${MOODLE_WS_TOKEN}"') !== -1, 'token masked when requested');
+        var get = MoodleWSClient.toCurl({ method: 'GET', url: base + '?wstoken=x&wsfunction=y', params: { wstoken: 'x', wsfunction: 'y' } });
+        a.ok(get.indexOf("curl -G '" + base + "' ") === 0, 'GET rendered with -G & no query string');
+        a.throws(function(){ MoodleWSClient.toCurl({ method: 'GET' }); }, validateParams.ValidationError, 'incomplete requests rejected');
+    });
+});
+
+QUnit.module('.parseXMLResponse() static function', {}, function(){
+    QUnit.test('data structures', function(a){
+        a.expect(4);
+        var xml = '<?xml version="1.0" encoding="UTF-8" ?>\n' +
+            '<RESPONSE>\n<MULTIPLE>\n<SINGLE>\n' +
+            '<KEY name="id"><VALUE>2</VALUE>\n</KEY>\n' +
+            '<KEY name="idnumber"><VALUE null="null"/>\n</KEY>\n' +
+            '<KEY name="name"><VALUE>&lt;b&gt;Caf&#233;&lt;/b&gt;</VALUE>\n</KEY>\n' +
+            '<KEY name="warnings"><MULTIPLE>\n</MULTIPLE>\n</KEY>\n' +
+            '</SINGLE>\n</MULTIPLE>\n</RESPONSE>\n';
+        a.deepEqual(
+            MoodleWSClient.parseXMLResponse(xml),
+            [ { id: '2', idnumber: null, name: '<b>Café</b>', warnings: [] } ],
+            'nested structures, nulls & entities converted'
+        );
+        a.strictEqual(MoodleWSClient.parseXMLResponse('<?xml version="1.0" encoding="UTF-8" ?>\n<RESPONSE>\n</RESPONSE>\n'), null, 'empty response converted to null');
+        a.strictEqual(MoodleWSClient.parseXMLResponse('<RESPONSE><VALUE>1</VALUE></RESPONSE>'), '1', 'scalar response converted');
+        a.throws(
+            function(){ MoodleWSClient.parseXMLResponse('<html><body>Site under maintenance</body></html>'); },
+            SyntaxError,
+            'non-Moodle XML throws a SyntaxError'
+        );
+    });
+    
+    QUnit.test('exceptions', function(a){
+        a.expect(2);
+        var xml = '<?xml version="1.0" encoding="UTF-8" ?>\n' +
+            '<EXCEPTION class="invalid_parameter_exception">\n' +
+            '<ERRORCODE>invalidparameter</ERRORCODE>\n' +
+            '<MESSAGE>Invalid parameter value detected</MESSAGE>\n' +
+            '<DEBUGINFO>criteria =&gt; Missing required key</DEBUGINFO>\n' +
+            '</EXCEPTION>\n';
+        a.deepEqual(
+            MoodleWSClient.parseXMLResponse(xml),
+            {
+                exception: 'invalid_parameter_exception',
+                errorcode: 'invalidparameter',
+                message: 'Invalid parameter value detected',
+                debuginfo: 'criteria => Missing required key'
+            },
+            'exception converted'
+        );
+        var m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), {
+            format: 'xml',
+            transport: dummyTransport(function(){ return { statusCode: 200, headers: {}, body: xml }; })
+        });
+        var done = a.async();
+        m1.submit('GET', 'core_user_get_users').catch(function(err){
+            a.ok(err instanceof MoodleWSClient.MoodleWSError, 'XML exception rejected with MoodleWSError');
+            done();
+        });
+    });
+});
+
+QUnit.module('FunctionCatalogue class', {}, function(){
+    QUnit.test('.validateParameters() & .validateResponse()', function(a){
+        a.expect(8);
+        var c = new MoodleWSClient.FunctionCatalogue({
+            local_test_fn: {
+                parameters: { type: 'single', keys: {
+                    items: { type: 'multiple', content: { type: 'single', keys: {
+                        id: { type: 'value', paramtype: 'int' },
+                        flag: { type: 'value', paramtype: 'bool', required: false },
+                        name: { type: 'value', paramtype: 'text', allownull: false, required: false }
+                    } } }
+                } },
+                returns: { type: 'single', keys: { count: { type: 'value', paramtype: 'int' }, note: { type: 'value', paramtype: 'text', required: false, allownull: false } } }
+            }
+        });
+        a.deepEqual(c.functionNames(), ['local_test_fn'], 'function names listed');
+        a.deepEqual(c.validateParameters('local_test_fn', { items: [ { id: '7', flag: true } ] }), [], 'valid parameters pass');
+        a.deepEqual(
+            c.validateParameters('local_test_fn', { items: [ { id: 1.5, flag: 'yes', name: null } ] }).map(function(p){ return p.path + ' ' + p.message; }).sort(),
+            ['items[0][flag] must be a boolean', 'items[0][id] must be an integer', 'items[0][name] cannot be null'],
+            'invalid values reported with paths'
+        );
+        a.deepEqual(c.validateParameters('local_test_fn', { items: new Set([ new Map([['id', 7], ['flag', false]]) ]) }), [], 'Sets & Maps accepted as lists & objects');
+        a.deepEqual(
+            c.validateParameters('local_test_fn', { items: new Set([ { id: 1 }, new Map([['id', 'x']]) ]) }).map(function(p){ return p.path + ' ' + p.message; }),
+            ['items[1][id] must be an integer'],
+            'invalid values within Sets & Maps reported with paths'
+        );
+        a.deepEqual(c.validateParameters('other_fn', { x: 1 }), [], 'unknown functions not validated');
+        a.deepEqual(c.validateResponse('local_test_fn', { count: 3, note: null }), [], 'optional response keys may be null');
+        a.deepEqual(c.validateResponse('local_test_fn', { count: 3, extra: 'x' }), [{ path: 'extra', message: 'is not an expected key' }], 'unexpected response keys reported');
+    });
+});
+
+QUnit.module('.generateTypeScript() function', {}, function(){
+    QUnit.test('declarations generated from a catalogue', function(a){
+        a.expect(6);
+        var dts = MoodleWSClient.generateTypeScript({
+            local_test_get_things: {
+                description: 'Get things',
+                parameters: { type: 'single', keys: {
+                    ids: { type: 'multiple', content: { type: 'value', paramtype: 'int', desc: 'thing id' } },
+                    'odd-key': { type: 'value', paramtype: 'bool', required: false }
+                } },
+                returns: { type: 'multiple', content: { type: 'single', keys: {
+                    id: { type: 'value', paramtype: 'int' },
+                    name: { type: 'value', paramtype: 'text', required: false }
+                } } }
+            },
+            local_test_delete_things: {
+                parameters: { type: 'single', keys: {} },
+                returns: null
+            }
+        });
+        a.ok(dts.includes('declare module "@maynoothuniversity/moodle-ws-client" {'), 'module augmented');
+        a.ok(dts.includes('    ids: Array<number>;'), 'parameter types rendered');
+        a.ok(dts.includes('    "odd-key"?: boolean | 0 | 1;'), 'optional & non-identifier keys rendered');
+        a.ok(/export type LocalTestGetThingsResponse = Array<\{\n\s+id: number;\n\s+name\?: string \| null;\n\s*\}>;/.test(dts), 'response types rendered');
+        a.ok(dts.includes('export type LocalTestDeleteThingsResponse = null;'), 'null responses rendered');
+        a.ok(dts.includes('local_test_get_things: { parameters: LocalTestGetThingsParameters; returns: LocalTestGetThingsResponse };'), 'function map entries rendered');
+    });
+});
+
+QUnit.module('FixtureTransport class', {}, function(){
+    QUnit.test('calls recorded & replayed', function(a){
+        a.expect(9);
+        let done = a.async();
+        let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moodle-ws-fixtures-'));
+        let fixturePath = path.join(dir, 'fixture.json');
+        let n = 0;
+        let live = dummyTransport(function(req){
+            let params = requestParams(req);
+            return { call: ++n, user: params['users[0][username]'], echo: params.wstoken };
+        });
+        let recorder = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: live, fixtures: { mode: 'record', path: fixturePath } });
+        let users = [ { username: 'alice', password: 'secret' } ];
+        recorder.submit('POST', 'core_user_create_users', { users: users }).then(function(){
+            return recorder.submit('POST', 'core_user_create_users', { users: users });
+        }).then(function(){
+            return recorder.ping();
+        }).then(function(){
+            let json = fs.readFileSync(fixturePath, 'utf8');
+            a.equal(json.indexOf(dummyVal('token')), -1, 'token scrubbed from fixture file');
+            a.equal(json.indexOf('secret'), -1, 'passwords scrubbed from fixture file');
+            a.equal(JSON.parse(json).interactions.length, 3, 'all calls recorded');
+            
+            // replay the recording
+            let offline = dummyTransport(function(){ throw new Error('network used during replay'); });
+            let player = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: offline, fixtures: { mode: 'replay', path: fixturePath } });
+            return Promise.all([
+                player.submit('POST', 'core_user_create_users', { users: users }),
+                player.submit('POST', 'core_user_create_users', { users: users }),
+                player.submit('POST', 'core_user_create_users', { users: users }),
+                player.ping(),
+                player.submit('POST', 'core_webservice_get_site_info').catch(function(err){ return err; }),
+                player.submit('POST', 'core_user_create_users', { users: [ { username: 'bob' } ] }).catch(function(err){ return err; })
+            ]).then(function(res){
+                a.deepEqual([res[0].call, res[1].call, res[2].call], [1, 2, 2], 'identical calls replayed in order');
+                a.equal(res[0].user, 'alice', 'recorded response served');
+                a.equal(res[3].call, 3, 'ping replayed');
+                a.ok(res[4] instanceof MoodleWSClient.MoodleWSTransportError && res[4].code === 'EFIXTURENOMATCH', 'method must match');
+                a.ok(res[5] instanceof MoodleWSClient.MoodleWSTransportError && res[5].code === 'EFIXTURENOMATCH', 'parameters must match');
+                a.equal(offline.requests.length, 0, 'network never used');
+            });
+        }).catch(function(err){
+            a.ok(false, err.message);
+        }).then(function(){
+            fs.removeSync(dir);
+            done();
+        });
+    });
+    
+    QUnit.test('logins, uploads & downloads recorded & replayed', function(a){
+        a.expect(8);
+        let done = a.async();
+        let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moodle-ws-fixtures-'));
+        let fixturePath = path.join(dir, 'fixture.json');
+        let issuedToken = 'abcdef0123456789abcdef0123456789';
+        let live = dummyTransport(function(req){
+            if(req.url.endsWith('/login/token.php')) return { token: issuedToken, privatetoken: 'secret' };
+            if(req.url.endsWith('/webservice/upload.php')) return [{ filename: 'a.txt', itemid: 7 }];
+            if(req.url.includes('/pluginfile.php/')) return { statusCode: 200, headers: { 'content-type': 'application/octet-stream' }, body: stream.Readable.from([Buffer.from([0, 255, 1])]) };
+            return { sitename: 'Test Site' };
+        });
+        let readAll = function(s){
+            return new Promise(function(resolve){
+                let chunks = [];
+                s.on('data', function(c){ chunks.push(c); });
+                s.on('end', function(){ resolve(Buffer.concat(chunks)); });
+            });
+        };
+        let session = function(transport, mode){
+            let ans = {};
+            return MoodleWSClient.fromCredentials(dummyVal('url'), 'jbloggs', 'p@ssw0rd', 'moodle_mobile_app', { transport: transport, fixtures: { mode: mode, path: fixturePath } }).then(function(client){
+                ans.client = client;
+                return client.ping();
+            }).then(function(){
+                return ans.client.uploadFiles({ filename: 'a.txt', content: Buffer.from('hello') });
+            }).then(function(records){
+                ans.records = records;
+                return ans.client.downloadFile(dummyVal('url') + 'pluginfile.php/1/a.bin').then(readAll);
+            }).then(function(contents){
+                ans.contents = contents;
+                return ans;
+            });
+        };
+        session(live, 'record').then(function(res){
+            a.strictEqual(live.requests.length, 4, 'each request sent once, not through a doubly-wrapped transport');
+            a.strictEqual(res.client._token, issuedToken, 'recording client gets the real token');
+            a.strictEqual(res.contents.toString('hex'), '00ff01', 'recording client gets the streamed download');
+            let json = fs.readFileSync(fixturePath, 'utf8');
+            a.ok(json.indexOf(issuedToken) === -1 && json.indexOf('secret') === -1 && json.indexOf('p@ssw0rd') === -1, 'tokens & password scrubbed from fixture file');
+            let offline = dummyTransport(function(){ throw new Error('network used during replay'); });
+            return session(offline, 'replay').then(function(res){
+                a.ok(res.client instanceof MoodleWSClient, 'login replayed');
+                a.deepEqual(res.records, [{ filename: 'a.txt', itemid: 7 }], 'upload replayed');
+                a.strictEqual(res.contents.toString('hex'), '00ff01', 'binary download replayed');
+                a.strictEqual(offline.requests.length, 0, 'network never used');
+            });
+        }).catch(function(err){
+            a.ok(false, err.message);
+        }).then(function(){
+            fs.removeSync(dir);
+            done();
+        });
+    });
+    
+    QUnit.test('sensitive headers dropped & failed saves recovered', function(a){
+        a.expect(4);
+        let done = a.async();
+        let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moodle-ws-fixtures-'));
+        let fixturePath = path.join(dir, 'missing', 'fixture.json');
+        let live = dummyTransport(function(){
+            return { statusCode: 200, headers: { 'content-type': 'application/json', 'Set-Cookie': 'MoodleSession=secret' }, body: '{}' };
+        });
+        let recorder = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: live, fixtures: { mode: 'record', path: fixturePath } });
+        recorder.ping().then(function(){
+            a.ok(false, 'write to a missing folder succeeded');
+        }, function(err){
+            a.ok(err, 'failed write reported');
+        }).then(function(){
+            fs.mkdirSync(path.dirname(fixturePath));
+            return recorder.ping();
+        }).then(function(){
+            let json = fs.readFileSync(fixturePath, 'utf8');
+            a.strictEqual(JSON.parse(json).interactions.length, 2, 'later calls still saved');
+            a.strictEqual(JSON.parse(json).interactions[0].response.headers['content-type'], 'application/json', 'other headers recorded');
+            a.equal(json.indexOf('MoodleSession'), -1, 'cookies not recorded');
+        }).catch(function(err){
+            a.ok(false, err.message);
+        }).then(function(){
+            fs.removeSync(dir);
+            done();
+        });
+    });
+});
+
+QUnit.module('MockMoodleServer class', {}, function(){
+    QUnit.test('class exists', function(a){
+        a.equal(typeof MoodleWSClient.MockMoodleServer, 'function');
+    });
+    
+    QUnit.test('in-process calls via submit(), ping() & shortcuts', function(a){
+        a.expect(6);
+        let done = a.async();
+        let mock = new MoodleWSClient.MockMoodleServer({ tokens: [dummyVal('token')], siteInfo: { sitename: 'Test Site' } });
+        mock.addFunction('core_user_get_users_by_field', function(params){
+            return params.values.map(function(v, i){ return { id: i + 10, username: v }; });
+        });
+        let mws = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: mock });
+        mws.registerShortcut('getUsers', 'core_user_get_users_by_field');
+        mws.ping().then(function(info){
+            a.equal(info.sitename, 'Test Site', 'site info overrides applied');
+            a.ok(info.functions.some(function(f){ return f.name === 'core_user_get_users_by_field'; }), 'registered functions listed in site info');
+            return mws.getUsers({ field: 'username', values: ['alice', 'bob'] });
+        }).then(function(users){
+            a.deepEqual(users, [{ id: 10, username: 'alice' }, { id: 11, username: 'bob' }], 'handler received decoded parameters');
+            return mws.submit('POST', 'core_user_get_users_by_field', { field: 'id', values: [3] }, { format: 'xml' });
+        }).then(function(users){
+            a.deepEqual(users, [{ id: '10', username: '3' }], 'XML responses rendered');
+            let calls = mock.calls();
+            a.equal(calls.length, 3, 'calls recorded');
+            a.deepEqual(calls[2].params, { field: 'id', values: ['3'] }, 'POST body parameters recorded');
+        }).catch(function(err){
+            a.ok(false, err.message);
+        }).then(done);
+    });
+    
+    QUnit.test('exceptions', function(a){
+        a.expect(5);
+        let done = a.async();
+        let mock = new MoodleWSClient.MockMoodleServer({
+            functions: {
+                fail_nicely: function(){ throw MoodleWSClient.MockMoodleServer.exception('invalidparameter', 'Invalid parameter value detected', { exception: 'invalid_parameter_exception', debuginfo: 'id missing' }); },
+                fail_badly: function(){ throw new Error('boom'); }
+            }
+        });
+        let mws = new MoodleWSClient(dummyVal('url'), MoodleWSClient.MockMoodleServer.DEFAULT_TOKEN, { transport: mock });
+        let badToken = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: mock });
+        Promise.all([
+            badToken.ping().catch(function(err){ return err; }),
+            mws.submit('GET', 'no_such_function').catch(function(err){ return err; }),
+            mws.submit('GET', 'fail_nicely').catch(function(err){ return err; }),
+            mws.submit('GET', 'fail_badly', {}, { format: 'xml' }).catch(function(err){ return err; })
+        ]).then(function(errs){
+            a.ok(errs[0] instanceof MoodleWSClient.MoodleWSInvalidTokenError, 'unknown tokens rejected');
+            a.equal(errs[1].errorcode, 'invalidrecord', 'unknown functions rejected');
+            a.ok(errs[2] instanceof MoodleWSClient.MoodleWSInvalidParameterError, 'handler exceptions passed on');
+            a.equal(errs[2].debuginfo, 'id missing', 'debug info passed on');
+            a.deepEqual([errs[3].errorcode, errs[3].responseData().message], ['generalexceptionmessage', 'boom'], 'other errors reported as generic exceptions');
+        }).then(done);
+    });
+    
+    QUnit.test('.listen() serves over HTTP', function(a){
+        a.expect(3);
+        let done = a.async();
+        let mock = new MoodleWSClient.MockMoodleServer();
+        mock.listen().then(function(url){
+            a.equal(url, mock.url(), 'base URL returned');
+            let t = new MoodleWSClient.HttpTransport();
+            return t.request({ method: 'GET', url: url + 'webservice/rest/server.php', qs: { wstoken: MoodleWSClient.MockMoodleServer.DEFAULT_TOKEN, wsfunction: 'core_webservice_get_site_info', moodlewsrestformat: 'json' } }).then(function(res){
+                a.equal(JSON.parse(res.body).siteurl, url.replace(/\/$/, ''), 'site info served');
+                return t.request({ method: 'GET', url: url + 'login/index.php' });
+            }).then(function(res){
+                a.equal(res.statusCode, 404, 'other paths not found');
+            });
+        }).catch(function(err){
+            a.ok(false, err.message);
+        }).then(function(){
+            return mock.close();
+        }).then(done);
+    });
+});
+
+QUnit.module('MoodleWSClientPool class', {}, function(){
+    QUnit.test('class exists', function(a){
+        a.equal(typeof MoodleWSClient.MoodleWSClientPool, 'function');
+    });
+    
+    QUnit.test('managing sites', function(a){
+        let m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'));
+        let pool = new MoodleWSClient.MoodleWSClientPool({ arts: m1 });
+        a.strictEqual(pool.add('science', new MoodleWSClient(dummyVal('url'), dummyVal('token'))), pool, '.add() returns reference to self');
+        a.deepEqual(pool.siteNames(), ['arts', 'science'], 'sites listed in order added');
+        a.strictEqual(pool.get('arts'), m1, 'clients retrieved by site name');
+        a.ok(pool.remove('science') && !pool.remove('science'), 'sites removed');
+        a.throws(function(){ pool.add('bad', {}); }, validateParams.ValidationError, 'non-clients rejected');
+        let env = { MOODLE_WS_ARTS_URL: 'https://arts.uni.edu/', MOODLE_WS_ARTS_TOKEN: dummyVal('token') };
+        let fromProfiles = MoodleWSClient.MoodleWSClientPool.fromProfiles(['arts'], { timeout: 1000, clientOptions: { env: env } });
+        a.strictEqual(fromProfiles.get('arts').moodleUrl(), 'https://arts.uni.edu/', 'pools built from site profiles');
+    });
+    
+    QUnit.test('.fanOut()', function(a){
+        a.expect(8);
+        let done = a.async();
+        let makeSite = function(users){
+            let mock = new MoodleWSClient.MockMoodleServer();
+            mock.addFunction('core_user_get_users_by_field', function(params){
+                return users.filter(function(u){ return params.values.includes(u); }).map(function(u){ return { username: u }; });
+            });
+            return new MoodleWSClient(dummyVal('url'), MoodleWSClient.MockMoodleServer.DEFAULT_TOKEN, { transport: mock });
+        };
+        let dead = new MoodleWSClient(dummyVal('url'), dummyVal('token'), {
+            transport: { request: function(){ return new Promise(function(){}); } }
+        });
+        let pool = new MoodleWSClient.MoodleWSClientPool({
+            arts: makeSite(['alice']),
+            science: makeSite(['bob']),
+            engineering: dead,
+            law: new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: new MoodleWSClient.MockMoodleServer() })
+        }, { timeout: 50, maxConcurrent: 2 });
+        let start = Date.now();
+        pool.fanOut('GET', 'core_user_get_users_by_field', { field: 'username', values: ['bob'] }).then(function(res){
+            a.ok(Date.now() - start < 1000, 'dead site does not stall the others');
+            a.deepEqual(res.results, { arts: [], science: [ { username: 'bob' } ] }, 'results indexed by site');
+            a.deepEqual(Object.keys(res.errors).sort(), ['engineering', 'law'], 'errors indexed by site');
+            a.ok(res.errors.engineering instanceof MoodleWSClient.MoodleWSTimeoutError, 'time limit applied per site');
+            a.ok(res.errors.law instanceof MoodleWSClient.MoodleWSInvalidTokenError, 'web service errors captured');
+            a.deepEqual(res.sites.map(function(s){ return s.site + ':' + s.ok; }), ['arts:true', 'science:true', 'engineering:false', 'law:false'], 'outcomes listed side by side in site order');
+            return pool.fanOut('get', 'core_user_get_users_by_field', { field: 'username', values: ['alice'] }, { sites: ['arts', 'engineering'], maxConcurrent: 1 });
+        }).then(function(res){
+            a.deepEqual(Object.keys(res.results).concat(Object.keys(res.errors)), ['arts', 'engineering'], 'subset of sites called, with the method coerced to upper case');
+        }).catch(function(err){
+            a.ok(false, err.message);
+        }).then(function(){
+            a.throws(function(){ pool.fanOut('GET', 'core_webservice_get_site_info', {}, { sites: ['medicine'] }); }, validateParams.ValidationError, 'unknown sites rejected');
+            done();
+        });
+    });
+});
+
+QUnit.module('ResponseCache class', {}, function(){
+    QUnit.test('class exists', function(a){
+        a.equal(typeof MoodleWSClient.ResponseCache, 'function');
+    });
+    
+    QUnit.test('in-memory LRU store', function(a){
+        let store = new MoodleWSClient.ResponseCache.MemoryStore({ maxEntries: 2 });
+        store.set('a', { x: 1 }, 60000);
+        store.set('b', { x: 2 }, 60000);
+        store.get('a');
+        store.set('c', { x: 3 }, 60000);
+        a.deepEqual(store.keys(), ['a', 'c'], 'least recently used entry evicted');
+        store.set('d', { x: 4 }, 0);
+        a.strictEqual(store.get('d'), undefined, 'expired entries not returned');
+        store.delete('a');
+        a.deepEqual(store.keys(), ['c'], 'entries deleted');
+    });
+    
+    QUnit.test('pluggable stores shared between clients', function(a){
+        a.expect(5);
+        let done = a.async();
+        let data = { 'session:abc': 'not a response' };
+        let asyncStore = {
+            get: function(key){ return Promise.resolve(data[key]); },
+            set: function(key, value, ttl){ data[key] = value; return Promise.resolve(); },
+            delete: function(key){ delete data[key]; return Promise.resolve(); },
+            keys: function(){ return Promise.resolve(Object.keys(data)); }
+        };
+        let cache = new MoodleWSClient.ResponseCache({ store: asyncStore, ttl: { minutes: 5 } });
+        let mock = new MoodleWSClient.MockMoodleServer({ tokens: [dummyVal('token')] });
+        let m1 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: mock, cache: cache });
+        let m2 = new MoodleWSClient(dummyVal('url'), dummyVal('token'), { transport: mock, cache: cache });
+        a.strictEqual(cache.ttlFor('core_webservice_get_site_info'), 300000, 'TTLs accept durations');
+        m1.ping().then(function(){
+            return m2.ping();
+        }).then(function(){
+            a.strictEqual(mock.calls().length, 1, 'response shared via the store');
+            a.ok(Object.keys(data)[1].startsWith('moodlews:core_webservice_get_site_info:'), 'keys start with a prefix & the function name');
+            return cache.invalidate();
+        }).then(function(removed){
+            a.strictEqual(removed, 1, 'whole cache cleared');
+            a.deepEqual(Object.keys(data), ['session:abc'], 'other entries in the store left alone');
+        }).catch(function(err){
+            a.ok(false, err.message);
+        }).then(done);
+    });
+});
+
+QUnit.module('moodle-ws command line tool', {}, function(){
+    /**
+     * Build the environment for a run of the command line tool.
+     *
+     * @param {MockMoodleServer} mock
+     * @param {string} [stdin='']
+     * @returns {Object}
+     */
+    function cliIO(mock, stdin){
+        let capture = function(){
+            let s = { text: '' };
+            s.write = function(str){ s.text += str; };
+            return s;
+        };
+        return {
+            stdin: stream.Readable.from([Buffer.from(stdin || '')]),
+            stdout: capture(),
+            stderr: capture(),
+            env: { MOODLE_WS_URL: dummyVal('url'), MOODLE_WS_TOKEN: MoodleWSClient.MockMoodleServer.DEFAULT_TOKEN },
+            transport: mock
+        };
+    }
+    
+    QUnit.test('calls functions & formats responses', function(a){
+        a.expect(9);
+        let done = a.async();
+        let mock = new MoodleWSClient.MockMoodleServer({
+            functions: {
+                core_user_get_users: function(params){
+                    return { users: [ { id: 2, email: params.criteria[0].value }, { id: 3, email: 'x', customfields: [ { value: 'a,b' } ] } ], warnings: [] };
+                }
+            }
+        });
+        let io1 = cliIO(mock);
+        let io2 = cliIO(mock, '{"criteria": [{"key": "email", "value": "stdin"}]}');
+        let io3 = cliIO(mock);
+        let io4 = cliIO(mock, '{"criteria": [{"key": "email", "value": "stdin"}]}');
+        runCLI(['core_user_get_users', 'criteria[0][key]=email', 'criteria[0][value]=%%'], io1).then(function(code){
+            a.strictEqual(code, 0, 'exit code 0 on success');
+            a.deepEqual(JSON.parse(io1.stdout.text).users[0], { id: 2, email: '%%' }, 'key=value parameters decoded & response printed as JSON');
+            a.strictEqual(mock.calls()[0].method, 'GET', 'method inferred from function name');
+            return runCLI(['core_user_get_users', '-', '--output', 'ndjson', '-m', 'post'], io2);
+        }).then(function(code){
+            a.deepEqual(io2.stdout.text.trim().split('\n').map(JSON.parse).map(function(u){ return u.id; }), [2, 3], 'NDJSON has one line per record');
+            a.deepEqual([mock.calls()[1].method, mock.calls()[1].params.criteria[0].value], ['POST', 'stdin'], 'stdin parameters & explicit method used');
+            return runCLI(['core_user_get_users', '{"criteria": [{"key": "email", "value": "%%"}]}', '--output=csv'], io3);
+        }).then(function(code){
+            a.strictEqual(code, 0, 'JSON parameters accepted');
+            a.strictEqual(io3.stdout.text, 'id,email,customfields[0][value]\r\n2,%%,\r\n3,x,"a,b"\r\n', 'CSV flattened & quoted');
+            a.strictEqual(io3.stderr.text, '', 'nothing written to stderr');
+            return runCLI(['core_user_get_users', '-', 'criteria[0][value]=pair', 'criteria[1][key]=id'], io4);
+        }).then(function(){
+            a.deepEqual(mock.calls()[3].params.criteria, [{ key: 'email', value: 'pair' }, { key: 'id' }], 'key=value pairs merged into nested JSON parameters');
+        }).catch(function(err){
+            a.ok(false, err.message);
+        }).then(done);
+    });
+    
+    QUnit.test('reads site profiles', function(a){
+        a.expect(3);
+        let done = a.async();
+        let mock = new MoodleWSClient.MockMoodleServer({ siteInfo: { sitename: 'Profile Site' } });
+        let configFile = path.join(os.tmpdir(), `moodle-ws-client-cli-${process.pid}.json`);
+        fs.writeFileSync(configFile, JSON.stringify({ profiles: { mock: { url: dummyVal('url'), token: MoodleWSClient.MockMoodleServer.DEFAULT_TOKEN } } }), { mode: 0o600 });
+        let io1 = cliIO(mock);
+        io1.env = { MOODLE_WS_CONFIG: configFile };
+        let io2 = cliIO(mock);
+        io2.env = { MOODLE_WS_CONFIG: configFile };
+        runCLI(['--profile', 'mock', 'core_webservice_get_site_info'], io1).then(function(code){
+            a.strictEqual(code, 0, 'call made with profile');
+            a.strictEqual(JSON.parse(io1.stdout.text).sitename, 'Profile Site', 'response printed');
+            return runCLI(['-p', 'nope', 'core_webservice_get_site_info'], io2);
+        }).then(function(code){
+            a.ok(code === 1 && io2.stderr.text.indexOf("no profile named 'nope'") !== -1, 'missing profiles reported');
+        }).catch(function(err){
+            a.ok(false, err.message);
+        }).then(function(){
+            fs.removeSync(configFile);
+            done();
+        });
+    });
+    
+    QUnit.test('reports errors', function(a){
+        a.expect(5);
+        let done = a.async();
+        let mock = new MoodleWSClient.MockMoodleServer();
+        let io1 = cliIO(mock);
+        let io2 = cliIO(mock);
+        let io3 = cliIO(mock);
+        io3.env = {};
+        Promise.all([
+            runCLI(['core_course_get_courses'], io1),
+            runCLI(['core_course_get_courses', 'oops', '--output', 'xml'], io2),
+            runCLI(['core_course_get_courses'], io3)
+        ]).then(function(codes){
+            a.strictEqual(codes[0], 1, 'non-zero exit code on web service errors');
+            a.ok(io1.stderr.text.indexOf('core_course_get_courses failed') !== -1 && io1.stderr.text.indexOf('invalidrecord') !== -1, 'readable error message');
+            a.strictEqual(io1.stdout.text, '', 'nothing printed to stdout on failure');
+            a.strictEqual(codes[1], 2, 'exit code 2 on invalid arguments');
+            a.ok(codes[2] === 1 && io3.stderr.text.indexOf('MOODLE_WS_URL') !== -1, 'missing site details reported');
+        }).then(done);
+    });
+});
+
+QUnit.module('HttpTransport class', {}, function(){
+    QUnit.test('class exists', function(a){
+        a.equal(typeof MoodleWSClient.HttpTransport, 'function');
+    });
+    
+    QUnit.test('.request() makes HTTP requests', function(a){
+        a.expect(5);
+        var done = a.async();
+        var received;
+        localServer(function(req, res){
+            received = req;
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('not here');
+        }).then(function(ls){
+            var t = new MoodleWSClient.HttpTransport();
+            return t.request({ method: 'GET', url: ls.url + 'some/path.php', qs: { 'a[0]': 'b c' } }).then(function(res){
+                a.strictEqual(received.method, 'GET', 'method sent');
+                a.strictEqual(decodeURIComponent(received.url), '/some/path.php?a[0]=b+c', 'path and query string sent');
+                a.strictEqual(res.statusCode, 404, 'HTTP error statuses resolve');
+                a.strictEqual(res.headers['content-type'], 'text/plain', 'headers returned');
+                a.strictEqual(res.body, 'not here', 'body returned');
+            }).then(function(){
+                ls.server.close(done);
+            });
+        });
+    });
+    
+    QUnit.test('.request() streams responses', function(a){
+        a.expect(2);
+        var done = a.async();
+        localServer(function(req, res){
+            res.end('streamed body');
+        }).then(function(ls){
+            var t = new MoodleWSClient.HttpTransport();
+            return t.request({ method: 'GET', url: ls.url, stream: true }).then(function(res){
+                a.strictEqual(typeof res.body.pipe, 'function', 'body returned as stream');
+                return new Promise(function(resolve){
+                    var chunks = [];
+                    res.body.on('data', function(c){ chunks.push(c); });
+                    res.body.on('end', function(){ resolve(Buffer.concat(chunks).toString()); });
+                });
+            }).then(function(body){
+                a.strictEqual(body, 'streamed body', 'stream contains body');
+                ls.server.close(done);
+            });
+        });
+    });
+    
+    QUnit.test('.request() uses proxy', function(a){
+        a.expect(2);
+        var done = a.async();
+        var received;
+        localServer(function(req, res){
+            received = req;
+            res.end('proxied');
+        }).then(function(ls){
+            var t = new MoodleWSClient.HttpTransport({ proxy: ls.url.replace('http://', 'http://user:pass@') });
+            return t.request({ method: 'GET', url: 'http://moodle.invalid/x.php' }).then(function(){
+                a.strictEqual(received.url, 'http://moodle.invalid/x.php', 'absolute URL sent to proxy');
+                a.strictEqual(received.headers['proxy-authorization'], 'Basic ' + Buffer.from('user:pass').toString('base64'), 'proxy credentials sent');
+            }).then(function(){
+                ls.server.close(done);
+            });
+        });
+    });
+    
+    QUnit.test('.request() times out', function(a){
+        a.expect(1);
+        var done = a.async();
+        localServer(function(){ /* never respond */ }).then(function(ls){
+            var t = new MoodleWSClient.HttpTransport();
+            return t.request({ method: 'GET', url: ls.url, timeout: 50 }).catch(function(err){
+                a.strictEqual(err.code, 'ETIMEDOUT', 'rejected with ETIMEDOUT');
+            }).then(function(){
+                ls.server.close(done);
+            });
+        });
+    });
 });
 
 QUnit.module('custom error class', {}, function(){
@@ -322,6 +2114,32 @@ QUnit.module('custom error class', {}, function(){
         a.strictEqual(err.responseData(), data);
     });
     
+    QUnit.test('debuginfo & errorcode exposed', function(a){
+        a.expect(3);
+        let err = new MoodleWSClient.MoodleWSError({
+            exception: 'invalid_parameter_exception',
+            errorcode: 'invalidparameter',
+            message: 'Invalid parameter value detected',
+            debuginfo: 'criteria => Missing required key'
+        });
+        a.strictEqual(err.errorcode, 'invalidparameter', 'errorcode exposed');
+        a.strictEqual(err.debuginfo, 'criteria => Missing required key', 'debuginfo exposed');
+        a.strictEqual((new MoodleWSClient.MoodleWSError({})).debuginfo, undefined, 'debuginfo undefined when absent');
+    });
+    
+    QUnit.test('.fromResponseData() picks sub-classes by error code', function(a){
+        a.expect(5);
+        let fromCode = function(errorcode){
+            return MoodleWSClient.MoodleWSError.fromResponseData({ exception: 'moodle_exception', errorcode: errorcode, message: 'dummy' });
+        };
+        a.ok(fromCode('invalidtoken') instanceof MoodleWSClient.MoodleWSInvalidTokenError, 'invalidtoken');
+        a.ok(fromCode('accessexception') instanceof MoodleWSClient.MoodleWSAccessError, 'accessexception');
+        a.ok(fromCode('invalidparameter') instanceof MoodleWSClient.MoodleWSInvalidParameterError, 'invalidparameter');
+        a.ok(fromCode('servicerequireslogin') instanceof MoodleWSClient.MoodleWSServiceRequiresLoginError, 'servicerequireslogin');
+        let other = fromCode('categoryidnumbertaken');
+        a.ok(other instanceof MoodleWSClient.MoodleWSError && other.constructor === MoodleWSClient.MoodleWSError, 'other codes fall back to MoodleWSError');
+    });
+    
     QUnit.test('messages correctly generated', function(a){
         a.expect(5);
         a.strictEqual((new MoodleWSClient.MoodleWSError({})).message, 'unknown webservice error', 'default message on empty data');